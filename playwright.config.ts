@@ -7,15 +7,37 @@ export default defineConfig({
   retries: process.env.CI ? 2 : 0,
   workers: process.env.CI ? 1 : undefined,
   reporter: 'html',
+  // Генерує статичні мовні версії pr3 перед тестами й прибирає їх після (tests/global-setup.mjs)
+  globalSetup: './tests/global-setup.mjs',
   use: {
     trace: 'on-first-retry',
     baseURL: 'http://127.0.0.1:8080',
   },
-  webServer: {
-    command: 'npx http-server -p 8080',
-    url: 'http://127.0.0.1:8080',
-    reuseExistingServer: !process.env.CI,
-  },
+  webServer: [
+    {
+      command: 'npx http-server -p 8080',
+      url: 'http://127.0.0.1:8080',
+      reuseExistingServer: !process.env.CI,
+    },
+    {
+      // Віддалене джерело даних проєктів pr3 (tests/stubs/projects-server.mjs)
+      command: 'node tests/stubs/projects-server.mjs 8081',
+      url: 'http://127.0.0.1:8081/health',
+      reuseExistingServer: !process.env.CI,
+    },
+    {
+      // Адреса відправки контактної форми pr3 (tests/stubs/contact-server.mjs)
+      command: 'node tests/stubs/contact-server.mjs 8082',
+      url: 'http://127.0.0.1:8082/health',
+      reuseExistingServer: !process.env.CI,
+    },
+    {
+      // Локальний Dog CEO API для pr5 і pr6 (tests/stubs/dog-api-server.mjs)
+      command: 'node tests/stubs/dog-api-server.mjs 8083',
+      url: 'http://127.0.0.1:8083/health',
+      reuseExistingServer: !process.env.CI,
+    },
+  ],
 
   projects: [
     {
@@ -0,0 +1,232 @@
+import { t } from "./i18n.js";
+
+/**
+ * Контактна форма pr3 (pages/contacts.html).
+ * - Перевірка полів на клієнті з повідомленнями з contacts.form.errors.* у файлах перекладу
+ * - Лічильник символів повідомлення; межі беруться з атрибутів minlength/maxlength у розмітці
+ * - Чернетка зберігається в localStorage і відновлюється після перезавантаження
+ * - Поле-пастка (honeypot): якщо його заповнено, форма "вдає" успіх і нічого не надсилає
+ * - Відправка через transport.send() (див. contact-transport.js) зі станами sending/success/error
+ */
+
+const DRAFT_STORAGE_KEY = "contactDraft";
+const FIELD_NAMES = ["name", "email", "topic", "message"];
+const HONEYPOT_NAME = "website";
+// Навмисно проста перевірка: браузерна type="email" пропускає адреси без домену верхнього рівня.
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Для окремих полів замість загальних повідомлень показуємо точніші.
+const FIELD_ERROR_KEYS = {
+  name: { length: "nameLength" },
+  email: { format: "email" },
+  topic: { required: "topic" },
+  message: { length: "messageLength" }
+};
+
+export function initContactForm(options = {}) {
+  // Форму можна передати селектором або готовим елементом, як в опціях віджетів.
+  const form = typeof options.form === "object" && options.form !== null
+    ? options.form
+    : document.querySelector(options.form ?? "#contactForm");
+  if (!form || !options.transport) {
+    return { refresh() {}, destroy() {} };
+  }
+
+  const { transport } = options;
+  const fields = Object.fromEntries(FIELD_NAMES.map((name) => [name, form.elements.namedItem(name)]));
+  const honeypot = form.elements.namedItem(HONEYPOT_NAME);
+  const counter = form.querySelector("[data-counter-for]");
+  const statusEl = form.querySelector("[data-form-status]");
+  const submitButton = form.querySelector('button[type="submit"]');
+  const listeners = new AbortController();
+  const { signal } = listeners;
+  // Помилку поля показуємо лише після того, як користувач з нього вийшов або спробував надіслати форму.
+  const touched = new Set();
+  let state = "idle";
+  let lastResult = null;
+
+  function validateField(name) {
+    const field = fields[name];
+    if (!field) return null;
+
+    const value = field.value.trim();
+    const keys = FIELD_ERROR_KEYS[name] ?? {};
+
+    if (field.required && value === "") {
+      return { key: keys.required ?? "required" };
+    }
+    if (value !== "" && name === "email" && !EMAIL_PATTERN.test(value)) {
+      return { key: keys.format ?? "format" };
+    }
+
+    const min = field.minLength > 0 ? field.minLength : 0;
+    const max = field.maxLength > 0 ? field.maxLength : Infinity;
+    if (value !== "" && (value.length < min || value.length > max)) {
+      return { key: keys.length ?? "length", params: { min, max } };
+    }
+    return null;
+  }
+
+  function showFieldError(name) {
+    const field = fields[name];
+    const errorEl = field && document.getElementById(`${field.id}Error`);
+    if (!field || !errorEl) return true;
+
+    const error = touched.has(name) ? validateField(name) : null;
+    field.setAttribute("aria-invalid", String(Boolean(error)));
+    errorEl.hidden = !error;
+    errorEl.textContent = error ? t(`contacts.form.errors.${error.key}`, "", error.params) : "";
+    return !error;
+  }
+
+  function validateAll() {
+    FIELD_NAMES.forEach((name) => touched.add(name));
+    const invalid = FIELD_NAMES.filter((name) => !showFieldError(name));
+    // Фокус переводимо на перше поле з помилкою, щоб користувач одразу почув, що виправити.
+    if (invalid.length > 0) fields[invalid[0]].focus();
+    return invalid.length === 0;
+  }
+
+  function updateCounter() {
+    const field = fields.message;
+    if (!counter || !field) return;
+
+    const max = field.maxLength > 0 ? field.maxLength : null;
+    const count = field.value.length;
+    counter.textContent = max
+      ? t("contacts.form.counter", "{count} / {max}", { count, max })
+      : String(count);
+    // Попереджаємо заздалегідь: останні 10% ліміту виділяються кольором.
+    counter.classList.toggle("form-field__counter--limit", max !== null && count >= max * 0.9);
+  }
+
+  function setState(nextState, result = null) {
+    state = nextState;
+    lastResult = result;
+    form.dataset.state = nextState;
+    form.setAttribute("aria-busy", String(nextState === "sending"));
+    if (submitButton) submitButton.disabled = nextState === "sending";
+    renderStatus();
+  }
+
+  function renderStatus() {
+    if (!statusEl) return;
+
+    const messages = {
+      idle: "",
+      sending: t("contacts.form.sending", "Надсилання…"),
+      success: lastResult?.delivery === "mailto"
+        ? t("contacts.form.mailtoOpened", "Відкрито поштовий застосунок — залишилось надіслати лист.")
+        : t("contacts.form.success", "Дякую! Повідомлення надіслано."),
+      error: t("contacts.form.error", "Не вдалося надіслати повідомлення. Спробуй ще раз або напиши на email.")
+    };
+    statusEl.textContent = messages[state];
+    statusEl.dataset.state = state;
+  }
+
+  function readMessage() {
+    return Object.fromEntries(FIELD_NAMES.map((name) => [name, fields[name]?.value.trim() ?? ""]));
+  }
+
+  function saveDraft() {
+    const draft = Object.fromEntries(FIELD_NAMES.map((name) => [name, fields[name]?.value ?? ""]));
+    const isEmpty = Object.values(draft).every((value) => value === "");
+    writeDraft(isEmpty ? null : draft);
+  }
+
+  function writeDraft(draft) {
+    // Сховище може бути недоступне (приватний режим, заповнена квота): форма має працювати і без чернетки.
+    try {
+      if (draft) {
+        localStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify(draft));
+      } else {
+        localStorage.removeItem(DRAFT_STORAGE_KEY);
+      }
+    } catch (error) {
+      console.warn("Failed to save contact form draft", error);
+    }
+  }
+
+  function restoreDraft() {
+    let draft;
+    try {
+      draft = JSON.parse(localStorage.getItem(DRAFT_STORAGE_KEY) ?? "null");
+    } catch {
+      draft = null;
+    }
+    if (!draft || typeof draft !== "object") return;
+
+    FIELD_NAMES.forEach((name) => {
+      const field = fields[name];
+      if (field && typeof draft[name] === "string" && field.value === "") field.value = draft[name];
+    });
+  }
+
+  async function submit() {
+    if (state === "sending") return;
+    if (!validateAll()) return;
+
+    // Боти заповнюють усі поля підряд, зокрема приховане. Показуємо звичайний успіх, щоб не підказувати їм.
+    if (honeypot?.value) {
+      finishSuccess({ delivery: "sent" });
+      return;
+    }
+
+    setState("sending");
+    try {
+      finishSuccess(await transport.send(readMessage()));
+    } catch (error) {
+      console.error("Failed to send contact form", error);
+      setState("error");
+    }
+  }
+
+  function finishSuccess(result) {
+    form.reset();
+    touched.clear();
+    FIELD_NAMES.forEach(showFieldError);
+    writeDraft(null);
+    updateCounter();
+    setState("success", result);
+  }
+
+  function refresh() {
+    // Після зміни мови перекладаємо видимі помилки, лічильник і статус.
+    FIELD_NAMES.forEach(showFieldError);
+    updateCounter();
+    renderStatus();
+  }
+
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    void submit();
+  }, { signal });
+
+  form.addEventListener("input", (e) => {
+    const name = e.target.name;
+    if (!FIELD_NAMES.includes(name)) return;
+
+    if (name === "message") updateCounter();
+    // Поле з уже показаною помилкою перевіряємо наживо, щоб вона зникла одразу після виправлення.
+    if (touched.has(name)) showFieldError(name);
+    if (state === "success" || state === "error") setState("idle");
+    saveDraft();
+  }, { signal });
+
+  form.addEventListener("focusout", (e) => {
+    const name = e.target.name;
+    if (!FIELD_NAMES.includes(name) || e.target.value === "") return;
+    touched.add(name);
+    showFieldError(name);
+  }, { signal });
+
+  restoreDraft();
+  updateCounter();
+  setState("idle");
+
+  return {
+    refresh,
+    destroy() {
+      listeners.abort();
+    }
+  };
+}
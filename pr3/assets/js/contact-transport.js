@@ -0,0 +1,75 @@
+import { readUrlOverride } from "./url-override.js";
+
+/**
+ * Способи відправки контактної форми pr3.
+ * - Транспорт (transport) — будь-який об'єкт з методом send(message), що повертає { delivery }
+ * - "mailto" відкриває поштовий застосунок із заповненим листом (працює без сервера)
+ * - "http" надсилає JSON методом POST на адресу з data-endpoint (або ?contact-endpoint= для тестів)
+ */
+
+const ENDPOINT_PARAM = "contact-endpoint";
+const DEFAULT_TIMEOUT_MS = 10000;
+
+export class ContactTransportError extends Error {
+  constructor(message, options = {}) {
+    super(message, { cause: options.cause });
+    this.name = "ContactTransportError";
+    this.url = options.url ?? null;
+    this.status = options.status ?? null;
+  }
+}
+
+export function createMailtoTransport(address, options = {}) {
+  return {
+    async send(message) {
+      const params = new URLSearchParams({
+        subject: options.getSubject?.(message) ?? message.topic,
+        body: `${message.message}\n\n— ${message.name} <${message.email}>`
+      });
+      // URLSearchParams кодує пробіли як "+", а поштові клієнти чекають "%20".
+      window.location.href = `mailto:${address}?${params.toString().replaceAll("+", "%20")}`;
+      // Лист лише відкрито в поштовому застосунку — надіслати його має сам користувач.
+      return { delivery: "mailto" };
+    }
+  };
+}
+
+export function createHttpTransport(url, options = {}) {
+  const timeoutMs = options.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+
+  return {
+    url,
+    async send(message) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+      let response;
+      try {
+        response = await fetch(url, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", Accept: "application/json" },
+          body: JSON.stringify(message),
+          signal: controller.signal
+        });
+      } catch (error) {
+        throw new ContactTransportError(`Network error while sending to ${url}`, { url, cause: error });
+      } finally {
+        clearTimeout(timer);
+      }
+
+      if (!response.ok) {
+        throw new ContactTransportError(`HTTP ${response.status}`, { url, status: response.status });
+      }
+      return { delivery: "sent" };
+    }
+  };
+}
+
+export function createContactTransport(form, options = {}) {
+  // Адреса сервера має пріоритет; без неї форма відкриває поштовий застосунок.
+  const endpoint = readUrlOverride(ENDPOINT_PARAM)
+    ?? (form.dataset.endpoint ? new URL(form.dataset.endpoint, window.location.href).href : null);
+
+  if (endpoint) return createHttpTransport(endpoint, options);
+  return createMailtoTransport(form.dataset.mailto ?? "", options);
+}
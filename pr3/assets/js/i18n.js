@@ -0,0 +1,521 @@
+import { animateTextScramble, prefersReducedMotion } from "../../../shared/portfolio-widgets/index.js";
+import {
+  PRERENDERED_ATTRIBUTE,
+  SEO_ATTRIBUTE,
+  buildPageMeta,
+  getLocalizedFile,
+  getSourceFile,
+  renderPageMeta
+} from "./seo.js";
+
+/**
+ * Переклади pr3: JSON-файли мов, маніфест locales.json, автовизначення мови браузера,
+ * інтерполяція, множина та Intl-форматування, режим розробника для відсутніх ключів.
+ * Разом із текстами оновлюються метадані сторінки: Open Graph, hreflang і JSON-LD (див. seo.js).
+ */
+
+const I18N_CACHE = new Map();
+const I18N_LANG_STORAGE_KEY = "lang";
+const I18N_LANG_PARAM = "lang";
+const I18N_MANIFEST_FILE = "locales.json";
+const I18N_SITE_FILE = "site.json";
+// Запасний маніфест на випадок, якщо locales.json не завантажився.
+const DEFAULT_LOCALE_MANIFEST = {
+  default: "uk",
+  locales: [
+    { code: "uk", label: "UA", name: "Українська" },
+    { code: "en", label: "EN", name: "English" }
+  ]
+};
+const I18N_TEXT_SWAP_MS = 1000;
+const I18N_DEBUG_PARAM = "i18n-debug";
+const I18N_DEBUG_STORAGE_KEY = "i18nDebug";
+const I18N_REPORTED_MISSING = new Set();
+const I18N_FORMATTER_CACHE = new Map();
+const I18N_PLACEHOLDER_RE = /\{\s*(\w+)\s*(?:,\s*(number|date|time)\s*(?:,\s*(\w+)\s*)?)?\}/g;
+const I18N_NUMBER_STYLES = {
+  integer: { maximumFractionDigits: 0 },
+  percent: { style: "percent" },
+  compact: { notation: "compact" }
+};
+
+const i18nState = {
+  lang: "uk",
+  locales: DEFAULT_LOCALE_MANIFEST.locales,
+  defaultLang: DEFAULT_LOCALE_MANIFEST.default,
+  translations: null,
+  // Мова тексту, вбудованого в HTML: її показуємо, якщо жоден файл перекладу не завантажився.
+  builtInLang: "uk",
+  // Налаштування сайту з site.json і дані проєктів для JSON-LD (з'являються після завантаження projects.json).
+  site: {},
+  metaProjects: [],
+  debug: false,
+  // Викликається після кожної зміни мови, щоб застосунок оновив динамічні частини сторінки.
+  onChange: null
+};
+
+export function getLang() {
+  return i18nState.lang;
+}
+
+export function getTranslations() {
+  return i18nState.translations;
+}
+
+export function getLocales() {
+  return i18nState.locales;
+}
+
+export async function initI18n(options = {}) {
+  i18nState.onChange = options.onChange ?? null;
+  i18nState.builtInLang = document.documentElement.lang || i18nState.builtInLang;
+
+  // Режим розробника: ?i18n-debug у адресі або localStorage.i18nDebug = "1".
+  // Відсутні ключі логуються в консоль і підсвічуються на сторінці.
+  i18nState.debug = new URLSearchParams(window.location.search).has(I18N_DEBUG_PARAM)
+    || readStoredValue(I18N_DEBUG_STORAGE_KEY) === "1";
+
+  // Список мов береться з маніфесту, тож нова мова (наприклад, pl.json) не потребує змін у JS.
+  const [manifest, site] = await Promise.all([loadLocaleManifest(), loadSiteConfig()]);
+  i18nState.locales = manifest.locales;
+  i18nState.defaultLang = manifest.default;
+  i18nState.site = site;
+
+  renderLanguageButtons();
+  bindLanguageSwitcher();
+
+  // Пріоритет: ?lang= у адресі, далі мова статичної версії сторінки (index.en.html),
+  // далі збережений вибір, далі мови браузера, далі мова за замовчуванням.
+  const initialLang = negotiateLanguage([
+    new URLSearchParams(window.location.search).get(I18N_LANG_PARAM),
+    getPrerenderedLang(),
+    readStoredValue(I18N_LANG_STORAGE_KEY),
+    ...(navigator.languages?.length ? navigator.languages : [navigator.language])
+  ]);
+  await setLanguage(initialLang);
+}
+
+async function loadLocaleManifest() {
+  try {
+    const response = await fetch(getDataFileUrl(I18N_MANIFEST_FILE), { cache: "no-cache" });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    const locales = Array.isArray(data.locales)
+      ? data.locales.filter((locale) => typeof locale?.code === "string" && locale.code !== "")
+      : [];
+    if (locales.length === 0) throw new Error("Manifest has no locales");
+
+    const codes = locales.map((locale) => locale.code);
+    return {
+      default: codes.includes(data.default) ? data.default : codes[0],
+      locales
+    };
+  } catch (error) {
+    console.error(`Failed to load ${I18N_MANIFEST_FILE}`, error);
+    return DEFAULT_LOCALE_MANIFEST;
+  }
+}
+
+async function loadSiteConfig() {
+  try {
+    const response = await fetch(getDataFileUrl(I18N_SITE_FILE), { cache: "no-cache" });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return await response.json();
+  } catch (error) {
+    // Без налаштувань сайту переклади працюють як і раніше, лише метадані будуть неповними.
+    console.error(`Failed to load ${I18N_SITE_FILE}`, error);
+    return {};
+  }
+}
+
+function getPrerenderedLang() {
+  const htmlEl = document.documentElement;
+  return htmlEl.hasAttribute(PRERENDERED_ATTRIBUTE) ? htmlEl.lang : null;
+}
+
+function getSupportedLangs() {
+  return i18nState.locales.map((locale) => locale.code);
+}
+
+function negotiateLanguage(candidates) {
+  const supported = getSupportedLangs();
+  const lowerSupported = supported.map((code) => code.toLowerCase());
+
+  for (const candidate of candidates) {
+    if (typeof candidate !== "string" || candidate === "") continue;
+
+    // Спочатку точний збіг (en-GB), потім базова мова без регіону (en-GB -> en).
+    const normalized = candidate.trim().replace("_", "-").toLowerCase();
+    const exactIndex = lowerSupported.indexOf(normalized);
+    if (exactIndex !== -1) return supported[exactIndex];
+
+    const baseIndex = lowerSupported.indexOf(normalized.split("-")[0]);
+    if (baseIndex !== -1) return supported[baseIndex];
+  }
+
+  return i18nState.defaultLang;
+}
+
+function renderLanguageButtons() {
+  // Кнопки мов генеруються з маніфесту; підпис і назва мови задаються в locales.json.
+  document.querySelectorAll("[data-lang-switch]").forEach((container) => {
+    container.innerHTML = "";
+
+    i18nState.locales.forEach((locale) => {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "lang-switch__button";
+      btn.dataset.lang = locale.code;
+      btn.lang = locale.code;
+      btn.textContent = locale.label ?? locale.code.toUpperCase();
+      if (locale.name) btn.title = locale.name;
+      btn.setAttribute("aria-pressed", "false");
+      container.appendChild(btn);
+    });
+  });
+}
+
+function bindLanguageSwitcher() {
+  document.querySelectorAll("[data-lang-switch]").forEach((container) => {
+    container.addEventListener("click", async (e) => {
+      const btn = e.target.closest("button[data-lang]");
+      if (!btn) return;
+
+      // Значення мови зчитується з data-атрибуту кнопки (dataset).
+      await selectLanguage(btn.dataset.lang);
+    });
+  });
+}
+
+// Вибір мови користувачем (кнопка, гаряча клавіша, палітра команд).
+export async function selectLanguage(lang) {
+  if (!getSupportedLangs().includes(lang) || lang === i18nState.lang) return;
+
+  // Ручний вибір важливіший за ?lang= у посиланні та за мову статичної версії сторінки,
+  // тому адреса теж оновлюється: index.en.html -> index.uk.html.
+  const url = new URL(window.location.href);
+  const isPrerendered = getPrerenderedLang() !== null;
+  if (url.searchParams.has(I18N_LANG_PARAM)) {
+    url.searchParams.set(I18N_LANG_PARAM, lang);
+  }
+  if (isPrerendered) {
+    url.pathname = getLocalizedFile(getSourceFile(url.pathname, getSupportedLangs()), lang);
+  }
+  if (isPrerendered || url.searchParams.has(I18N_LANG_PARAM)) {
+    history.replaceState(history.state, "", url);
+  }
+
+  await setLanguage(lang, { animate: true });
+}
+
+export async function setLanguage(lang, options = {}) {
+  const shouldAnimate = options.animate && !prefersReducedMotion();
+  const previous = { lang: i18nState.lang, translations: i18nState.translations };
+
+  i18nState.lang = lang;
+  saveLanguage(lang);
+
+  try {
+    // Завантажуємо JSON-файл перекладу і кешуємо його в пам'яті.
+    i18nState.translations = await loadTranslations(lang);
+  } catch (error) {
+    console.error(`Failed to load ${lang}.json`, error);
+    await applyFallbackTranslations(lang, previous);
+  }
+
+  applyTranslationsToDom({ animateText: shouldAnimate });
+  i18nState.onChange?.(i18nState.lang);
+}
+
+// Навчальний приклад fallback-логіки: при помилці повертаємось до базової мови.
+// Якщо не завантажилась і вона, лишаємо попередню мову, а на старті — текст, вбудований у HTML:
+// сторінка має працювати й без файлів перекладу.
+async function applyFallbackTranslations(failedLang, previous) {
+  if (failedLang !== i18nState.defaultLang) {
+    try {
+      i18nState.translations = await loadTranslations(i18nState.defaultLang);
+      i18nState.lang = i18nState.defaultLang;
+      saveLanguage(i18nState.defaultLang);
+      return;
+    } catch (error) {
+      console.error(`Failed to load ${i18nState.defaultLang}.json`, error);
+    }
+  }
+
+  if (previous.translations) {
+    i18nState.lang = previous.lang;
+    i18nState.translations = previous.translations;
+  } else {
+    i18nState.lang = i18nState.builtInLang;
+    i18nState.translations = null;
+  }
+  saveLanguage(i18nState.lang);
+}
+
+// Сховище може бути недоступне (приватний режим, заборона в налаштуваннях): мова тоді просто не запам'ятовується.
+function readStoredValue(key) {
+  try {
+    return localStorage.getItem(key);
+  } catch (error) {
+    console.warn(`Failed to read ${key} from localStorage`, error);
+    return null;
+  }
+}
+
+function saveLanguage(lang) {
+  try {
+    localStorage.setItem(I18N_LANG_STORAGE_KEY, lang);
+  } catch (error) {
+    console.warn("Failed to save language", error);
+  }
+}
+
+async function loadTranslations(lang) {
+  if (I18N_CACHE.has(lang)) return I18N_CACHE.get(lang);
+
+  // fetch() використовується для завантаження JSON із файлів перекладу.
+  // Для цього сайт потрібно запускати через локальний сервер, а не file://
+  const response = await fetch(getTranslationsFileUrl(lang), { cache: "no-cache" });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  const data = await response.json();
+  I18N_CACHE.set(lang, data);
+  return data;
+}
+
+function getTranslationsFileUrl(lang) {
+  return getDataFileUrl(`${lang}.json`);
+}
+
+function getDataFileUrl(fileName) {
+  // Шлях до JSON рахуємо відносно цього модуля, тож код працює і з index.html, і з pages/contacts.html.
+  return new URL(`../data/${fileName}`, import.meta.url).href;
+}
+
+function applyTranslationsToDom(options = {}) {
+  const htmlEl = document.documentElement;
+  const body = document.body;
+  if (!htmlEl || !body) return;
+
+  const page = body.dataset.page;
+  htmlEl.lang = i18nState.lang;
+
+  const pageTitle = t(`site.pageTitles.${page}`);
+  if (pageTitle) document.title = pageTitle;
+
+  const metaDescription = document.querySelector('meta[name="description"]');
+  const pageDescription = t(`site.metaDescriptions.${page}`);
+  if (metaDescription && pageDescription) {
+    metaDescription.setAttribute("content", pageDescription);
+  }
+  applyPageMeta();
+
+  // Ключі, яких немає в поточній мові: елемент -> список ключів (для режиму розробника).
+  const missing = new Map();
+
+  // Універсальний підхід: HTML-елементи позначаються data-i18n ключем,
+  // а JS підставляє відповідні значення з об'єкта перекладу.
+  // Якщо ключа немає, залишаємо текст із HTML замість порожнього рядка.
+  document.querySelectorAll("[data-i18n]").forEach((el) => {
+    const value = lookupDomTranslation(el, el.dataset.i18n, missing);
+    if (typeof value === "string") {
+      if (options.animateText) {
+        animateTextScramble(el, value, { durationMs: I18N_TEXT_SWAP_MS });
+      } else {
+        el.textContent = value;
+      }
+    }
+  });
+
+  // Плейсхолдери полів введення також залежать від мови.
+  document.querySelectorAll("[data-i18n-placeholder]").forEach((el) => {
+    const value = lookupDomTranslation(el, el.dataset.i18nPlaceholder, missing);
+    if (typeof value === "string") {
+      el.setAttribute("placeholder", value);
+    }
+  });
+
+  // Окремо оновлюємо aria-атрибути, щоб не втрачати доступність після перекладу.
+  document.querySelectorAll("[data-i18n-aria-label]").forEach((el) => {
+    const value = lookupDomTranslation(el, el.dataset.i18nAriaLabel, missing);
+    if (typeof value === "string") {
+      el.setAttribute("aria-label", value);
+    }
+  });
+
+  markMissingTranslations(missing);
+  updateLanguageButtons();
+}
+
+// Дані проєктів (projects.json) для CreativeWork у JSON-LD; тексти проєктів беруться з поточного перекладу.
+export function setStructuredDataProjects(items) {
+  i18nState.metaProjects = Array.isArray(items) ? items : [];
+  if (i18nState.translations) applyPageMeta();
+}
+
+function applyPageMeta() {
+  const page = document.body?.dataset.page;
+  // Без перекладів лишаємо теги, вбудовані в HTML, замість порожніх.
+  if (!page || !i18nState.translations) return;
+
+  const meta = buildPageMeta({
+    page,
+    lang: i18nState.lang,
+    locales: i18nState.locales,
+    translations: i18nState.translations,
+    site: i18nState.site,
+    siteRoot: getSiteRoot(page),
+    projects: i18nState.metaProjects
+  });
+
+  // Теги з попередньої мови (або з статичної версії сторінки) повністю замінюються новими.
+  document.head.querySelectorAll(`[${SEO_ATTRIBUTE}]`).forEach((el) => el.remove());
+  document.head.insertAdjacentHTML("beforeend", renderPageMeta(meta));
+}
+
+function getSiteRoot(page) {
+  if (i18nState.site.url) return i18nState.site.url;
+
+  // Без адреси в site.json корінь сайту рахуємо від поточної сторінки: pages/contacts.html -> ../
+  const depth = (i18nState.site.pages?.[page] ?? "").split("/").length - 1;
+  return new URL("../".repeat(depth) || "./", window.location.href).href;
+}
+
+function lookupDomTranslation(el, key, missing) {
+  const value = getByPath(i18nState.translations, key);
+  if (typeof value === "string") return value;
+
+  reportMissingTranslation(key);
+  missing.set(el, [...(missing.get(el) ?? []), key]);
+  return undefined;
+}
+
+function markMissingTranslations(missing) {
+  if (!i18nState.debug) return;
+
+  // Позначки з попередньої мови знімаємо, бо в новій мові ключ уже може існувати.
+  document.querySelectorAll(".i18n-missing").forEach((el) => {
+    el.classList.remove("i18n-missing");
+    el.removeAttribute("data-i18n-missing");
+  });
+
+  missing.forEach((keys, el) => {
+    el.classList.add("i18n-missing");
+    el.dataset.i18nMissing = keys.join(" ");
+  });
+}
+
+function reportMissingTranslation(path) {
+  if (!i18nState.debug) return;
+
+  // Кожен ключ логуємо лише один раз для кожної мови, щоб не засмічувати консоль при повторних рендерах.
+  const id = `${i18nState.lang}:${path}`;
+  if (I18N_REPORTED_MISSING.has(id)) return;
+  I18N_REPORTED_MISSING.add(id);
+  console.warn(`[i18n] Missing key "${path}" for "${i18nState.lang}"`);
+}
+
+function updateLanguageButtons() {
+  const buttons = Array.from(document.querySelectorAll("[data-lang-switch] button[data-lang]"));
+  buttons.forEach((btn) => {
+    const isActive = btn.dataset.lang === i18nState.lang;
+    btn.setAttribute("aria-pressed", String(isActive));
+    // Стан кнопки відображається і через aria-атрибут, і через CSS-клас.
+    btn.classList.toggle("lang-switch__button--active", isActive);
+  });
+}
+
+export function t(path, fallback = "", params) {
+  // Невелика функція-доступ до перекладів за "шляхом" (наприклад, "nav.home").
+  const translated = getByPath(i18nState.translations, path);
+  if (translated === undefined) reportMissingTranslation(path);
+
+  const value = translated ?? fallback;
+  // Без параметрів повертаємо значення як є — так працюють звичайні статичні рядки.
+  if (params === undefined) return value;
+  return formatMessage(value, params);
+}
+
+function getByPath(obj, path) {
+  if (!obj || !path) return undefined;
+  return path.split(".").reduce((acc, key) => {
+    if (acc == null) return undefined;
+    if (Array.isArray(acc) && /^\d+$/.test(key)) return acc[Number(key)];
+    return acc[key];
+  }, obj);
+}
+
+function formatMessage(message, params = {}) {
+  // Множина задається об'єктом форм ("one", "few", "many", "other", точні "=0"),
+  // а рядок усередині може містити плейсхолдери {name}, {name, number} чи {name, date, long}.
+  const isPlural = isPluralForms(message);
+  const template = isPlural ? selectPluralForm(message, params.count) : message;
+  if (typeof template !== "string") return template;
+
+  // Як і в ICU MessageFormat, "#" у формі множини означає відформатоване число.
+  // Замінюємо його до підстановки параметрів, щоб не зачепити "#" у самих значеннях.
+  const withCount = isPlural && typeof params.count === "number"
+    ? template.replaceAll("#", formatNumber(params.count))
+    : template;
+
+  return withCount.replace(I18N_PLACEHOLDER_RE, (match, name, type, style) => {
+    if (!(name in params)) return match;
+    return formatPlaceholder(params[name], type, style);
+  });
+}
+
+function isPluralForms(value) {
+  return value !== null
+    && typeof value === "object"
+    && !Array.isArray(value)
+    && typeof value.other === "string";
+}
+
+function selectPluralForm(forms, count) {
+  if (typeof count !== "number") return forms.other;
+
+  const exact = forms[`=${count}`];
+  if (typeof exact === "string") return exact;
+
+  // Intl.PluralRules знає правила мови: для "uk" це one/few/many/other, для "en" — one/other.
+  const category = getCachedFormatter("plural", {}, () => new Intl.PluralRules(i18nState.lang)).select(count);
+  return forms[category] ?? forms.other;
+}
+
+function formatPlaceholder(value, type, style) {
+  if (type === "number" || (!type && typeof value === "number")) {
+    return formatNumber(value, I18N_NUMBER_STYLES[style]);
+  }
+
+  if (type === "time") return formatDate(value, { timeStyle: style ?? "short" });
+  if (type === "date" || value instanceof Date) return formatDate(value, { dateStyle: style ?? "medium" });
+
+  return String(value);
+}
+
+export function formatNumber(value, options = {}) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return String(value);
+  return getCachedFormatter("number", options, () => new Intl.NumberFormat(i18nState.lang, options)).format(number);
+}
+
+export function formatDate(value, options = { dateStyle: "medium" }) {
+  // Дата може прийти з JSON як рядок ISO ("2025-06-01"), число або об'єкт Date.
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value);
+  return getCachedFormatter("date", options, () => new Intl.DateTimeFormat(i18nState.lang, options)).format(date);
+}
+
+function getCachedFormatter(kind, options, create) {
+  // Створення Intl-об'єктів відносно дороге, тому кешуємо їх для кожної мови й набору опцій.
+  const key = `${kind}|${i18nState.lang}|${JSON.stringify(options)}`;
+  if (!I18N_FORMATTER_CACHE.has(key)) I18N_FORMATTER_CACHE.set(key, create());
+  return I18N_FORMATTER_CACHE.get(key);
+}
@@ -0,0 +1,90 @@
+import { escapeHtml, escapeHtmlAttr } from "../../../shared/portfolio-widgets/index.js";
+import { t } from "./i18n.js";
+
+/**
+ * Офлайн-режим pr3: реєстрація service worker (sw.js) і банер про нову версію сайту.
+ */
+
+let serviceWorkerReloading = false;
+
+export function initServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+  // Service worker працює лише через http(s), а не file://
+  if (!/^https?:$/.test(window.location.protocol)) return;
+
+  // Реєструємо після повного завантаження, щоб precache не конкурував із ресурсами сторінки.
+  const register = async () => {
+    try {
+      const registration = await navigator.serviceWorker.register(getServiceWorkerUrl());
+      watchServiceWorkerUpdates(registration);
+    } catch (error) {
+      console.error("Service worker registration failed", error);
+    }
+  };
+
+  if (document.readyState === "complete") {
+    void register();
+  } else {
+    window.addEventListener("load", () => void register(), { once: true });
+  }
+
+  // Після активації нової версії перезавантажуємо сторінку, щоб вона отримала свіжі файли.
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (serviceWorkerReloading) return;
+    serviceWorkerReloading = true;
+    window.location.reload();
+  });
+}
+
+function getServiceWorkerUrl() {
+  // sw.js лежить у корені pr3; шлях рахуємо від цього модуля, як і для файлів перекладів,
+  // тому реєстрація працює і з pages/contacts.html, і в підкаталозі GitHub Pages.
+  return new URL("../../sw.js", import.meta.url).href;
+}
+
+function watchServiceWorkerUpdates(registration) {
+  // Якщо сторінку вже обслуговує старий worker, новий чекає в стані "waiting" — пропонуємо оновитися.
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    showUpdateBanner(registration.waiting);
+  }
+
+  registration.addEventListener("updatefound", () => {
+    const worker = registration.installing;
+    if (!worker) return;
+
+    worker.addEventListener("statechange", () => {
+      if (worker.state === "installed" && navigator.serviceWorker.controller) {
+        showUpdateBanner(worker);
+      }
+    });
+  });
+}
+
+function showUpdateBanner(worker) {
+  if (document.getElementById("updateBanner")) return;
+
+  const banner = document.createElement("div");
+  banner.className = "update-banner";
+  banner.id = "updateBanner";
+  banner.setAttribute("role", "status");
+  // Тексти банера також перекладаються при зміні мови через data-i18n.
+  banner.innerHTML = `
+    <span data-i18n="update.text">${escapeHtml(t("update.text", "Доступна нова версія сайту."))}</span>
+    <button class="btn" type="button" data-action="update-reload" data-i18n="update.reload">${escapeHtml(t("update.reload", "Оновити"))}</button>
+    <button class="btn btn--ghost" type="button" data-action="update-dismiss" aria-label="${escapeHtmlAttr(t("update.dismissAria", "Закрити повідомлення"))}" data-i18n-aria-label="update.dismissAria">✕</button>
+  `;
+
+  banner.addEventListener("click", (e) => {
+    if (e.target.closest('[data-action="update-reload"]')) {
+      // Нова версія активується лише за згодою користувача; перезавантаження — у controllerchange.
+      worker.postMessage({ type: "SKIP_WAITING" });
+      return;
+    }
+
+    if (e.target.closest('[data-action="update-dismiss"]')) {
+      banner.remove();
+    }
+  });
+
+  document.body.appendChild(banner);
+}
@@ -0,0 +1,174 @@
+import { parseUrl, readUrlOverride } from "./url-override.js";
+
+/**
+ * Дані проєктів pr3.
+ * - Джерело (source) — будь-який об'єкт з методом load(): JSON за адресою або масив у пам'яті
+ * - Адреса JSON задається в data-projects-src і може бути перевизначена параметром ?projects-src=
+ * - Назва, опис і деталі беруться з файлу перекладу за id проєкту
+ * - Кожен елемент перевіряється: некоректні не рендеряться і повертаються у звіті invalid
+ */
+
+const PROJECTS_SRC_PARAM = "projects-src";
+const DEFAULT_PROJECTS_URL = new URL("../data/projects.json", import.meta.url).href;
+const TEXT_FIELDS = ["title", "description", "details"];
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export class ProjectSourceError extends Error {
+  constructor(message, options = {}) {
+    super(message, { cause: options.cause });
+    this.name = "ProjectSourceError";
+    this.url = options.url ?? null;
+    this.status = options.status ?? null;
+  }
+}
+
+export function createJsonProjectSource(url) {
+  return {
+    url,
+    async load() {
+      let response;
+      try {
+        response = await fetch(url, { cache: "no-cache" });
+      } catch (error) {
+        throw new ProjectSourceError(`Network error while loading ${url}`, { url, cause: error });
+      }
+
+      if (!response.ok) {
+        throw new ProjectSourceError(`HTTP ${response.status}`, { url, status: response.status });
+      }
+
+      let data;
+      try {
+        data = await response.json();
+      } catch (error) {
+        throw new ProjectSourceError(`Invalid JSON in ${url}`, { url, cause: error });
+      }
+
+      // Підтримуємо обидва формати: { "items": [...] } і просто масив.
+      const items = Array.isArray(data) ? data : data?.items;
+      if (!Array.isArray(items)) {
+        throw new ProjectSourceError(`Expected an "items" array in ${url}`, { url });
+      }
+      return items;
+    }
+  };
+}
+
+export function createStaticProjectSource(items) {
+  return {
+    async load() {
+      return items;
+    }
+  };
+}
+
+export function createProjectRepository(source) {
+  let pending = null;
+
+  return {
+    load(options = {}) {
+      // Повторні виклики отримують той самий запит; force: true потрібен для кнопки "Спробувати ще раз".
+      if (!pending || options.force) {
+        pending = source.load().catch((error) => {
+          pending = null;
+          throw error;
+        });
+      }
+      return pending;
+    }
+  };
+}
+
+export function resolveProjectsUrl(configured) {
+  // Перевизначити адресу через параметр можна лише на той самий сайт або локальний сервер (для тестів).
+  const override = readUrlOverride(PROJECTS_SRC_PARAM);
+  if (override) return override;
+
+  return configured ? new URL(configured, window.location.href).href : DEFAULT_PROJECTS_URL;
+}
+
+export function localizeProjects(items, texts) {
+  // Тексти з файлу перекладу накладаються на дані проєкту за id; решта полів не залежить від мови.
+  const textById = new Map(
+    (Array.isArray(texts) ? texts : [])
+      .filter((text) => typeof text?.id === "string")
+      .map((text) => [text.id, text])
+  );
+
+  return items.map((item) => {
+    const text = textById.get(item?.id);
+    if (!text) return item;
+
+    const localized = { ...item };
+    TEXT_FIELDS.forEach((field) => {
+      if (typeof text[field] === "string") localized[field] = text[field];
+    });
+    return localized;
+  });
+}
+
+export function validateProjects(items) {
+  const valid = [];
+  const invalid = [];
+  const seenIds = new Set();
+
+  items.forEach((item, index) => {
+    const errors = getProjectErrors(item);
+    if (errors.length === 0 && seenIds.has(item.id)) errors.push(`duplicate id "${item.id}"`);
+
+    if (errors.length > 0) {
+      invalid.push({ index, id: typeof item?.id === "string" ? item.id : null, errors });
+      return;
+    }
+
+    seenIds.add(item.id);
+    valid.push({
+      ...item,
+      description: item.description ?? "",
+      details: item.details ?? ""
+    });
+  });
+
+  return { valid, invalid };
+}
+
+function getProjectErrors(item) {
+  if (item === null || typeof item !== "object" || Array.isArray(item)) {
+    return ["item must be an object"];
+  }
+
+  const errors = [];
+  if (!isNonEmptyString(item.id)) errors.push('"id" must be a non-empty string');
+  if (!isNonEmptyString(item.title)) errors.push('"title" must be a non-empty string');
+  if (!Array.isArray(item.tags) || !item.tags.every(isNonEmptyString)) {
+    errors.push('"tags" must be an array of non-empty strings');
+  }
+  // Адреси потрапляють у src і href, тому дозволяємо лише http(s) — без javascript: чи data:.
+  if (!isHttpUrl(item.image)) errors.push('"image" must be an http(s) URL');
+  if (!isHttpUrl(item.repo)) errors.push('"repo" must be an http(s) URL');
+
+  // Дата потрібна для сортування "Спочатку нові"; проєкт без дати просто опиниться в кінці.
+  if (item.date !== undefined && !isIsoDate(item.date)) errors.push('"date" must be a YYYY-MM-DD date');
+
+  ["description", "details"].forEach((field) => {
+    if (item[field] !== undefined && typeof item[field] !== "string") {
+      errors.push(`"${field}" must be a string`);
+    }
+  });
+
+  return errors;
+}
+
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim() !== "";
+}
+
+function isIsoDate(value) {
+  return typeof value === "string" && ISO_DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+function isHttpUrl(value) {
+  if (!isNonEmptyString(value)) return false;
+  const url = parseUrl(value);
+  return url !== null && (url.protocol === "https:" || url.protocol === "http:");
+}
@@ -0,0 +1,160 @@
+import { escapeHtml, escapeHtmlAttr } from "../../../shared/portfolio-widgets/dom.js";
+import { localizeProjects, validateProjects } from "./project-repository.js";
+
+/**
+ * Метадані сторінки для пошукових систем і соцмереж.
+ * - Open Graph і Twitter Card, link rel="alternate" hreflang для кожної мови, JSON-LD (Person і CreativeWork)
+ * - Модуль не працює з DOM: ті самі теги вставляє i18n.js у браузері та scripts/prerender.mjs у статичний HTML
+ * - Мовні версії сторінок — файли поруч з оригіналом (index.html -> index.en.html), їх створює npm run build:pr3;
+ *   x-default веде на оригінал, який сам обирає мову
+ *
+ * Налаштування сайту (адреса, зображення, контакти, список сторінок) — assets/data/site.json,
+ * тексти — блок "site" у файлах перекладу.
+ */
+
+export const SEO_ATTRIBUTE = "data-seo";
+export const PRERENDERED_ATTRIBUTE = "data-prerendered";
+
+const SCHEMA_CONTEXT = "https://schema.org";
+
+export function getLocalizedFile(file, lang) {
+  return file.replace(/\.html$/, `.${lang}.html`);
+}
+
+// index.en.html -> index.html: з мовної версії отримуємо файл оригіналу.
+export function getSourceFile(file, langs) {
+  const suffix = new RegExp(`\\.(?:${langs.map(escapeRegExp).join("|")})\\.html$`);
+  return file.replace(suffix, ".html");
+}
+
+export function buildPageMeta(options) {
+  const { page, lang, locales, translations, site = {}, siteRoot, projects = [] } = options;
+  const text = (path) => getByPath(translations, path);
+  const pageFile = site.pages?.[page];
+  const toUrl = (file) => new URL(file, siteRoot).href;
+
+  const title = text(`site.pageTitles.${page}`);
+  const description = text(`site.metaDescriptions.${page}`);
+  const url = pageFile ? toUrl(getLocalizedFile(pageFile, lang)) : null;
+  const image = site.image ? toUrl(site.image) : null;
+  const imageAlt = text("site.imageAlt");
+  const currentLocale = locales.find((locale) => locale.code === lang);
+
+  const alternates = pageFile
+    ? [
+      ...locales.map((locale) => ({ hreflang: locale.code, href: toUrl(getLocalizedFile(pageFile, locale.code)) })),
+      { hreflang: "x-default", href: toUrl(pageFile) }
+    ]
+    : [];
+
+  const tags = [
+    ["property", "og:type", "website"],
+    ["property", "og:site_name", text("site.name")],
+    ["property", "og:title", title],
+    ["property", "og:description", description],
+    ["property", "og:url", url],
+    ["property", "og:locale", toOgLocale(currentLocale ?? { code: lang })],
+    ...locales
+      .filter((locale) => locale.code !== lang)
+      .map((locale) => ["property", "og:locale:alternate", toOgLocale(locale)]),
+    ["property", "og:image", image],
+    ["property", "og:image:alt", image && imageAlt],
+    ["name", "twitter:card", "summary"],
+    ["name", "twitter:title", title],
+    ["name", "twitter:description", description],
+    ["name", "twitter:image", image],
+    ["name", "twitter:image:alt", image && imageAlt]
+  ]
+    // Порожні значення не виводимо: тег без content гірший, ніж його відсутність.
+    .filter(([, , content]) => typeof content === "string" && content !== "")
+    .map(([attribute, key, content]) => ({ attribute, key, content }));
+
+  return {
+    alternates,
+    tags,
+    jsonLd: buildStructuredData({ page, lang, text, site, toUrl, image, projects, translations })
+  };
+}
+
+export function renderPageMeta(meta, indent = "") {
+  const lines = [
+    ...meta.alternates.map(({ hreflang, href }) => (
+      `<link rel="alternate" hreflang="${escapeHtmlAttr(hreflang)}" href="${escapeHtmlAttr(href)}" ${SEO_ATTRIBUTE}>`
+    )),
+    ...meta.tags.map(({ attribute, key, content }) => (
+      `<meta ${attribute}="${escapeHtmlAttr(key)}" content="${escapeHtmlAttr(content)}" ${SEO_ATTRIBUTE}>`
+    )),
+    `<script type="application/ld+json" ${SEO_ATTRIBUTE}>${serializeJsonLd(meta.jsonLd)}</script>`
+  ];
+  return lines.map((line) => `${indent}${line}`).join("\n");
+}
+
+// Статичний список проєктів для сторінок без JavaScript (усередині <noscript>).
+export function renderStaticProjectList(items, indent = "") {
+  const lines = items.map((item) => (
+    `${indent}  <li><strong>${escapeHtml(item.title)}</strong> — ${escapeHtml(item.description)}</li>`
+  ));
+  return [`${indent}<ul class="card">`, ...lines, `${indent}</ul>`].join("\n");
+}
+
+export function getMetaProjects(projects, translations) {
+  // Тексти беруться з перекладу, решта полів (дата, теги, зображення) — з projects.json, як і в сітці карток.
+  return validateProjects(localizeProjects(projects, translations?.projects?.items)).valid;
+}
+
+function buildStructuredData({ page, lang, text, site, toUrl, image, projects, translations }) {
+  const indexFile = site.pages?.index;
+  const homeUrl = indexFile ? toUrl(getLocalizedFile(indexFile, lang)) : undefined;
+  const personId = `${toUrl(indexFile ?? "./")}#person`;
+
+  const person = compact({
+    "@type": "Person",
+    "@id": personId,
+    name: text("site.person.name"),
+    jobTitle: text("site.person.jobTitle"),
+    url: homeUrl,
+    image: image ?? undefined,
+    email: site.person?.email ? `mailto:${site.person.email}` : undefined,
+    sameAs: site.person?.sameAs?.length ? site.person.sameAs : undefined
+  });
+
+  // Проєкти показуються лише на головній, тож і CreativeWork описуємо лише там.
+  const works = page === "index" && homeUrl
+    ? getMetaProjects(projects, translations).map((project) => compact({
+      "@type": "CreativeWork",
+      "@id": `${homeUrl}#project=${encodeURIComponent(project.id)}`,
+      url: `${homeUrl}#project=${encodeURIComponent(project.id)}`,
+      name: project.title,
+      description: project.description,
+      abstract: project.details,
+      inLanguage: lang,
+      dateCreated: project.date,
+      keywords: Array.isArray(project.tags) ? project.tags.join(", ") : undefined,
+      image: project.image,
+      author: { "@id": personId }
+    }))
+    : [];
+
+  return { "@context": SCHEMA_CONTEXT, "@graph": [person, ...works] };
+}
+
+function serializeJsonLd(data) {
+  // "<" екрануємо, щоб текст на кшталт "</script>" у даних не закрив тег передчасно.
+  return JSON.stringify(data).replaceAll("<", "\\u003c");
+}
+
+function toOgLocale(locale) {
+  return locale.ogLocale ?? locale.code;
+}
+
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined && value !== ""));
+}
+
+function getByPath(obj, path) {
+  return path.split(".").reduce((acc, key) => (acc == null ? undefined : acc[key]), obj);
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
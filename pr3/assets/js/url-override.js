@@ -0,0 +1,29 @@
+/**
+ * Перевизначення адрес через параметри сторінки (?projects-src=, ?contact-endpoint=).
+ * Потрібне для тестів і локальної розробки: дозволені лише адреси того самого сайту
+ * або локального сервера, тож стороннє посилання не підмінить джерело даних чи адресу відправки.
+ */
+
+const LOOPBACK_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
+
+export function readUrlOverride(param) {
+  const value = new URLSearchParams(window.location.search).get(param);
+  if (!value) return null;
+
+  const url = parseUrl(value);
+  if (url && (url.origin === window.location.origin || LOOPBACK_HOSTS.includes(url.hostname))) {
+    return url.href;
+  }
+
+  console.warn(`Ignoring ?${param}=${value}: only same-origin or localhost URLs are allowed`);
+  return null;
+}
+
+export function parseUrl(value) {
+  try {
+    // Поза браузером (scripts/prerender.mjs у Node) location немає — тоді приймаються лише абсолютні адреси.
+    return new URL(value, globalThis.location?.href);
+  } catch {
+    return null;
+  }
+}
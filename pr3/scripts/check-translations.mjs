@@ -0,0 +1,189 @@
+/**
+ * Перевірка повноти перекладів pr3.
+ * - Звіряє маніфест locales.json з файлами перекладів у assets/data/
+ * - Порівнює дерева ключів усіх мов
+ * - Перевіряє, що projects.items мають однакові id в усіх мовах і збігаються з projects.json
+ * - Завершується з кодом 1, якщо знайдено розбіжності (для CI)
+ *
+ * Запуск: npm run check:pr3-i18n
+ */
+
+import { readdir, readFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const DATA_DIR = fileURLToPath(new URL("../assets/data/", import.meta.url));
+const MANIFEST_FILE = "locales.json";
+const PROJECTS_FILE = "projects.json";
+// Налаштування сайту (адреса, сторінки) не є файлом перекладу.
+const SITE_FILE = "site.json";
+const ITEM_SEGMENT_RE = /\[id=[^\]]+\]/g;
+
+const manifest = JSON.parse(await readFile(path.join(DATA_DIR, MANIFEST_FILE), "utf8"));
+const projects = JSON.parse(await readFile(path.join(DATA_DIR, PROJECTS_FILE), "utf8"));
+const locales = await loadLocales(DATA_DIR);
+const problems = [
+  ...checkManifest(manifest, locales),
+  ...checkLocales(locales, manifest.default),
+  ...checkProjectsFile(projects, locales)
+];
+
+if (problems.length === 0) {
+  console.log(`Переклади узгоджені: ${locales.map((l) => l.lang).join(", ")}.`);
+} else {
+  problems.forEach((problem) => console.error(`✗ ${problem}`));
+  console.error(`\nЗнайдено розбіжностей: ${problems.length}.`);
+  process.exitCode = 1;
+}
+
+async function loadLocales(dir) {
+  const files = (await readdir(dir))
+    .filter((file) => file.endsWith(".json") && ![MANIFEST_FILE, PROJECTS_FILE, SITE_FILE].includes(file))
+    .sort();
+
+  return Promise.all(files.map(async (file) => {
+    const raw = await readFile(path.join(dir, file), "utf8");
+    return { file, lang: path.basename(file, ".json"), data: JSON.parse(raw) };
+  }));
+}
+
+function checkManifest(data, locales) {
+  const problems = [];
+  const codes = Array.isArray(data.locales) ? data.locales.map((locale) => locale?.code) : [];
+  const files = locales.map((locale) => locale.lang);
+
+  if (codes.length === 0) problems.push(`${MANIFEST_FILE}: список "locales" порожній.`);
+  if (!codes.includes(data.default)) {
+    problems.push(`${MANIFEST_FILE}: мова за замовчуванням "${data.default}" відсутня в "locales".`);
+  }
+
+  // Кожна мова з маніфесту потребує файлу перекладу, і кожен файл має бути зареєстрований у маніфесті.
+  diff(codes, files).forEach((code) => problems.push(`${MANIFEST_FILE}: немає файлу ${code}.json для мови "${code}".`));
+  diff(files, codes).forEach((code) => problems.push(`${code}.json: мова не зареєстрована в ${MANIFEST_FILE}.`));
+  return problems;
+}
+
+function checkLocales(locales, baseLang) {
+  const problems = [];
+  const base = locales.find((l) => l.lang === baseLang) ?? locales[0];
+  if (!base) return ["У assets/data/ немає жодного файлу перекладу."];
+
+  locales.forEach((locale) => {
+    if (locale.data.lang !== locale.lang) {
+      problems.push(`${locale.file}: поле "lang" має бути "${locale.lang}", а не "${locale.data.lang}".`);
+    }
+  });
+
+  // Ключі порівнюємо з базовою мовою в обидва боки: відсутні й зайві.
+  const baseKeys = collectKeys(base.data);
+  locales.filter((l) => l !== base).forEach((locale) => {
+    const keys = collectKeys(locale.data);
+    withMatchedItems(diff(baseKeys, keys), keys)
+      .forEach((key) => problems.push(`${locale.file}: відсутній ключ "${key}".`));
+    withMatchedItems(diff(keys, baseKeys), baseKeys)
+      .forEach((key) => problems.push(`${locale.file}: зайвий ключ "${key}" (немає в ${base.file}).`));
+  });
+
+  problems.push(...checkProjectItems(locales, base));
+  return problems;
+}
+
+function checkProjectItems(locales, base) {
+  const problems = [];
+  const idsByLocale = new Map();
+
+  locales.forEach((locale) => {
+    const items = locale.data.projects?.items;
+    if (!Array.isArray(items)) {
+      problems.push(`${locale.file}: "projects.items" має бути масивом.`);
+      return;
+    }
+
+    const ids = items.map((item) => item?.id);
+    ids.forEach((id, index) => {
+      if (typeof id !== "string" || id === "") {
+        problems.push(`${locale.file}: projects.items.${index} не має коректного "id".`);
+      } else if (ids.indexOf(id) !== index) {
+        problems.push(`${locale.file}: повторюваний id проєкту "${id}".`);
+      }
+    });
+    idsByLocale.set(locale, ids);
+  });
+
+  const baseIds = idsByLocale.get(base);
+  if (!baseIds) return problems;
+
+  idsByLocale.forEach((ids, locale) => {
+    if (locale === base) return;
+    diff(baseIds, ids).forEach((id) => problems.push(`${locale.file}: немає проєкту з id "${id}".`));
+    diff(ids, baseIds).forEach((id) => problems.push(`${locale.file}: зайвий проєкт з id "${id}".`));
+  });
+
+  return problems;
+}
+
+function checkProjectsFile(data, locales) {
+  // projects.json містить дані, що не залежать від мови (теги, зображення, репозиторій),
+  // а тексти кожного проєкту мають бути в усіх файлах перекладу.
+  const items = Array.isArray(data) ? data : data?.items;
+  if (!Array.isArray(items)) return [`${PROJECTS_FILE}: "items" має бути масивом.`];
+
+  const problems = [];
+  const ids = items.map((item) => item?.id);
+  ids.forEach((id, index) => {
+    if (typeof id !== "string" || id === "") {
+      problems.push(`${PROJECTS_FILE}: items.${index} не має коректного "id".`);
+    } else if (ids.indexOf(id) !== index) {
+      problems.push(`${PROJECTS_FILE}: повторюваний id проєкту "${id}".`);
+    }
+  });
+
+  locales.forEach((locale) => {
+    const localeIds = (locale.data.projects?.items ?? []).map((item) => item?.id);
+    diff(ids, localeIds).forEach((id) => problems.push(`${locale.file}: немає текстів для проєкту "${id}" з ${PROJECTS_FILE}.`));
+    diff(localeIds, ids).forEach((id) => problems.push(`${locale.file}: проєкту "${id}" немає в ${PROJECTS_FILE}.`));
+  });
+
+  return problems;
+}
+
+function collectKeys(value, prefix = "", out = new Set()) {
+  // Форми множини ({ one, few, many, other }) різняться між мовами, тому вважаємо їх одним ключем.
+  if (isPluralForms(value) || value === null || typeof value !== "object") {
+    if (prefix) out.add(prefix);
+    return out;
+  }
+
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => {
+      // Елементи проєктів ідентифікуємо за id, а не за позицією в масиві.
+      const key = typeof item?.id === "string" ? `[id=${item.id}]` : String(index);
+      collectKeys(item, prefix ? `${prefix}.${key}` : key, out);
+    });
+    return out;
+  }
+
+  Object.entries(value).forEach(([key, child]) => {
+    collectKeys(child, prefix ? `${prefix}.${key}` : key, out);
+  });
+  return out;
+}
+
+function withMatchedItems(keys, otherKeys) {
+  // Якщо проєкту з таким id немає взагалі, про це повідомить checkProjectItems —
+  // не дублюємо таку помилку окремим рядком для кожного його поля.
+  const otherItems = new Set(Array.from(otherKeys).flatMap((key) => key.match(ITEM_SEGMENT_RE) ?? []));
+  return keys.filter((key) => (key.match(ITEM_SEGMENT_RE) ?? []).every((segment) => otherItems.has(segment)));
+}
+
+function isPluralForms(value) {
+  return value !== null
+    && typeof value === "object"
+    && !Array.isArray(value)
+    && typeof value.other === "string";
+}
+
+function diff(a, b) {
+  const other = new Set(b);
+  return Array.from(a).filter((item) => !other.has(item));
+}
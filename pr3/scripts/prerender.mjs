@@ -0,0 +1,194 @@
+/**
+ * Статичні мовні версії сторінок pr3 для пошукових систем і соцмереж.
+ * - Для кожної сторінки з site.json і кожної мови з locales.json створює файл поруч з оригіналом:
+ *   index.html -> index.uk.html, index.en.html; pages/contacts.html -> pages/contacts.en.html
+ * - Підставляє переклади в елементи з data-i18n (текст, placeholder, aria-label), заголовок і опис сторінки
+ * - Додає Open Graph, Twitter Card, hreflang і JSON-LD — ті самі теги, що й i18n.js у браузері (seo.js)
+ * - Посилання між сторінками ведуть на версії тією ж мовою, а в <noscript> з'являється список проєктів
+ * - Оригінали (index.html, pages/contacts.html) скрипт лише читає: теги в них додає i18n.js у браузері
+ *
+ * Результат — артефакт збірки: у репозиторії його немає (.gitignore), сторінки генерує job деплою перед публікацією,
+ * а для e2e-тестів — globalSetup Playwright.
+ * Запуск: npm run build:pr3 (адресу сайту можна перевизначити: -- --site-url=https://example.com/pr3/)
+ * Видалити згенеровані сторінки: npm run clean:pr3
+ * Перевірка для CI, що в оригіналах немає згенерованих блоків і сторінки будуються: npm run check:pr3-prerender
+ */
+
+import { readFile, rm, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { escapeHtmlAttr } from "../../shared/portfolio-widgets/dom.js";
+import {
+  PRERENDERED_ATTRIBUTE,
+  SEO_ATTRIBUTE,
+  buildPageMeta,
+  getLocalizedFile,
+  getMetaProjects,
+  renderPageMeta,
+  renderStaticProjectList
+} from "../assets/js/seo.js";
+
+const PR3_DIR = fileURLToPath(new URL("../", import.meta.url));
+const DATA_DIR = path.join(PR3_DIR, "assets/data");
+// Базова адреса для розв'язання відносних посилань: важливий лише шлях файлу всередині pr3
+// (окремий каталог, щоб ../index.html — загальна сторінка курсу — не сприймався як сторінка pr3).
+const RESOLVE_BASE = "https://site.invalid/pr3/";
+
+const args = process.argv.slice(2);
+const checkOnly = args.includes("--check");
+const cleanOnly = args.includes("--clean");
+const siteUrlArg = args.find((arg) => arg.startsWith("--site-url="))?.slice("--site-url=".length);
+
+const manifest = await readJson("locales.json");
+const site = await readJson("site.json");
+const projectsFile = await readJson("projects.json");
+const projects = Array.isArray(projectsFile) ? projectsFile : projectsFile.items ?? [];
+const locales = await Promise.all(manifest.locales.map(async (locale) => ({
+  ...locale,
+  translations: await readJson(`${locale.code}.json`)
+})));
+
+const siteRoot = siteUrlArg || site.url;
+if (!siteRoot || !URL.canParse(siteRoot)) {
+  console.error("✗ Потрібна абсолютна адреса сайту: поле \"url\" у site.json або --site-url=<адреса>.");
+  process.exit(1);
+}
+
+const outputs = [];
+// Оригінали, у які потрапили згенеровані теги (наприклад, вставлені вручну або старою версією скрипта).
+const dirtySources = [];
+for (const [page, file] of Object.entries(site.pages ?? {})) {
+  // Мовні версії будуємо з "чистого" оригіналу, навіть якщо в ньому лишились згенеровані теги.
+  const original = await readFile(path.join(PR3_DIR, file), "utf8");
+  const source = stripPageMeta(original);
+  if (source !== original) dirtySources.push({ file, source });
+
+  locales.forEach((locale) => {
+    outputs.push({
+      file: getLocalizedFile(file, locale.code),
+      html: renderPage({ page, file, source, locale })
+    });
+  });
+}
+
+if (checkOnly) {
+  // Сторінки вже побудовані в пам'яті вище, тож помилки в даних чи перекладах проявились би до цього місця.
+  if (dirtySources.length === 0) {
+    console.log(`Оригінали без згенерованих блоків, сторінки будуються: ${outputs.length}.`);
+  } else {
+    dirtySources.forEach(({ file }) => console.error(`✗ ${file} містить згенеровані теги.`));
+    console.error("\nЗапусти npm run clean:pr3: теги в оригіналах додає i18n.js у браузері.");
+    process.exitCode = 1;
+  }
+} else if (cleanOnly) {
+  for (const { file, source } of dirtySources) {
+    await writeFile(path.join(PR3_DIR, file), source);
+  }
+  await Promise.all(outputs.map((output) => rm(path.join(PR3_DIR, output.file), { force: true })));
+  console.log(`Прибрано згенеровані сторінки: ${outputs.length}, очищено оригіналів: ${dirtySources.length}.`);
+} else {
+  for (const output of outputs) {
+    await writeFile(path.join(PR3_DIR, output.file), output.html);
+  }
+  console.log(`Створено сторінок: ${outputs.length} (${outputs.map((o) => o.file).join(", ")}).`);
+}
+
+function renderPage({ page, file, source, locale }) {
+  const { code, translations } = locale;
+  const text = (key) => getByPath(translations, key);
+  const pageProjects = getMetaProjects(projects, translations);
+
+  let html = source
+    .replace(/<!DOCTYPE html>\n/i, (doctype) => (
+      `${doctype}<!-- Згенеровано з ${file} скриптом pr3/scripts/prerender.mjs (npm run build:pr3). Не редагуй вручну. -->\n`
+    ))
+    .replace(/<html lang="[^"]*">/, `<html lang="${code}" ${PRERENDERED_ATTRIBUTE}>`)
+    .replace(/<title>[^<]*<\/title>/, (tag) => {
+      const title = text(`site.pageTitles.${page}`);
+      return typeof title === "string" ? `<title>${escapeText(title)}</title>` : tag;
+    })
+    .replace(/(<meta name="description" content=")[^"]*(">)/, (tag, start, end) => {
+      const description = text(`site.metaDescriptions.${page}`);
+      return typeof description === "string" ? `${start}${escapeHtmlAttr(description)}${end}` : tag;
+    });
+
+  // Елементи з data-i18n містять лише текст (без вкладених тегів), тож їх можна замінити без DOM-парсера.
+  html = html.replace(/(<(\w+)\b[^>]*\sdata-i18n="([^"]+)"[^>]*>)([^<]*)(<\/\2>)/g, (match, open, tag, key, inner, close) => {
+    const value = text(key);
+    if (typeof value !== "string") return match;
+    // Відступи навколо багаторядкового тексту зберігаємо, щоб розмітка лишалась читабельною.
+    const [, before, , after] = inner.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return `${open}${before}${escapeText(value)}${after}${close}`;
+  });
+
+  html = html.replace(/<[a-z][^>]*\sdata-i18n-(placeholder|aria-label)="[^"]+"[^>]*>/g, (tag) => (
+    translateAttribute(translateAttribute(tag, "placeholder", text), "aria-label", text)
+  ));
+
+  html = html.replace(/\shref="([^"]+)"/g, (match, href) => {
+    const localized = localizeHref(href, file, code);
+    return localized ? ` href="${localized}"` : match;
+  });
+
+  if (page === "index" && pageProjects.length > 0) {
+    html = html.replace(/\n(\s*)<\/noscript>/, (match, indent) => (
+      `\n${renderStaticProjectList(pageProjects, `${indent}  `)}${match}`
+    ));
+  }
+
+  return injectPageMeta(html, page, locale);
+}
+
+function injectPageMeta(html, page, locale) {
+  const meta = buildPageMeta({
+    page,
+    lang: locale.code,
+    locales: manifest.locales,
+    translations: locale.translations,
+    site,
+    siteRoot,
+    projects
+  });
+  return html.replace(/\n<\/head>/, `\n${renderPageMeta(meta, "  ")}\n</head>`);
+}
+
+function stripPageMeta(html) {
+  return html.replace(new RegExp(`^[ \\t]*<[^>\\n]*\\s${SEO_ATTRIBUTE}>.*\\n`, "gm"), "");
+}
+
+function translateAttribute(tag, attribute, text) {
+  const key = tag.match(new RegExp(`\\sdata-i18n-${attribute}="([^"]+)"`))?.[1];
+  const value = key && text(key);
+  if (typeof value !== "string") return tag;
+
+  const escaped = escapeHtmlAttr(value);
+  const existing = new RegExp(`(\\s${attribute}=")[^"]*(")`);
+  return existing.test(tag)
+    ? tag.replace(existing, `$1${escaped}$2`)
+    : tag.replace(/>$/, ` ${attribute}="${escaped}">`);
+}
+
+function localizeHref(href, file, lang) {
+  // Якорі, зовнішні адреси, mailto: та tel: лишаються як є.
+  if (href.startsWith("#") || /^[a-z][a-z\d+.-]*:/i.test(href)) return null;
+
+  const target = new URL(href, new URL(file, RESOLVE_BASE));
+  if (!target.href.startsWith(RESOLVE_BASE)) return null;
+
+  const targetFile = target.pathname.slice(new URL(RESOLVE_BASE).pathname.length);
+  if (!Object.values(site.pages).includes(targetFile)) return null;
+
+  return href.replace(/\.html(?=$|[?#])/, `.${lang}.html`);
+}
+
+function escapeText(value) {
+  return String(value).replaceAll("&", "&amp;").replaceAll("<", "&lt;").replaceAll(">", "&gt;");
+}
+
+function getByPath(obj, keyPath) {
+  return keyPath.split(".").reduce((acc, key) => (acc == null ? undefined : acc[key]), obj);
+}
+
+async function readJson(fileName) {
+  return JSON.parse(await readFile(path.join(DATA_DIR, fileName), "utf8"));
+}
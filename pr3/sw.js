@@ -0,0 +1,223 @@
+"use strict";
+
+/**
+ * Service worker для pr3: офлайн-режим і кешування.
+ * - Precache: HTML-сторінки, CSS, модулі JS (разом зі спільними віджетами), projects.json, маніфест мов,
+ *   налаштування сайту (site.json) і всі файли перекладів; статичні мовні версії сторінок — якщо вони згенеровані
+ * - Навігація: спочатку мережа, далі кеш, далі offline.html
+ * - Переклади та зображення проєктів: stale-while-revalidate
+ * - Решта статичних файлів: спочатку кеш (оновлюються разом із версією SW)
+ *
+ * Усі шляхи відносні до цього файлу, тому він працює і в корені домену,
+ * і в підкаталозі GitHub Pages (/<repo>/pr3/).
+ */
+
+// Після зміни CSS/JS/HTML збільшуй версію — сторінка покаже банер "Доступна нова версія".
+const CACHE_VERSION = "v19";
+const CACHE_PREFIX = "pr3-";
+const PRECACHE = `${CACHE_PREFIX}precache-${CACHE_VERSION}`;
+const RUNTIME_DATA = `${CACHE_PREFIX}data-${CACHE_VERSION}`;
+const RUNTIME_IMAGES = `${CACHE_PREFIX}images-${CACHE_VERSION}`;
+const MAX_CACHED_IMAGES = 60;
+
+const OFFLINE_URL = "offline.html";
+const LOCALE_MANIFEST_URL = "assets/data/locales.json";
+const PROJECTS_URL = "assets/data/projects.json";
+const SITE_CONFIG_URL = "assets/data/site.json";
+const PRECACHE_URLS = [
+  "index.html",
+  "pages/contacts.html",
+  OFFLINE_URL,
+  "assets/css/style.css",
+  "assets/js/script.js",
+  "assets/js/i18n.js",
+  "assets/js/offline.js",
+  "assets/js/project-repository.js",
+  "assets/js/url-override.js",
+  "assets/js/contact-form.js",
+  "assets/js/contact-transport.js",
+  "assets/js/seo.js",
+  ...[
+    "index.js",
+    "back-to-top.js",
+    "command-palette.js",
+    "dialog.js",
+    "dom.js",
+    "favorites.js",
+    "modal.js",
+    "page-transitions.js",
+    "projects.js",
+    "responsive-image.js",
+    "scroll-reveal.js",
+    "shortcuts.js",
+    "text-scramble.js",
+    "text-search.js",
+    "theme-switcher.js"
+  ].map((file) => `../shared/portfolio-widgets/${file}`),
+  LOCALE_MANIFEST_URL,
+  PROJECTS_URL,
+  SITE_CONFIG_URL
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(precache());
+});
+
+self.addEventListener("activate", (event) => {
+  // Видаляємо кеші попередніх версій, щоб не займати місце застарілими файлами.
+  const current = [PRECACHE, RUNTIME_DATA, RUNTIME_IMAGES];
+  event.waitUntil(
+    caches.keys().then((keys) => Promise.all(
+      keys
+        .filter((key) => key.startsWith(CACHE_PREFIX) && !current.includes(key))
+        .map((key) => caches.delete(key))
+    ))
+  );
+});
+
+self.addEventListener("message", (event) => {
+  // Сторінка просить активувати нову версію після натискання "Оновити" в банері.
+  if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === "navigate") {
+    event.respondWith(networkFirst(request));
+    return;
+  }
+
+  if (request.destination === "image") {
+    event.respondWith(staleWhileRevalidate(event, RUNTIME_IMAGES, MAX_CACHED_IMAGES));
+    return;
+  }
+
+  if (url.origin !== self.location.origin) return;
+
+  if (url.pathname.includes("/assets/data/") && url.pathname.endsWith(".json")) {
+    event.respondWith(staleWhileRevalidate(event, RUNTIME_DATA));
+    return;
+  }
+
+  event.respondWith(cacheFirst(request));
+});
+
+async function precache() {
+  const cache = await caches.open(PRECACHE);
+  await cache.addAll(PRECACHE_URLS.map(toScopedUrl));
+
+  // Список перекладів беремо з маніфесту: нова мова потрапить у кеш без змін у цьому файлі.
+  const manifestResponse = await cache.match(toScopedUrl(LOCALE_MANIFEST_URL));
+  const manifest = await manifestResponse.json();
+  const localeUrls = (manifest.locales ?? []).map((locale) => toScopedUrl(`assets/data/${locale.code}.json`));
+
+  // Мовні версії сторінок (index.en.html...) — з маніфесту мов і списку сторінок у site.json.
+  // Їх створює npm run build:pr3, тож у вихідному коді їх може не бути: такі адреси пропускаємо,
+  // а не додаємо в addAll, щоб відсутня сторінка не зірвала встановлення всього SW.
+  const siteResponse = await cache.match(toScopedUrl(SITE_CONFIG_URL));
+  const site = await siteResponse.json();
+  const pageUrls = Object.values(site.pages ?? {}).flatMap((file) => (
+    (manifest.locales ?? []).map((locale) => toScopedUrl(file.replace(/\.html$/, `.${locale.code}.html`)))
+  ));
+  await Promise.all(pageUrls.map((url) => cacheIfAvailable(cache, url)));
+
+  const dataCache = await caches.open(RUNTIME_DATA);
+  await dataCache.addAll([
+    toScopedUrl(LOCALE_MANIFEST_URL),
+    toScopedUrl(PROJECTS_URL),
+    toScopedUrl(SITE_CONFIG_URL),
+    ...localeUrls
+  ]);
+}
+
+async function cacheIfAvailable(cache, url) {
+  try {
+    const response = await fetch(url);
+    if (response.ok) await cache.put(url, response);
+  } catch (error) {
+    // Сторінки немає або мережа недоступна — вона потрапить у кеш при першому відкритті.
+  }
+}
+
+async function networkFirst(request) {
+  const cache = await caches.open(PRECACHE);
+  // Query string (?tag=..., ?lang=...) не впливає на HTML, тому зберігаємо сторінку без нього.
+  const pageUrl = new URL(request.url);
+  pageUrl.search = "";
+  pageUrl.hash = "";
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(pageUrl.href, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(pageUrl.href)
+      // Адресу каталогу (/pr3/) GitHub Pages віддає як index.html.
+      ?? (pageUrl.pathname.endsWith("/") ? await cache.match(new URL("index.html", pageUrl).href) : undefined);
+    return cached ?? offlineFallback(cache);
+  }
+}
+
+async function offlineFallback(cache) {
+  const response = await cache.match(toScopedUrl(OFFLINE_URL));
+  if (!response) return Response.error();
+
+  // offline.html віддається замість будь-якої сторінки (наприклад, pages/...), тому додаємо <base>,
+  // щоб її відносні посилання й стилі вказували на корінь pr3, а не на запитану адресу.
+  const html = (await response.text()).replace("<head>", `<head>\n  <base href="${toScopedUrl("./")}">`);
+  return new Response(html, {
+    headers: { "Content-Type": "text/html; charset=utf-8" }
+  });
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request, { ignoreSearch: true });
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(PRECACHE);
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+async function staleWhileRevalidate(event, cacheName, maxEntries) {
+  const { request } = event;
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request, { ignoreSearch: isSameOrigin(request) });
+
+  // Відповідь із кешу віддаємо одразу, а свіжу версію зберігаємо для наступного разу.
+  const update = fetch(request)
+    .then(async (response) => {
+      // Зображення з інших доменів приходять як opaque-відповіді (status 0) — їх теж можна кешувати.
+      if (response.ok || response.type === "opaque") {
+        await cache.put(request, response.clone());
+        if (maxEntries) await trimCache(cache, maxEntries);
+      }
+      return response;
+    })
+    .catch(() => cached ?? Response.error());
+
+  // Оновлення кешу має завершитися, навіть якщо сторінка вже отримала відповідь.
+  event.waitUntil(update);
+  return cached ?? update;
+}
+
+async function trimCache(cache, maxEntries) {
+  const keys = await cache.keys();
+  // Cache API зберігає порядок додавання, тож найстаріші записи — на початку.
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map((key) => cache.delete(key)));
+}
+
+function isSameOrigin(request) {
+  return new URL(request.url).origin === self.location.origin;
+}
+
+function toScopedUrl(path) {
+  return new URL(path, self.location.href).href;
+}
@@ -1,4 +1,13 @@
-"use strict";
+import {
+  backToTop,
+  escapeHtml,
+  modal,
+  projects,
+  themeSwitcher
+} from "../../../shared/portfolio-widgets/index.js";
+
+// Тема, кнопка "догори", картки проєктів і модалка — віджети спільної бібліотеки shared/portfolio-widgets.
+// У цьому файлі лишаються тексти сторінки та перемикання мови.
 
 const translations = {
   uk: {
@@ -96,46 +105,23 @@ const translations = {
 };
 
 let currentLanguage = localStorage.getItem("language") || "uk";
-let currentTheme = localStorage.getItem("theme") || "light";
-let selectedTag = "all";
-let currentModalProjectId = null;
+let projectList = null;
+let projectModal = null;
 
 document.addEventListener("DOMContentLoaded", function () {
-  initTheme();
+  themeSwitcher.init({
+    toggle: "#themeToggle",
+    modes: ["light", "dark"],
+    transitionClass: null
+  });
   initLanguage();
   initProjects();
-  initModal();
-  initBackToTop();
-});
-
-function initTheme() {
-  const themeButton = document.getElementById("themeToggle");
-
-  applyTheme();
-
-  if (!themeButton) {
-    return;
-  }
-
-  themeButton.addEventListener("click", function () {
-    if (currentTheme === "light") {
-      currentTheme = "dark";
-    } else {
-      currentTheme = "light";
-    }
-
-    localStorage.setItem("theme", currentTheme);
-    applyTheme();
+  backToTop.init({
+    button: "#backToTop",
+    offset: 300,
+    visibleClass: "show"
   });
-}
-
-function applyTheme() {
-  if (currentTheme === "dark") {
-    document.body.classList.add("dark");
-  } else {
-    document.body.classList.remove("dark");
-  }
-}
+});
 
 function initLanguage() {
   const buttons = document.querySelectorAll("[data-lang]");
@@ -145,10 +131,15 @@ function initLanguage() {
       currentLanguage = button.dataset.lang;
       localStorage.setItem("language", currentLanguage);
       applyLanguage();
-      renderTagButtons();
-      renderProjects();
-      refreshModal();
       updateLanguageButtons();
+
+      if (projectList) {
+        projectList.refresh();
+      }
+
+      if (projectModal) {
+        projectModal.refresh();
+      }
     });
   });
 
@@ -194,177 +185,76 @@ function initProjects() {
     return;
   }
 
-  renderTagButtons();
-  renderProjects();
-}
-
-function getProjects() {
-  return translations[currentLanguage].projects;
-}
-
-function renderTagButtons() {
-  const tagList = document.getElementById("tagList");
-  const projects = getProjects();
-  const tags = ["all"];
-
-  projects.forEach(function (project) {
-    project.tags.forEach(function (tag) {
-      if (!tags.includes(tag)) {
-        tags.push(tag);
+  projectList = projects.init({
+    grid: "#projectGrid",
+    tagList: "#tagList",
+    resultCount: "#resultCount",
+    searchInput: null,
+    modeSwitch: null,
+    urlState: false,
+    animate: false,
+    getProjects: getProjects,
+    getLocale: function () {
+      return currentLanguage;
+    },
+    classNames: {
+      tag: "tag-button",
+      tagActive: "active",
+      card: "project-card"
+    },
+    labels: {
+      allTag: function () {
+        return translations[currentLanguage].allTag;
+      },
+      resultCount: function (count, total) {
+        return count + " / " + total;
       }
-    });
-  });
-
-  tagList.innerHTML = "";
-
-  tags.forEach(function (tag) {
-    const button = document.createElement("button");
-    button.type = "button";
-    button.className = "tag-button";
-    button.dataset.tag = tag;
-
-    if (tag === "all") {
-      button.textContent = translations[currentLanguage].allTag;
-    } else {
-      button.textContent = tag;
-    }
-
-    if (tag === selectedTag) {
-      button.classList.add("active");
+    },
+    renderCard: renderProjectCard,
+    onOpen: function (projectId) {
+      projectModal.open(projectId);
     }
-
-    button.addEventListener("click", function () {
-      selectedTag = tag;
-      renderTagButtons();
-      renderProjects();
-    });
-
-    tagList.appendChild(button);
   });
-}
-
-function renderProjects() {
-  const grid = document.getElementById("projectGrid");
-  const resultCount = document.getElementById("resultCount");
 
-  if (!grid || !resultCount) {
-    return;
-  }
-
-  const projects = getProjects();
-  let filteredProjects = projects;
-
-  if (selectedTag !== "all") {
-    filteredProjects = projects.filter(function (project) {
-      return project.tags.includes(selectedTag);
-    });
-  }
-
-  resultCount.textContent = filteredProjects.length + " / " + projects.length;
-  grid.innerHTML = "";
-
-  filteredProjects.forEach(function (project) {
-    const article = document.createElement("article");
-    article.className = "project-card";
-
-    const tagsHtml = project.tags.map(function (tag) {
-      return '<span class="project-tag">' + tag + "</span>";
-    }).join("");
-
-    article.innerHTML = `
-      <h3>${project.title}</h3>
-      <p>${project.description}</p>
-      <div class="project-tags">${tagsHtml}</div>
-      <div class="project-actions">
-        <button type="button" data-id="${project.id}">${translations[currentLanguage].detailsButton}</button>
-      </div>
-    `;
-
-    const button = article.querySelector("button");
-    button.addEventListener("click", function () {
-      openModal(project.id);
-    });
-
-    grid.appendChild(article);
+  projectModal = modal.init({
+    modal: "#projectModal",
+    openClass: "open",
+    visibleClass: null,
+    closingClass: null,
+    bodyClass: null,
+    animationMs: 0,
+    history: false,
+    getItems: getProjects,
+    render: fillModal
   });
 }
 
-function initModal() {
-  const modal = document.getElementById("projectModal");
-  const closeButton = document.getElementById("modalClose");
-  const overlay = document.getElementById("modalOverlay");
-
-  if (!modal || !closeButton || !overlay) {
-    return;
-  }
-
-  closeButton.addEventListener("click", closeModal);
-  overlay.addEventListener("click", closeModal);
-
-  window.addEventListener("keydown", function (event) {
-    if (event.key === "Escape") {
-      closeModal();
-    }
-  });
-}
-
-function openModal(projectId) {
-  const modal = document.getElementById("projectModal");
-  const modalTitle = document.getElementById("modalTitle");
-  const modalDescription = document.getElementById("modalDescription");
-  const modalDetails = document.getElementById("modalDetails");
-  const modalRepo = document.getElementById("modalRepo");
-  const project = getProjects().find(function (item) {
-    return item.id === projectId;
-  });
-
-  if (!modal || !project) {
-    return;
-  }
-
-  modalTitle.textContent = project.title;
-  modalDescription.textContent = project.description;
-  modalDetails.textContent = project.details;
-  modalRepo.href = "https://github.com/";
-  modal.classList.add("open");
-  currentModalProjectId = projectId;
-}
-
-function closeModal() {
-  const modal = document.getElementById("projectModal");
-
-  if (modal) {
-    modal.classList.remove("open");
-  }
-
-  currentModalProjectId = null;
+function getProjects() {
+  return translations[currentLanguage].projects;
 }
 
-function refreshModal() {
-  if (currentModalProjectId !== null) {
-    openModal(currentModalProjectId);
-  }
+function renderProjectCard(project) {
+  const tagsHtml = project.tags.map(function (tag) {
+    return '<span class="project-tag">' + escapeHtml(tag) + "</span>";
+  }).join("");
+
+  return `
+    <h3>${escapeHtml(project.title)}</h3>
+    <p>${escapeHtml(project.description)}</p>
+    <div class="project-tags">${tagsHtml}</div>
+    <div class="project-actions">
+      <button type="button" data-action="open">${escapeHtml(translations[currentLanguage].detailsButton)}</button>
+    </div>
+  `;
 }
 
-function initBackToTop() {
-  const button = document.getElementById("backToTop");
-
-  if (!button) {
+function fillModal(project) {
+  if (!project) {
     return;
   }
 
-  window.addEventListener("scroll", function () {
-    if (window.scrollY > 300) {
-      button.classList.add("show");
-    } else {
-      button.classList.remove("show");
-    }
-  });
-
-  button.addEventListener("click", function () {
-    window.scrollTo({
-      top: 0,
-      behavior: "smooth"
-    });
-  });
+  document.getElementById("modalTitle").textContent = project.title;
+  document.getElementById("modalDescription").textContent = project.description;
+  document.getElementById("modalDetails").textContent = project.details;
+  document.getElementById("modalRepo").href = "https://github.com/";
 }
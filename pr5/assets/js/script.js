@@ -1,5 +1,9 @@
 "use strict";
 
+// Адреса API: параметр ?api-base= (лише той самий сайт або localhost — для тестів і роботи без інтернету),
+// потім <meta name="dog-api-base">, інакше — https://dog.ceo/api.
+const API_BASE_URL = getApiBaseUrl();
+
 const breedSelect = document.getElementById("breedSelect");
 const loadDogButton = document.getElementById("loadDogButton");
 const statusText = document.getElementById("status");
@@ -27,8 +31,7 @@ async function loadBreeds() {
   breedSelect.disabled = true;
 
   try {
-    const response = await fetch("https://dog.ceo/api/breeds/list/all");
-    const data = await response.json();
+    const data = await fetchJson(API_BASE_URL + "/breeds/list/all");
     const breeds = Object.keys(data.message).sort();
 
     breedSelect.innerHTML = '<option value="">Оберіть породу</option>';
@@ -52,8 +55,7 @@ async function loadDogByBreed(breed) {
   setStatus("Завантаження фото...");
 
   try {
-    const response = await fetch("https://dog.ceo/api/breed/" + breed + "/images/random");
-    const data = await response.json();
+    const data = await fetchJson(API_BASE_URL + "/breed/" + breed + "/images/random");
 
     showDog({
       image: data.message,
@@ -67,6 +69,50 @@ async function loadDogByBreed(breed) {
   }
 }
 
+async function fetchJson(url) {
+  const response = await fetch(url);
+
+  if (!response.ok) {
+    throw new Error("HTTP " + response.status);
+  }
+
+  const data = await response.json();
+
+  if (data.status !== "success") {
+    throw new Error("API error: " + data.message);
+  }
+
+  return data;
+}
+
+function getApiBaseUrl() {
+  const loopbackHosts = ["localhost", "127.0.0.1", "[::1]"];
+  const fromQuery = new URLSearchParams(window.location.search).get("api-base");
+
+  if (fromQuery) {
+    const url = parseUrl(fromQuery);
+
+    if (url && (url.origin === window.location.origin || loopbackHosts.includes(url.hostname))) {
+      return url.href.replace(/\/+$/, "");
+    }
+
+    console.warn("Ignoring ?api-base=" + fromQuery + ": only same-origin or localhost URLs are allowed");
+  }
+
+  const meta = document.querySelector('meta[name="dog-api-base"]');
+  const metaUrl = meta ? parseUrl(meta.content) : null;
+
+  return metaUrl ? metaUrl.href.replace(/\/+$/, "") : "https://dog.ceo/api";
+}
+
+function parseUrl(value) {
+  try {
+    return new URL(value, window.location.href);
+  } catch (error) {
+    return null;
+  }
+}
+
 function showDog(dog) {
   dogImage.src = dog.image;
   dogImage.hidden = false;
@@ -0,0 +1,50 @@
+import { validate } from "./schema.js";
+export function createTtlCache(storageKey, ttlMs, schema) {
+    let memory = null;
+    function isFresh(entry) {
+        const age = Date.now() - entry.savedAt;
+        return age >= 0 && age < ttlMs;
+    }
+    function readStorage() {
+        try {
+            const raw = localStorage.getItem(storageKey);
+            const entry = raw ? JSON.parse(raw) : null;
+            if (!entry || typeof entry.savedAt !== "number")
+                return null;
+            return !schema || validate(schema, entry.value).ok ? entry : null;
+        }
+        catch {
+            return null;
+        }
+    }
+    return {
+        get() {
+            if (memory && isFresh(memory))
+                return memory.value;
+            const stored = readStorage();
+            if (stored && isFresh(stored)) {
+                memory = stored;
+                return stored.value;
+            }
+            return null;
+        },
+        set(value) {
+            memory = { savedAt: Date.now(), value };
+            try {
+                localStorage.setItem(storageKey, JSON.stringify(memory));
+            }
+            catch {
+                // Без localStorage кеш працює лише до перезавантаження сторінки.
+            }
+        },
+        clear() {
+            memory = null;
+            try {
+                localStorage.removeItem(storageKey);
+            }
+            catch {
+                // Нічого прибирати.
+            }
+        }
+    };
+}
@@ -0,0 +1,53 @@
+/**
+ * Помилки запитів до Dog CEO API.
+ * - Усі наслідують ApiError і мають поле kind, тож їх зручно розрізняти через switch або instanceof
+ * - network — запит не дійшов до сервера або не вклався в тайм-аут (timedOut)
+ * - http — сервер відповів кодом помилки; parse — тіло відповіді не є JSON
+ * - api — JSON отримано, але API повідомило про помилку (status: "error")
+ * - validation — JSON не відповідає очікуваній схемі (issues — список невідповідностей)
+ */
+export class ApiError extends Error {
+    constructor(message, options) {
+        super(message);
+        this.name = new.target.name;
+        this.url = options.url;
+        this.cause = options.cause;
+    }
+}
+export class NetworkError extends ApiError {
+    constructor(message, options) {
+        super(message, options);
+        this.kind = "network";
+        this.timedOut = options.timedOut ?? false;
+    }
+}
+export class HttpError extends ApiError {
+    constructor(message, options) {
+        super(message, options);
+        this.kind = "http";
+        this.status = options.status;
+    }
+}
+export class ParseError extends ApiError {
+    constructor() {
+        super(...arguments);
+        this.kind = "parse";
+    }
+}
+export class ApiStatusError extends ApiError {
+    constructor() {
+        super(...arguments);
+        this.kind = "api";
+    }
+}
+export class ValidationError extends ApiError {
+    constructor(message, options) {
+        super(message, options);
+        this.kind = "validation";
+        this.issues = options.issues;
+    }
+}
+// Скасування запиту (новий запит замінив старий) — не помилка, про яку треба повідомляти користувача.
+export function isAbortError(error) {
+    return error instanceof DOMException && error.name === "AbortError";
+}
@@ -0,0 +1,170 @@
+/**
+ * Галерея фото з переглядом у лайтбоксі.
+ * - Мініатюри завантажуються ліниво (loading="lazy") і показуються порціями, щоб не створювати сотні елементів одразу
+ * - Стрілки, Home і End переміщують фокус між мініатюрами, Enter або клік відкриває фото у лайтбоксі
+ * - Лайтбокс — нативний <dialog>: Escape закриває його, стрілки гортають фото, фокус повертається на мініатюру
+ */
+const DEFAULT_PAGE_SIZE = 24;
+export function initGallery(options) {
+    const { list, lightbox, moreButton = null, pageSize = DEFAULT_PAGE_SIZE } = options;
+    const lightboxImage = lightbox.querySelector("[data-lightbox-image]");
+    const lightboxCaption = lightbox.querySelector("[data-lightbox-caption]");
+    const listeners = new AbortController();
+    const { signal } = listeners;
+    let images = [];
+    let title = "";
+    let renderedCount = 0;
+    let currentIndex = -1;
+    function show(nextImages, nextTitle) {
+        images = nextImages;
+        title = nextTitle;
+        renderedCount = 0;
+        list.replaceChildren();
+        renderMore();
+    }
+    function clear() {
+        show([], "");
+    }
+    function renderMore() {
+        const nextCount = Math.min(renderedCount + pageSize, images.length);
+        for (let index = renderedCount; index < nextCount; index += 1) {
+            list.appendChild(createThumbnail(index));
+        }
+        renderedCount = nextCount;
+        list.hidden = images.length === 0;
+        if (moreButton) {
+            moreButton.hidden = renderedCount >= images.length;
+        }
+    }
+    function createThumbnail(index) {
+        const item = document.createElement("li");
+        item.className = "gallery__item";
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "gallery__button";
+        button.dataset.index = String(index);
+        const image = document.createElement("img");
+        image.src = images[index];
+        image.alt = getImageAlt(index);
+        image.loading = "lazy";
+        image.decoding = "async";
+        image.addEventListener("load", () => item.classList.add("gallery__item--loaded"), { once: true });
+        image.addEventListener("error", () => item.classList.add("gallery__item--broken"), { once: true });
+        button.appendChild(image);
+        item.appendChild(button);
+        return item;
+    }
+    function getImageAlt(index) {
+        return `${title}, фото ${index + 1} з ${images.length}`;
+    }
+    function getThumbnailButtons() {
+        return Array.from(list.querySelectorAll(".gallery__button"));
+    }
+    function focusThumbnail(index) {
+        // Мініатюри, які ще не показані, додаємо перед переходом на них (наприклад, End або вихід із лайтбокса).
+        while (index >= renderedCount && renderedCount < images.length) {
+            renderMore();
+        }
+        getThumbnailButtons()[index]?.focus();
+    }
+    function openLightbox(index) {
+        if (!lightboxImage)
+            return;
+        showInLightbox(index);
+        if (!lightbox.open) {
+            lightbox.showModal();
+        }
+    }
+    function showInLightbox(index) {
+        if (!lightboxImage || images.length === 0)
+            return;
+        currentIndex = (index + images.length) % images.length;
+        lightboxImage.src = images[currentIndex];
+        lightboxImage.alt = getImageAlt(currentIndex);
+        if (lightboxCaption) {
+            lightboxCaption.textContent = `${title} — ${currentIndex + 1} / ${images.length}`;
+        }
+    }
+    function getGridColumns() {
+        const columns = getComputedStyle(list).gridTemplateColumns.split(" ").filter(Boolean).length;
+        return Math.max(columns, 1);
+    }
+    list.addEventListener("click", (e) => {
+        const button = e.target.closest(".gallery__button");
+        if (button) {
+            openLightbox(Number(button.dataset.index));
+        }
+    }, { signal });
+    list.addEventListener("keydown", (e) => {
+        const button = e.target.closest(".gallery__button");
+        if (!button)
+            return;
+        const index = Number(button.dataset.index);
+        const steps = {
+            ArrowRight: 1,
+            ArrowLeft: -1,
+            ArrowDown: getGridColumns(),
+            ArrowUp: -getGridColumns()
+        };
+        let target = null;
+        if (e.key in steps) {
+            target = index + steps[e.key];
+        }
+        else if (e.key === "Home") {
+            target = 0;
+        }
+        else if (e.key === "End") {
+            target = images.length - 1;
+        }
+        if (target === null)
+            return;
+        e.preventDefault();
+        focusThumbnail(Math.min(Math.max(target, 0), images.length - 1));
+    }, { signal });
+    moreButton?.addEventListener("click", () => {
+        const firstNewIndex = renderedCount;
+        renderMore();
+        focusThumbnail(firstNewIndex);
+    }, { signal });
+    lightbox.addEventListener("click", (e) => {
+        const target = e.target;
+        const action = target.closest("[data-lightbox-action]")?.dataset.lightboxAction;
+        if (action === "prev") {
+            showInLightbox(currentIndex - 1);
+        }
+        else if (action === "next") {
+            showInLightbox(currentIndex + 1);
+        }
+        else if (action === "close" || target === lightbox) {
+            // Клік по затемненню навколо фото (сам <dialog>) теж закриває лайтбокс.
+            lightbox.close();
+        }
+    }, { signal });
+    lightbox.addEventListener("keydown", (e) => {
+        if (e.key === "ArrowRight" || e.key === "ArrowLeft") {
+            e.preventDefault();
+            showInLightbox(currentIndex + (e.key === "ArrowRight" ? 1 : -1));
+        }
+        else if (e.key === "Home" || e.key === "End") {
+            e.preventDefault();
+            showInLightbox(e.key === "Home" ? 0 : images.length - 1);
+        }
+    }, { signal });
+    lightbox.addEventListener("close", () => {
+        // Повертаємо фокус на мініатюру фото, яке переглядали останнім.
+        if (currentIndex >= 0) {
+            focusThumbnail(currentIndex);
+        }
+    }, { signal });
+    return {
+        show,
+        clear,
+        destroy() {
+            listeners.abort();
+            if (lightbox.open) {
+                lightbox.close();
+            }
+            list.replaceChildren();
+        }
+    };
+}
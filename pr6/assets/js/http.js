@@ -0,0 +1,102 @@
+import { HttpError, NetworkError, ParseError } from "./errors.js";
+export const DEFAULT_REQUEST_OPTIONS = {
+    timeoutMs: 8000,
+    retries: 2,
+    retryDelayMs: 500
+};
+export async function fetchJson(url, options = {}) {
+    const { signal, timeoutMs, retries, retryDelayMs } = { ...DEFAULT_REQUEST_OPTIONS, ...options };
+    for (let attempt = 0;; attempt += 1) {
+        try {
+            return await fetchJsonOnce(url, timeoutMs, signal);
+        }
+        catch (error) {
+            if (attempt >= retries || !isRetryable(error)) {
+                throw error;
+            }
+            await wait(retryDelayMs * 2 ** attempt, signal);
+        }
+    }
+}
+// Для запитів, де важлива лише остання відповідь: next() скасовує попередній запит і дає сигнал для нового.
+export function createRequestSlot() {
+    let controller = null;
+    return {
+        next() {
+            controller?.abort();
+            controller = new AbortController();
+            return controller.signal;
+        },
+        abort() {
+            controller?.abort();
+            controller = null;
+        }
+    };
+}
+async function fetchJsonOnce(url, timeoutMs, signal) {
+    signal?.throwIfAborted();
+    const controller = new AbortController();
+    const abortFromOutside = () => controller.abort(signal?.reason);
+    let timedOut = false;
+    const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeoutMs);
+    signal?.addEventListener("abort", abortFromOutside, { once: true });
+    // Скасування ззовні повертає причину від signal, решта збоїв (зокрема тайм-аут) — NetworkError.
+    const toRequestError = (error) => {
+        if (signal?.aborted)
+            return signal.reason;
+        return new NetworkError(timedOut ? `Timeout after ${timeoutMs} ms` : `Network error while loading ${url}`, {
+            url,
+            cause: error,
+            timedOut
+        });
+    };
+    // Тайм-аут і скасування діють, доки не прочитано все тіло відповіді, а не лише до отримання заголовків.
+    try {
+        let response;
+        try {
+            response = await fetch(url, { signal: controller.signal });
+        }
+        catch (error) {
+            throw toRequestError(error);
+        }
+        if (!response.ok) {
+            throw new HttpError(`HTTP ${response.status}`, { url, status: response.status });
+        }
+        try {
+            return await response.json();
+        }
+        catch (error) {
+            // SyntaxError — некоректний JSON; інші помилки означають, що тіло не дочитано (обрив, тайм-аут, скасування).
+            if (error instanceof SyntaxError)
+                throw new ParseError(`Invalid JSON in ${url}`, { url, cause: error });
+            throw toRequestError(error);
+        }
+    }
+    finally {
+        clearTimeout(timer);
+        signal?.removeEventListener("abort", abortFromOutside);
+    }
+}
+function isRetryable(error) {
+    return error instanceof NetworkError || (error instanceof HttpError && error.status >= 500);
+}
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const timer = setTimeout(() => {
+            signal?.removeEventListener("abort", onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal?.reason);
+        };
+        signal?.addEventListener("abort", onAbort, { once: true });
+    });
+}
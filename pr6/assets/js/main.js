@@ -1,36 +1,67 @@
-import { getBreeds, getDogImageByBreed } from "./api.js";
-const breedSelect = document.getElementById("breedSelect");
+import { getBreedImages, getBreeds, getRandomDogImages } from "./api.js";
+import { initCombobox } from "./combobox.js";
+import { isAbortError } from "./errors.js";
+import { initGallery } from "./gallery.js";
+import { createRequestSlot } from "./http.js";
+// Значення пункту списку: "hound" для породи або "hound/afghan" для підпороди.
+const SUB_BREED_SEPARATOR = "/";
+const RANDOM_IMAGES_COUNT = 12;
+const RECENT_BREEDS_STORAGE_KEY = "pr6-recent-breeds";
+const breedInput = document.getElementById("breedInput");
+const breedList = document.getElementById("breedList");
+const breedToggle = document.getElementById("breedToggle");
+const breedResults = document.getElementById("breedResults");
 const loadDogButton = document.getElementById("loadDogButton");
+const randomDogsButton = document.getElementById("randomDogsButton");
 const statusText = document.getElementById("status");
-const dogImage = document.getElementById("dogImage");
+const dogGallery = document.getElementById("dogGallery");
+const galleryMoreButton = document.getElementById("galleryMoreButton");
+const lightbox = document.getElementById("lightbox");
 const dogTitle = document.getElementById("dogTitle");
 const dogBreedText = document.getElementById("dogBreedText");
+const gallery = dogGallery && lightbox
+    ? initGallery({ list: dogGallery, lightbox, moreButton: galleryMoreButton })
+    : null;
+const breedCombobox = breedInput && breedList
+    ? initCombobox({
+        input: breedInput,
+        list: breedList,
+        toggleButton: breedToggle,
+        resultsStatus: breedResults,
+        recentStorageKey: RECENT_BREEDS_STORAGE_KEY,
+        labels: {
+            random: () => "Випадкова порода",
+            all: () => "Усі породи",
+            empty: () => "Такої породи не знайдено",
+            results: (count) => `Знайдено порід: ${count}`
+        }
+    })
+    : null;
+// Фото для галереї: новий запит скасовує попередній, тож відповідь, що запізнилась, не підмінить нову.
+const galleryRequests = createRequestSlot();
 document.addEventListener("DOMContentLoaded", () => {
     void loadBreeds();
     loadDogButton?.addEventListener("click", () => {
-        const breed = breedSelect?.value ?? "";
+        const breed = breedCombobox?.getValue() ?? "";
         if (!breed) {
             setStatus("Спочатку оберіть породу.");
             return;
         }
         void loadDogByBreed(breed);
     });
+    randomDogsButton?.addEventListener("click", () => {
+        void loadRandomDogs();
+    });
 });
 async function loadBreeds() {
-    if (!breedSelect)
+    if (!breedCombobox)
         return;
     setStatus("Завантаження списку порід...");
-    breedSelect.disabled = true;
+    breedCombobox.setDisabled(true);
     try {
         const breeds = await getBreeds();
-        breedSelect.innerHTML = '<option value="">Оберіть породу</option>';
-        breeds.forEach((breed) => {
-            const option = document.createElement("option");
-            option.value = breed;
-            option.textContent = capitalizeFirstLetter(breed);
-            breedSelect.appendChild(option);
-        });
-        breedSelect.disabled = false;
+        breedCombobox.setOptions(breeds.flatMap(createBreedOptions));
+        breedCombobox.setDisabled(false);
         setStatus("Список порід завантажено.");
     }
     catch (error) {
@@ -38,31 +69,75 @@ async function loadBreeds() {
         console.error(error);
     }
 }
+// Порода без підпорід — один варіант, з підпородами — варіант "усі" і вкладені варіанти підпорід.
+// Ключові слова дозволяють знайти підпороду і в порядку Dog CEO API ("hound afghan").
+function createBreedOptions({ breed, subBreeds }) {
+    if (subBreeds.length === 0) {
+        return [{ value: breed, label: capitalizeFirstLetter(breed) }];
+    }
+    return [
+        { value: breed, label: `${capitalizeFirstLetter(breed)} (усі)` },
+        ...subBreeds.map((subBreed) => ({
+            value: `${breed}${SUB_BREED_SEPARATOR}${subBreed}`,
+            label: formatBreedName(breed, subBreed),
+            keywords: [`${breed} ${subBreed}`],
+            nested: true
+        }))
+    ];
+}
 async function loadDogByBreed(breed) {
+    const [breedName, subBreed] = breed.split(SUB_BREED_SEPARATOR);
+    const signal = galleryRequests.next();
     setStatus("Завантаження фото...");
     try {
-        const imageUrl = await getDogImageByBreed(breed);
-        showDog(imageUrl, `Порода: ${capitalizeFirstLetter(breed)}`);
+        const images = await getBreedImages(breedName, subBreed, { signal });
+        // Поки чекали відповідь, користувач міг обрати іншу породу: застаріла відповідь не показується.
+        if (signal.aborted)
+            return;
+        showDogs(images, `Порода: ${formatBreedName(breedName, subBreed)}`);
+        breedCombobox?.remember(breed);
+        setStatus(images.length > 0 ? "Фото успішно завантажено." : "Для цієї породи ще немає фото.");
+    }
+    catch (error) {
+        if (signal.aborted || isAbortError(error))
+            return;
+        setStatus("Не вдалося завантажити фото. Спробуйте ще раз.");
+        console.error(error);
+    }
+}
+async function loadRandomDogs() {
+    const signal = galleryRequests.next();
+    setStatus("Завантаження фото...");
+    try {
+        const images = await getRandomDogImages(RANDOM_IMAGES_COUNT, { signal });
+        if (signal.aborted)
+            return;
+        showDogs(images, "Випадкові собаки");
         setStatus("Фото успішно завантажено.");
     }
     catch (error) {
+        if (signal.aborted || isAbortError(error))
+            return;
         setStatus("Не вдалося завантажити фото. Спробуйте ще раз.");
         console.error(error);
     }
 }
-function showDog(imageUrl, title) {
-    if (!dogImage || !dogTitle || !dogBreedText)
+function showDogs(images, title) {
+    if (!gallery || !dogTitle || !dogBreedText)
         return;
-    dogImage.src = imageUrl;
-    dogImage.hidden = false;
+    gallery.show(images, title);
     dogTitle.textContent = title;
-    dogBreedText.textContent = "";
+    dogBreedText.textContent = images.length > 0 ? `Фото: ${images.length}. Натисніть на фото, щоб збільшити.` : "";
 }
 function setStatus(message) {
     if (statusText) {
         statusText.textContent = message;
     }
 }
+// Dog CEO називає підпороду після породи ("hound/afghan"), а звично — навпаки: "Afghan hound".
+function formatBreedName(breed, subBreed) {
+    return capitalizeFirstLetter(subBreed ? `${subBreed} ${breed}` : breed);
+}
 function capitalizeFirstLetter(text) {
     return text.charAt(0).toUpperCase() + text.slice(1);
 }
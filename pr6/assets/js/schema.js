@@ -0,0 +1,92 @@
+/**
+ * Мінімальні схеми для перевірки JSON під час виконання.
+ * - Схема одночасно перевіряє значення і задає його тип: Infer<typeof schema> дає TS-тип,
+ *   тож типи відповідей API (types.ts) не можуть розійтися з перевірками
+ * - validate() збирає всі невідповідності зі шляхом до поля ("message.hound[0]: expected string"),
+ *   а не зупиняється на першій
+ */
+import { isLoopbackUrl } from "./config.js";
+export function validate(schema, value) {
+    const issues = [];
+    schema.check(value, "", issues);
+    return issues.length === 0 ? { ok: true, value: value } : { ok: false, issues };
+}
+export function string() {
+    return {
+        check(value, path, issues) {
+            if (typeof value !== "string")
+                issues.push(describe(path, "expected string", value));
+        }
+    };
+}
+export function literal(...values) {
+    return {
+        check(value, path, issues) {
+            if (!values.includes(value)) {
+                issues.push(describe(path, `expected ${values.map((v) => JSON.stringify(v)).join(" | ")}`, value));
+            }
+        }
+    };
+}
+export function httpsUrl(options = {}) {
+    const allowLoopbackHttp = options.allowLoopbackHttp ?? false;
+    return {
+        check(value, path, issues) {
+            if (typeof value !== "string" || !isSecureUrl(value, allowLoopbackHttp)) {
+                issues.push(describe(path, "expected https URL", value));
+            }
+        }
+    };
+}
+export function array(item) {
+    return {
+        check(value, path, issues) {
+            if (!Array.isArray(value)) {
+                issues.push(describe(path, "expected array", value));
+                return;
+            }
+            value.forEach((entry, index) => item.check(entry, `${path}[${index}]`, issues));
+        }
+    };
+}
+export function record(item) {
+    return {
+        check(value, path, issues) {
+            if (!isPlainObject(value)) {
+                issues.push(describe(path, "expected object", value));
+                return;
+            }
+            Object.entries(value).forEach(([key, entry]) => item.check(entry, joinPath(path, key), issues));
+        }
+    };
+}
+export function object(shape) {
+    return {
+        check(value, path, issues) {
+            if (!isPlainObject(value)) {
+                issues.push(describe(path, "expected object", value));
+                return;
+            }
+            Object.entries(shape).forEach(([key, schema]) => schema.check(value[key], joinPath(path, key), issues));
+        }
+    };
+}
+function isPlainObject(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+function isSecureUrl(value, allowLoopbackHttp) {
+    try {
+        const url = new URL(value);
+        return url.protocol === "https:" || (allowLoopbackHttp && url.protocol === "http:" && isLoopbackUrl(url));
+    }
+    catch {
+        return false;
+    }
+}
+function joinPath(path, key) {
+    return path ? `${path}.${key}` : key;
+}
+function describe(path, expectation, value) {
+    const received = value === null ? "null" : Array.isArray(value) ? "array" : typeof value;
+    return `${path || "(root)"}: ${expectation}, got ${received}`;
+}
@@ -0,0 +1,31 @@
+import { array, httpsUrl, literal, object, record, string } from "./schema.js";
+/**
+ * Схеми відповідей Dog CEO API і кешованого списку порід. Типи в types.ts виводяться з них.
+ * Успішна відповідь завжди має status: "success"; відповідь з помилкою перевіряється окремо (apiErrorResponseSchema).
+ */
+export const dogApiStatusSchema = literal("success", "error");
+export const breedListResponseSchema = object({
+    message: record(array(string())),
+    status: literal("success")
+});
+export const dogImageResponseSchema = object({
+    message: httpsUrl(),
+    status: literal("success")
+});
+// Адреси фото — лише https; http з localhost api.ts дозволяє, коли сам API налаштований на localhost.
+export function createDogImageListResponseSchema(urlOptions = {}) {
+    return object({
+        message: array(httpsUrl(urlOptions)),
+        status: literal("success")
+    });
+}
+export const dogImageListResponseSchema = createDogImageListResponseSchema();
+export const apiErrorResponseSchema = object({
+    message: string(),
+    status: literal("error")
+});
+// Список порід у форматі сторінки (так він зберігається в кеші localStorage).
+export const breedGroupListSchema = array(object({
+    breed: string(),
+    subBreeds: array(string())
+}));
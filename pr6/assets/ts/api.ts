@@ -1,23 +1,81 @@
-import type { BreedListResponse, DogImageResponse } from "./types.js";
+import { createTtlCache } from "./cache.js";
+import { getApiBaseUrl, isLoopbackUrl } from "./config.js";
+import { ApiStatusError, ValidationError } from "./errors.js";
+import { fetchJson, type RequestOptions } from "./http.js";
+import { validate, type Schema } from "./schema.js";
+import {
+  apiErrorResponseSchema,
+  breedGroupListSchema,
+  breedListResponseSchema,
+  createDogImageListResponseSchema
+} from "./schemas.js";
+import type { BreedGroup } from "./types.js";
 
-const API_BASE_URL = "https://dog.ceo/api";
+const API_BASE_URL = getApiBaseUrl();
+// Dog CEO API повертає не більше 50 випадкових фото за один запит.
+const MAX_RANDOM_IMAGES = 50;
+// У повідомленні помилки — лише перші невідповідності, повний список лишається в error.issues.
+const MAX_REPORTED_ISSUES = 3;
+// Список порід змінюється рідко, тож між відвідуваннями його не завантажуємо повторно добу.
+// Ключ залежить від адреси API, щоб список з тестового сервера не потрапив на сторінку з справжнім API.
+const BREEDS_CACHE_KEY = `pr6-breeds:${API_BASE_URL}`;
+const BREEDS_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
 
-async function fetchJson<T>(url: string): Promise<T> {
-  const response = await fetch(url);
+const breedsCache = createTtlCache(BREEDS_CACHE_KEY, BREEDS_CACHE_TTL_MS, breedGroupListSchema);
+// Фото з http приймаються лише від локального тестового сервера: коли сам API на localhost.
+const imageListSchema = createDogImageListResponseSchema({ allowLoopbackHttp: isLoopbackUrl(API_BASE_URL) });
 
-  if (!response.ok) {
-    throw new Error(`HTTP ${response.status}`);
+async function fetchDogApi<T>(url: string, schema: Schema<T>, options?: RequestOptions): Promise<T> {
+  const data = await fetchJson<unknown>(url, options);
+
+  const apiError = validate(apiErrorResponseSchema, data);
+  if (apiError.ok) {
+    throw new ApiStatusError(apiError.value.message, { url });
+  }
+
+  const result = validate(schema, data);
+  if (!result.ok) {
+    const summary = result.issues.slice(0, MAX_REPORTED_ISSUES).join("; ");
+    const more = result.issues.length > MAX_REPORTED_ISSUES ? ` (+${result.issues.length - MAX_REPORTED_ISSUES} more)` : "";
+    throw new ValidationError(`Unexpected response from ${url}: ${summary}${more}`, { url, issues: result.issues });
   }
 
-  return response.json() as Promise<T>;
+  return result.value;
+}
+
+export async function getBreeds(options?: RequestOptions): Promise<BreedGroup[]> {
+  const cached = breedsCache.get();
+  if (cached) return cached;
+
+  const data = await fetchDogApi(`${API_BASE_URL}/breeds/list/all`, breedListResponseSchema, options);
+  const breeds = Object.entries(data.message)
+    .map(([breed, subBreeds]) => ({ breed, subBreeds: [...subBreeds].sort() }))
+    .sort((a, b) => a.breed.localeCompare(b.breed));
+
+  breedsCache.set(breeds);
+  return breeds;
 }
 
-export async function getBreeds(): Promise<string[]> {
-  const data = await fetchJson<BreedListResponse>(`${API_BASE_URL}/breeds/list/all`);
-  return Object.keys(data.message).sort();
+export async function getBreedImages(breed: string, subBreed?: string, options?: RequestOptions): Promise<string[]> {
+  const data = await fetchDogApi(`${getBreedUrl(breed, subBreed)}/images`, imageListSchema, options);
+  return data.message;
 }
 
-export async function getDogImageByBreed(breed: string): Promise<string> {
-  const data = await fetchJson<DogImageResponse>(`${API_BASE_URL}/breed/${breed}/images/random`);
+// Без породи — випадкові фото будь-яких собак, з породою — лише цієї породи (або підпороди).
+export async function getRandomDogImages(
+  count: number,
+  options: RequestOptions & { breed?: string; subBreed?: string } = {}
+): Promise<string[]> {
+  const { breed, subBreed, ...requestOptions } = options;
+  const safeCount = Math.min(Math.max(Math.trunc(count), 1), MAX_RANDOM_IMAGES);
+  const url = breed
+    ? `${getBreedUrl(breed, subBreed)}/images/random/${safeCount}`
+    : `${API_BASE_URL}/breeds/image/random/${safeCount}`;
+  const data = await fetchDogApi(url, imageListSchema, requestOptions);
   return data.message;
 }
+
+function getBreedUrl(breed: string, subBreed?: string): string {
+  const path = subBreed ? [breed, subBreed] : [breed];
+  return `${API_BASE_URL}/breed/${path.map(encodeURIComponent).join("/")}`;
+}
@@ -0,0 +1,68 @@
+import { validate, type Schema } from "./schema.js";
+
+/**
+ * Кеш одного значення з терміном придатності (TTL): у пам'яті та в localStorage.
+ * - Пам'ять обслуговує повторні звернення на сторінці, localStorage — наступні відвідування
+ * - Прострочений, пошкоджений або невідповідний схемі запис (формат міг змінитися між версіями) ігнорується
+ * - Недоступний localStorage (приватний режим, переповнення) не ламає роботу — лишається кеш у пам'яті
+ */
+
+export interface TtlCache<T> {
+  get(): T | null;
+  set(value: T): void;
+  clear(): void;
+}
+
+interface CacheEntry<T> {
+  savedAt: number;
+  value: T;
+}
+
+export function createTtlCache<T>(storageKey: string, ttlMs: number, schema?: Schema<T>): TtlCache<T> {
+  let memory: CacheEntry<T> | null = null;
+
+  function isFresh(entry: CacheEntry<T>): boolean {
+    const age = Date.now() - entry.savedAt;
+    return age >= 0 && age < ttlMs;
+  }
+
+  function readStorage(): CacheEntry<T> | null {
+    try {
+      const raw = localStorage.getItem(storageKey);
+      const entry = raw ? JSON.parse(raw) as CacheEntry<T> : null;
+      if (!entry || typeof entry.savedAt !== "number") return null;
+      return !schema || validate(schema, entry.value).ok ? entry : null;
+    } catch {
+      return null;
+    }
+  }
+
+  return {
+    get() {
+      if (memory && isFresh(memory)) return memory.value;
+
+      const stored = readStorage();
+      if (stored && isFresh(stored)) {
+        memory = stored;
+        return stored.value;
+      }
+      return null;
+    },
+    set(value) {
+      memory = { savedAt: Date.now(), value };
+      try {
+        localStorage.setItem(storageKey, JSON.stringify(memory));
+      } catch {
+        // Без localStorage кеш працює лише до перезавантаження сторінки.
+      }
+    },
+    clear() {
+      memory = null;
+      try {
+        localStorage.removeItem(storageKey);
+      } catch {
+        // Нічого прибирати.
+      }
+    }
+  };
+}
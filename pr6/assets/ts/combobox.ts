@@ -0,0 +1,407 @@
+import { fuzzyMatch, renderHighlighted, type MatchRange } from "./fuzzy.js";
+import { array, string, validate } from "./schema.js";
+
+/**
+ * Поле вибору зі списком і пошуком (ARIA combobox + listbox).
+ * - Введений текст фільтрує варіанти нечітким пошуком, збіги виділяються
+ * - ↓/↑ відкривають список і переміщують активний варіант, Enter обирає його, Escape закриває список
+ *   (а в закритому стані — очищає поле); Alt+↓ лише відкриває список
+ * - Без запиту список показує "випадковий варіант", нещодавно обрані (localStorage) і всі варіанти
+ * - Якщо поле втратило фокус, а текст точно збігається з назвою варіанта — варіант обирається,
+ *   інакше в полі повертається назва обраного раніше
+ */
+
+export interface ComboboxOption {
+  value: string;
+  label: string;
+  // Додаткові рядки для пошуку (наприклад, "hound afghan" для "Afghan hound").
+  keywords?: string[];
+  // Вкладений варіант (підпорода) — показується з відступом у повному списку.
+  nested?: boolean;
+}
+
+export interface ComboboxLabels {
+  random: () => string;
+  recent: () => string;
+  all: () => string;
+  empty: () => string;
+  results: (count: number) => string;
+}
+
+export interface ComboboxSettings {
+  input: HTMLInputElement;
+  list: HTMLElement;
+  toggleButton?: HTMLButtonElement | null;
+  resultsStatus?: HTMLElement | null;
+  recentStorageKey: string;
+  maxRecent?: number;
+  labels?: Partial<ComboboxLabels>;
+}
+
+export interface ComboboxController {
+  setOptions(options: ComboboxOption[]): void;
+  getValue(): string;
+  setValue(value: string): void;
+  remember(value: string): void;
+  setDisabled(disabled: boolean): void;
+  destroy(): void;
+}
+
+type ComboboxItem =
+  | { kind: "option"; option: ComboboxOption; ranges: MatchRange[] }
+  | { kind: "random" };
+
+interface ComboboxSection {
+  label?: string;
+  items: ComboboxItem[];
+}
+
+const DEFAULT_MAX_RECENT = 5;
+const DEFAULT_LABELS: ComboboxLabels = {
+  random: () => "Випадковий варіант",
+  recent: () => "Нещодавні",
+  all: () => "Усі варіанти",
+  empty: () => "Нічого не знайдено",
+  results: (count) => `Знайдено варіантів: ${count}`
+};
+const CLASS_NAMES = {
+  group: "combobox__group",
+  groupLabel: "combobox__group-label",
+  option: "combobox__option",
+  nested: "combobox__option--nested",
+  random: "combobox__option--random",
+  active: "combobox__option--active",
+  selected: "combobox__option--selected",
+  empty: "combobox__empty",
+  highlight: "combobox__highlight"
+};
+const recentSchema = array(string());
+
+export function initCombobox(settings: ComboboxSettings): ComboboxController {
+  const { input, list, toggleButton = null, resultsStatus = null, recentStorageKey } = settings;
+  const maxRecent = settings.maxRecent ?? DEFAULT_MAX_RECENT;
+  const labels: ComboboxLabels = { ...DEFAULT_LABELS, ...settings.labels };
+  const listeners = new AbortController();
+  const { signal } = listeners;
+
+  let options: ComboboxOption[] = [];
+  let selected: ComboboxOption | null = null;
+  let items: ComboboxItem[] = [];
+  let activeIndex = -1;
+  let isFiltered = false;
+
+  input.setAttribute("role", "combobox");
+  input.setAttribute("aria-autocomplete", "list");
+  input.setAttribute("aria-controls", list.id);
+  input.setAttribute("aria-expanded", "false");
+  input.autocomplete = "off";
+  list.setAttribute("role", "listbox");
+  list.hidden = true;
+
+  function isOpen(): boolean {
+    return !list.hidden;
+  }
+
+  function open(query: string): void {
+    list.hidden = false;
+    input.setAttribute("aria-expanded", "true");
+    toggleButton?.setAttribute("aria-expanded", "true");
+    update(query);
+  }
+
+  function close(): void {
+    list.hidden = true;
+    input.setAttribute("aria-expanded", "false");
+    input.removeAttribute("aria-activedescendant");
+    toggleButton?.setAttribute("aria-expanded", "false");
+    activeIndex = -1;
+  }
+
+  // Якщо в полі назва вже обраного варіанта, відкриваємо весь список, а не лише цей варіант.
+  function getOpenQuery(): string {
+    return selected && input.value === selected.label ? "" : input.value;
+  }
+
+  function update(query: string): void {
+    isFiltered = query.trim() !== "";
+    const sections = buildSections(query.trim());
+    items = sections.flatMap((section) => section.items);
+
+    // Обраний раніше варіант одразу активний, інакше — перший.
+    const selectedIndex = items.findIndex((item) => item.kind === "option" && item.option === selected);
+    activeIndex = !isFiltered && selectedIndex >= 0 ? selectedIndex : items.length > 0 ? 0 : -1;
+
+    render(sections);
+    if (resultsStatus) {
+      resultsStatus.textContent = isFiltered ? labels.results(items.length) : "";
+    }
+  }
+
+  function buildSections(query: string): ComboboxSection[] {
+    if (!query) {
+      const recent = readRecent()
+        .map((value) => options.find((option) => option.value === value))
+        .filter((option): option is ComboboxOption => Boolean(option));
+      const toItems = (source: ComboboxOption[]): ComboboxItem[] => (
+        source.map((option) => ({ kind: "option", option, ranges: [] }))
+      );
+
+      return [
+        ...(options.length > 0 ? [{ items: [{ kind: "random" } as ComboboxItem] }] : []),
+        ...(recent.length > 0 ? [{ label: labels.recent(), items: toItems(recent) }] : []),
+        { label: labels.all(), items: toItems(options) }
+      ];
+    }
+
+    const ranked = options
+      .map((option, order) => {
+        const match = fuzzyMatch(option.label, query);
+        if (match) return { option, order, score: match.score, ranges: match.ranges };
+
+        // Ключові слова знаходять варіант, але не підсвічуються в назві.
+        const keywordScores = (option.keywords ?? [])
+          .map((keyword) => fuzzyMatch(keyword, query)?.score)
+          .filter((score): score is number => score !== undefined);
+        if (keywordScores.length === 0) return null;
+        return { option, order, score: Math.max(...keywordScores) - 1, ranges: [] };
+      })
+      .filter((result): result is NonNullable<typeof result> => result !== null)
+      .sort((a, b) => b.score - a.score || a.order - b.order);
+
+    return [{ items: ranked.map(({ option, ranges }) => ({ kind: "option", option, ranges })) }];
+  }
+
+  function render(sections: ComboboxSection[]): void {
+    list.replaceChildren();
+
+    if (items.length === 0) {
+      const empty = document.createElement("div");
+      empty.className = CLASS_NAMES.empty;
+      empty.setAttribute("role", "presentation");
+      empty.textContent = labels.empty();
+      list.append(empty);
+      syncActive();
+      return;
+    }
+
+    let index = 0;
+    sections.forEach((section, sectionIndex) => {
+      let container: HTMLElement = list;
+
+      if (section.label) {
+        const group = document.createElement("div");
+        const groupLabel = document.createElement("div");
+        const groupLabelId = `${list.id}-group-${sectionIndex}`;
+        group.className = CLASS_NAMES.group;
+        group.setAttribute("role", "group");
+        group.setAttribute("aria-labelledby", groupLabelId);
+        groupLabel.className = CLASS_NAMES.groupLabel;
+        groupLabel.id = groupLabelId;
+        groupLabel.setAttribute("role", "presentation");
+        groupLabel.textContent = section.label;
+        group.append(groupLabel);
+        list.append(group);
+        container = group;
+      }
+
+      section.items.forEach((item) => {
+        container.append(createOptionElement(item, index));
+        index += 1;
+      });
+    });
+
+    syncActive();
+  }
+
+  function createOptionElement(item: ComboboxItem, index: number): HTMLElement {
+    const element = document.createElement("div");
+    element.id = optionId(index);
+    element.className = CLASS_NAMES.option;
+    element.setAttribute("role", "option");
+    element.dataset.index = String(index);
+
+    if (item.kind === "random") {
+      element.classList.add(CLASS_NAMES.random);
+      element.textContent = labels.random();
+    } else {
+      // Відступ для підпород — лише в повному списку; серед результатів пошуку назва і так повна.
+      element.classList.toggle(CLASS_NAMES.nested, Boolean(item.option.nested) && !isFiltered);
+      element.classList.toggle(CLASS_NAMES.selected, item.option === selected);
+      element.append(renderHighlighted(item.option.label, item.ranges, CLASS_NAMES.highlight));
+    }
+
+    return element;
+  }
+
+  function syncActive(): void {
+    list.querySelectorAll<HTMLElement>('[role="option"]').forEach((element) => {
+      const isActive = Number(element.dataset.index) === activeIndex;
+      element.classList.toggle(CLASS_NAMES.active, isActive);
+      element.setAttribute("aria-selected", String(isActive));
+      if (isActive) element.scrollIntoView({ block: "nearest" });
+    });
+
+    if (activeIndex >= 0 && isOpen()) {
+      input.setAttribute("aria-activedescendant", optionId(activeIndex));
+    } else {
+      input.removeAttribute("aria-activedescendant");
+    }
+  }
+
+  function move(step: number): void {
+    if (items.length === 0) return;
+    activeIndex = (activeIndex + step + items.length) % items.length;
+    syncActive();
+  }
+
+  function choose(index: number): void {
+    const item = items[index];
+    if (!item) return;
+
+    const option = item.kind === "random" ? pickRandomOption() : item.option;
+    close();
+    if (option) select(option);
+  }
+
+  function pickRandomOption(): ComboboxOption | null {
+    // Повторно той самий варіант не пропонуємо, якщо є з чого обирати.
+    const candidates = options.length > 1 ? options.filter((option) => option !== selected) : options;
+    return candidates[Math.floor(Math.random() * candidates.length)] ?? null;
+  }
+
+  function select(option: ComboboxOption | null): void {
+    selected = option;
+    input.value = option?.label ?? "";
+  }
+
+  // Коли фокус покидає поле: точний збіг тексту з назвою обирає варіант, інакше повертається попередній вибір.
+  function commitInput(): void {
+    const text = input.value.trim().toLowerCase();
+    if (!text) {
+      select(null);
+      return;
+    }
+
+    const exact = options.find((option) => option.label.toLowerCase() === text);
+    select(exact ?? selected);
+  }
+
+  function optionId(index: number): string {
+    return `${list.id}-option-${index}`;
+  }
+
+  function readRecent(): string[] {
+    try {
+      const result = validate(recentSchema, JSON.parse(localStorage.getItem(recentStorageKey) ?? "[]"));
+      return result.ok ? result.value : [];
+    } catch {
+      return [];
+    }
+  }
+
+  function writeRecent(values: string[]): void {
+    try {
+      localStorage.setItem(recentStorageKey, JSON.stringify(values));
+    } catch {
+      // Без localStorage список нещодавніх просто не зберігається.
+    }
+  }
+
+  input.addEventListener("input", () => {
+    open(input.value);
+  }, { signal });
+
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      if (!isOpen()) {
+        open(getOpenQuery());
+        if (e.altKey || e.key === "ArrowDown") return;
+      }
+      if (!e.altKey) move(e.key === "ArrowDown" ? 1 : -1);
+    } else if (e.key === "Enter") {
+      if (!isOpen()) return;
+      e.preventDefault();
+      choose(activeIndex);
+    } else if (e.key === "Escape") {
+      if (isOpen()) {
+        e.preventDefault();
+        close();
+        input.value = selected?.label ?? "";
+      } else if (input.value) {
+        e.preventDefault();
+        select(null);
+      }
+    }
+  }, { signal });
+
+  input.addEventListener("click", () => {
+    if (!isOpen()) open(getOpenQuery());
+  }, { signal });
+
+  input.addEventListener("blur", () => {
+    close();
+    commitInput();
+  }, { signal });
+
+  toggleButton?.addEventListener("mousedown", (e) => {
+    // Фокус лишається в полі, інакше blur закрив би список раніше, ніж спрацює click.
+    e.preventDefault();
+  }, { signal });
+
+  toggleButton?.addEventListener("click", () => {
+    if (isOpen()) {
+      close();
+    } else {
+      input.focus();
+      open(getOpenQuery());
+    }
+  }, { signal });
+
+  list.addEventListener("mousedown", (e) => {
+    e.preventDefault();
+  }, { signal });
+
+  list.addEventListener("click", (e) => {
+    const element = (e.target as Element).closest<HTMLElement>('[role="option"]');
+    if (element) choose(Number(element.dataset.index));
+  }, { signal });
+
+  list.addEventListener("mousemove", (e) => {
+    const element = (e.target as Element).closest<HTMLElement>('[role="option"]');
+    const index = element ? Number(element.dataset.index) : -1;
+    if (index < 0 || index === activeIndex) return;
+    activeIndex = index;
+    syncActive();
+  }, { signal });
+
+  return {
+    setOptions(nextOptions) {
+      options = nextOptions;
+      selected = selected ? options.find((option) => option.value === selected?.value) ?? null : null;
+      input.value = selected?.label ?? "";
+      if (isOpen()) update(getOpenQuery());
+    },
+    getValue() {
+      return selected?.value ?? "";
+    },
+    setValue(value) {
+      select(options.find((option) => option.value === value) ?? null);
+    },
+    // Нещодавні — від останнього до найстарішого, без повторів.
+    remember(value) {
+      if (!options.some((option) => option.value === value)) return;
+      writeRecent([value, ...readRecent().filter((item) => item !== value)].slice(0, maxRecent));
+    },
+    setDisabled(disabled) {
+      input.disabled = disabled;
+      if (toggleButton) toggleButton.disabled = disabled;
+      if (disabled) close();
+    },
+    destroy() {
+      listeners.abort();
+      close();
+      list.replaceChildren();
+    }
+  };
+}
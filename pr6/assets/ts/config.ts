@@ -0,0 +1,51 @@
+/**
+ * Адреса Dog CEO API.
+ * - За замовчуванням — https://dog.ceo/api
+ * - <meta name="dog-api-base" content="..."> на сторінці задає іншу адресу (наприклад, власне дзеркало API)
+ * - Параметр ?api-base= має пріоритет і потрібен для тестів та роботи без інтернету з локальним сервером
+ *   (tests/stubs/dog-api-server.mjs); дозволені лише адреси того самого сайту або localhost,
+ *   тож стороннє посилання не підмінить джерело даних
+ */
+
+export const DEFAULT_API_BASE_URL = "https://dog.ceo/api";
+
+const API_BASE_PARAM = "api-base";
+const API_BASE_META = "dog-api-base";
+const LOOPBACK_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
+
+export function getApiBaseUrl(): string {
+  if (typeof window === "undefined") return DEFAULT_API_BASE_URL;
+
+  const fromQuery = new URLSearchParams(window.location.search).get(API_BASE_PARAM);
+  if (fromQuery) {
+    const url = parseUrl(fromQuery);
+    if (url && (url.origin === window.location.origin || isLoopbackUrl(url))) {
+      return trimTrailingSlash(url.href);
+    }
+    console.warn(`Ignoring ?${API_BASE_PARAM}=${fromQuery}: only same-origin or localhost URLs are allowed`);
+  }
+
+  const fromMeta = document.querySelector<HTMLMetaElement>(`meta[name="${API_BASE_META}"]`)?.content;
+  const metaUrl = fromMeta ? parseUrl(fromMeta) : null;
+  return metaUrl ? trimTrailingSlash(metaUrl.href) : DEFAULT_API_BASE_URL;
+}
+
+export function isLoopbackUrl(value: string | URL): boolean {
+  try {
+    return LOOPBACK_HOSTS.includes(new URL(value).hostname);
+  } catch {
+    return false;
+  }
+}
+
+function parseUrl(value: string): URL | null {
+  try {
+    return new URL(value, window.location.href);
+  } catch {
+    return null;
+  }
+}
+
+function trimTrailingSlash(url: string): string {
+  return url.replace(/\/+$/, "");
+}
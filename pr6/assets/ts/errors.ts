@@ -0,0 +1,71 @@
+/**
+ * Помилки запитів до Dog CEO API.
+ * - Усі наслідують ApiError і мають поле kind, тож їх зручно розрізняти через switch або instanceof
+ * - network — запит не дійшов до сервера або не вклався в тайм-аут (timedOut)
+ * - http — сервер відповів кодом помилки; parse — тіло відповіді не є JSON
+ * - api — JSON отримано, але API повідомило про помилку (status: "error")
+ * - validation — JSON не відповідає очікуваній схемі (issues — список невідповідностей)
+ */
+
+export type ApiErrorKind = "network" | "http" | "parse" | "api" | "validation";
+
+interface ApiErrorOptions {
+  url: string;
+  cause?: unknown;
+}
+
+export abstract class ApiError extends Error {
+  abstract readonly kind: ApiErrorKind;
+  readonly url: string;
+  readonly cause?: unknown;
+
+  constructor(message: string, options: ApiErrorOptions) {
+    super(message);
+    this.name = new.target.name;
+    this.url = options.url;
+    this.cause = options.cause;
+  }
+}
+
+export class NetworkError extends ApiError {
+  readonly kind = "network";
+  readonly timedOut: boolean;
+
+  constructor(message: string, options: ApiErrorOptions & { timedOut?: boolean }) {
+    super(message, options);
+    this.timedOut = options.timedOut ?? false;
+  }
+}
+
+export class HttpError extends ApiError {
+  readonly kind = "http";
+  readonly status: number;
+
+  constructor(message: string, options: ApiErrorOptions & { status: number }) {
+    super(message, options);
+    this.status = options.status;
+  }
+}
+
+export class ParseError extends ApiError {
+  readonly kind = "parse";
+}
+
+export class ApiStatusError extends ApiError {
+  readonly kind = "api";
+}
+
+export class ValidationError extends ApiError {
+  readonly kind = "validation";
+  readonly issues: string[];
+
+  constructor(message: string, options: ApiErrorOptions & { issues: string[] }) {
+    super(message, options);
+    this.issues = options.issues;
+  }
+}
+
+// Скасування запиту (новий запит замінив старий) — не помилка, про яку треба повідомляти користувача.
+export function isAbortError(error: unknown): boolean {
+  return error instanceof DOMException && error.name === "AbortError";
+}
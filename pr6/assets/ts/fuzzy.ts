@@ -0,0 +1,81 @@
+/**
+ * Нечіткий пошук за назвою: літери запиту мають іти в назві в тому ж порядку, але не обов'язково поспіль.
+ * Оцінка — та сама, що й у палітри команд pr3 (shared/portfolio-widgets/text-search.js):
+ * суцільний збіг краще за розкиданий, збіг з початку слова — краще за збіг усередині.
+ */
+
+export type MatchRange = [start: number, end: number];
+
+export interface FuzzyMatch {
+  score: number;
+  ranges: MatchRange[];
+}
+
+export function fuzzyMatch(text: string, query: string): FuzzyMatch | null {
+  const needle = query.toLowerCase().replace(/\s+/g, "");
+  if (!needle) return { score: 0, ranges: [] };
+
+  const value = text.toLowerCase();
+  const toRanges = (positions: number[]): MatchRange[] => positions.map((index) => [index, index + 1]);
+
+  const substringIndex = value.indexOf(needle);
+  if (substringIndex !== -1) {
+    const bonus = isWordStart(value, substringIndex) ? 20 : 10;
+    return {
+      score: bonus + needle.length * 3 - value.length * 0.01,
+      ranges: [[substringIndex, substringIndex + needle.length]]
+    };
+  }
+
+  const positions: number[] = [];
+  let score = 0;
+  let from = 0;
+  for (const char of needle) {
+    const index = value.indexOf(char, from);
+    if (index === -1) return null;
+
+    if (index === positions[positions.length - 1] + 1) score += 3;
+    if (isWordStart(value, index)) score += 2;
+    // Великі прогалини між літерами знижують оцінку, але обмежено, щоб довгі назви не програвали завжди.
+    score -= Math.min(index - from, 5) * 0.2;
+    positions.push(index);
+    from = index + 1;
+  }
+
+  return { score: score - value.length * 0.01, ranges: toRanges(positions) };
+}
+
+// Текст із виділеними збігами як DOM-вузли (<mark>), без innerHTML — назви приходять із зовнішнього API.
+export function renderHighlighted(text: string, ranges: MatchRange[], className: string): DocumentFragment {
+  const fragment = document.createDocumentFragment();
+  let cursor = 0;
+
+  mergeRanges(ranges).forEach(([start, end]) => {
+    fragment.append(text.slice(cursor, start));
+    const mark = document.createElement("mark");
+    mark.className = className;
+    mark.textContent = text.slice(start, end);
+    fragment.append(mark);
+    cursor = end;
+  });
+  fragment.append(text.slice(cursor));
+
+  return fragment;
+}
+
+function mergeRanges(ranges: MatchRange[]): MatchRange[] {
+  const merged: MatchRange[] = [];
+  [...ranges].sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  });
+  return merged;
+}
+
+function isWordStart(value: string, index: number): boolean {
+  return index === 0 || /[\s\-(]/.test(value[index - 1]);
+}
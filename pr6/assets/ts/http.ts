@@ -0,0 +1,126 @@
+import { HttpError, NetworkError, ParseError } from "./errors.js";
+
+/**
+ * Завантаження JSON з тайм-аутом, повторними спробами і скасуванням.
+ * - Кожна спроба обмежена timeoutMs; після тайм-ауту або збою мережі чи відповіді 5xx запит повторюється
+ *   із затримкою retryDelayMs, 2 × retryDelayMs, 4 × retryDelayMs...
+ * - Відповіді 4xx і некоректний JSON не повторюються: наступна спроба дасть той самий результат
+ * - Тайм-аут і signal діють на всю спробу, включно з читанням тіла відповіді
+ * - signal скасовує і поточну спробу, і очікування перед наступною (помилка AbortError)
+ */
+
+export interface RequestOptions {
+  signal?: AbortSignal;
+  timeoutMs?: number;
+  retries?: number;
+  retryDelayMs?: number;
+}
+
+export const DEFAULT_REQUEST_OPTIONS = {
+  timeoutMs: 8000,
+  retries: 2,
+  retryDelayMs: 500
+};
+
+export async function fetchJson<T>(url: string, options: RequestOptions = {}): Promise<T> {
+  const { signal, timeoutMs, retries, retryDelayMs } = { ...DEFAULT_REQUEST_OPTIONS, ...options };
+
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await fetchJsonOnce<T>(url, timeoutMs, signal);
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) {
+        throw error;
+      }
+      await wait(retryDelayMs * 2 ** attempt, signal);
+    }
+  }
+}
+
+// Для запитів, де важлива лише остання відповідь: next() скасовує попередній запит і дає сигнал для нового.
+export function createRequestSlot(): { next(): AbortSignal; abort(): void } {
+  let controller: AbortController | null = null;
+
+  return {
+    next() {
+      controller?.abort();
+      controller = new AbortController();
+      return controller.signal;
+    },
+    abort() {
+      controller?.abort();
+      controller = null;
+    }
+  };
+}
+
+async function fetchJsonOnce<T>(url: string, timeoutMs: number, signal?: AbortSignal): Promise<T> {
+  signal?.throwIfAborted();
+
+  const controller = new AbortController();
+  const abortFromOutside = () => controller.abort(signal?.reason);
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  signal?.addEventListener("abort", abortFromOutside, { once: true });
+
+  // Скасування ззовні повертає причину від signal, решта збоїв (зокрема тайм-аут) — NetworkError.
+  const toRequestError = (error: unknown): unknown => {
+    if (signal?.aborted) return signal.reason;
+    return new NetworkError(timedOut ? `Timeout after ${timeoutMs} ms` : `Network error while loading ${url}`, {
+      url,
+      cause: error,
+      timedOut
+    });
+  };
+
+  // Тайм-аут і скасування діють, доки не прочитано все тіло відповіді, а не лише до отримання заголовків.
+  try {
+    let response: Response;
+    try {
+      response = await fetch(url, { signal: controller.signal });
+    } catch (error) {
+      throw toRequestError(error);
+    }
+
+    if (!response.ok) {
+      throw new HttpError(`HTTP ${response.status}`, { url, status: response.status });
+    }
+
+    try {
+      return await response.json() as T;
+    } catch (error) {
+      // SyntaxError — некоректний JSON; інші помилки означають, що тіло не дочитано (обрив, тайм-аут, скасування).
+      if (error instanceof SyntaxError) throw new ParseError(`Invalid JSON in ${url}`, { url, cause: error });
+      throw toRequestError(error);
+    }
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", abortFromOutside);
+  }
+}
+
+function isRetryable(error: unknown): boolean {
+  return error instanceof NetworkError || (error instanceof HttpError && error.status >= 500);
+}
+
+function wait(ms: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal?.reason);
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
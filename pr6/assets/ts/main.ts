@@ -1,17 +1,54 @@
-import { getBreeds, getDogImageByBreed } from "./api.js";
-
-const breedSelect = document.getElementById("breedSelect") as HTMLSelectElement | null;
+import { getBreedImages, getBreeds, getRandomDogImages } from "./api.js";
+import { initCombobox, type ComboboxOption } from "./combobox.js";
+import { isAbortError } from "./errors.js";
+import { initGallery } from "./gallery.js";
+import { createRequestSlot } from "./http.js";
+import type { BreedGroup } from "./types.js";
+
+// Значення пункту списку: "hound" для породи або "hound/afghan" для підпороди.
+const SUB_BREED_SEPARATOR = "/";
+const RANDOM_IMAGES_COUNT = 12;
+const RECENT_BREEDS_STORAGE_KEY = "pr6-recent-breeds";
+
+const breedInput = document.getElementById("breedInput") as HTMLInputElement | null;
+const breedList = document.getElementById("breedList") as HTMLDivElement | null;
+const breedToggle = document.getElementById("breedToggle") as HTMLButtonElement | null;
+const breedResults = document.getElementById("breedResults") as HTMLParagraphElement | null;
 const loadDogButton = document.getElementById("loadDogButton") as HTMLButtonElement | null;
+const randomDogsButton = document.getElementById("randomDogsButton") as HTMLButtonElement | null;
 const statusText = document.getElementById("status") as HTMLParagraphElement | null;
-const dogImage = document.getElementById("dogImage") as HTMLImageElement | null;
+const dogGallery = document.getElementById("dogGallery") as HTMLUListElement | null;
+const galleryMoreButton = document.getElementById("galleryMoreButton") as HTMLButtonElement | null;
+const lightbox = document.getElementById("lightbox") as HTMLDialogElement | null;
 const dogTitle = document.getElementById("dogTitle") as HTMLHeadingElement | null;
 const dogBreedText = document.getElementById("dogBreedText") as HTMLParagraphElement | null;
 
+const gallery = dogGallery && lightbox
+  ? initGallery({ list: dogGallery, lightbox, moreButton: galleryMoreButton })
+  : null;
+const breedCombobox = breedInput && breedList
+  ? initCombobox({
+    input: breedInput,
+    list: breedList,
+    toggleButton: breedToggle,
+    resultsStatus: breedResults,
+    recentStorageKey: RECENT_BREEDS_STORAGE_KEY,
+    labels: {
+      random: () => "Випадкова порода",
+      all: () => "Усі породи",
+      empty: () => "Такої породи не знайдено",
+      results: (count) => `Знайдено порід: ${count}`
+    }
+  })
+  : null;
+// Фото для галереї: новий запит скасовує попередній, тож відповідь, що запізнилась, не підмінить нову.
+const galleryRequests = createRequestSlot();
+
 document.addEventListener("DOMContentLoaded", () => {
   void loadBreeds();
 
   loadDogButton?.addEventListener("click", () => {
-    const breed = breedSelect?.value ?? "";
+    const breed = breedCombobox?.getValue() ?? "";
 
     if (!breed) {
       setStatus("Спочатку оберіть породу.");
@@ -20,27 +57,23 @@ document.addEventListener("DOMContentLoaded", () => {
 
     void loadDogByBreed(breed);
   });
+
+  randomDogsButton?.addEventListener("click", () => {
+    void loadRandomDogs();
+  });
 });
 
 async function loadBreeds(): Promise<void> {
-  if (!breedSelect) return;
+  if (!breedCombobox) return;
 
   setStatus("Завантаження списку порід...");
-  breedSelect.disabled = true;
+  breedCombobox.setDisabled(true);
 
   try {
     const breeds = await getBreeds();
 
-    breedSelect.innerHTML = '<option value="">Оберіть породу</option>';
-
-    breeds.forEach((breed) => {
-      const option = document.createElement("option");
-      option.value = breed;
-      option.textContent = capitalizeFirstLetter(breed);
-      breedSelect.appendChild(option);
-    });
-
-    breedSelect.disabled = false;
+    breedCombobox.setOptions(breeds.flatMap(createBreedOptions));
+    breedCombobox.setDisabled(false);
     setStatus("Список порід завантажено.");
   } catch (error) {
     setStatus("Не вдалося завантажити список порід. Спробуйте пізніше.");
@@ -48,26 +81,65 @@ async function loadBreeds(): Promise<void> {
   }
 }
 
+// Порода без підпорід — один варіант, з підпородами — варіант "усі" і вкладені варіанти підпорід.
+// Ключові слова дозволяють знайти підпороду і в порядку Dog CEO API ("hound afghan").
+function createBreedOptions({ breed, subBreeds }: BreedGroup): ComboboxOption[] {
+  if (subBreeds.length === 0) {
+    return [{ value: breed, label: capitalizeFirstLetter(breed) }];
+  }
+
+  return [
+    { value: breed, label: `${capitalizeFirstLetter(breed)} (усі)` },
+    ...subBreeds.map((subBreed) => ({
+      value: `${breed}${SUB_BREED_SEPARATOR}${subBreed}`,
+      label: formatBreedName(breed, subBreed),
+      keywords: [`${breed} ${subBreed}`],
+      nested: true
+    }))
+  ];
+}
+
 async function loadDogByBreed(breed: string): Promise<void> {
+  const [breedName, subBreed] = breed.split(SUB_BREED_SEPARATOR);
+  const signal = galleryRequests.next();
   setStatus("Завантаження фото...");
 
   try {
-    const imageUrl = await getDogImageByBreed(breed);
-    showDog(imageUrl, `Порода: ${capitalizeFirstLetter(breed)}`);
+    const images = await getBreedImages(breedName, subBreed, { signal });
+    // Поки чекали відповідь, користувач міг обрати іншу породу: застаріла відповідь не показується.
+    if (signal.aborted) return;
+    showDogs(images, `Порода: ${formatBreedName(breedName, subBreed)}`);
+    breedCombobox?.remember(breed);
+    setStatus(images.length > 0 ? "Фото успішно завантажено." : "Для цієї породи ще немає фото.");
+  } catch (error) {
+    if (signal.aborted || isAbortError(error)) return;
+    setStatus("Не вдалося завантажити фото. Спробуйте ще раз.");
+    console.error(error);
+  }
+}
+
+async function loadRandomDogs(): Promise<void> {
+  const signal = galleryRequests.next();
+  setStatus("Завантаження фото...");
+
+  try {
+    const images = await getRandomDogImages(RANDOM_IMAGES_COUNT, { signal });
+    if (signal.aborted) return;
+    showDogs(images, "Випадкові собаки");
     setStatus("Фото успішно завантажено.");
   } catch (error) {
+    if (signal.aborted || isAbortError(error)) return;
     setStatus("Не вдалося завантажити фото. Спробуйте ще раз.");
     console.error(error);
   }
 }
 
-function showDog(imageUrl: string, title: string): void {
-  if (!dogImage || !dogTitle || !dogBreedText) return;
+function showDogs(images: string[], title: string): void {
+  if (!gallery || !dogTitle || !dogBreedText) return;
 
-  dogImage.src = imageUrl;
-  dogImage.hidden = false;
+  gallery.show(images, title);
   dogTitle.textContent = title;
-  dogBreedText.textContent = "";
+  dogBreedText.textContent = images.length > 0 ? `Фото: ${images.length}. Натисніть на фото, щоб збільшити.` : "";
 }
 
 function setStatus(message: string): void {
@@ -76,6 +148,11 @@ function setStatus(message: string): void {
   }
 }
 
+// Dog CEO називає підпороду після породи ("hound/afghan"), а звично — навпаки: "Afghan hound".
+function formatBreedName(breed: string, subBreed?: string): string {
+  return capitalizeFirstLetter(subBreed ? `${subBreed} ${breed}` : breed);
+}
+
 function capitalizeFirstLetter(text: string): string {
   return text.charAt(0).toUpperCase() + text.slice(1);
 }
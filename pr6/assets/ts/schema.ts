@@ -0,0 +1,117 @@
+/**
+ * Мінімальні схеми для перевірки JSON під час виконання.
+ * - Схема одночасно перевіряє значення і задає його тип: Infer<typeof schema> дає TS-тип,
+ *   тож типи відповідей API (types.ts) не можуть розійтися з перевірками
+ * - validate() збирає всі невідповідності зі шляхом до поля ("message.hound[0]: expected string"),
+ *   а не зупиняється на першій
+ */
+
+import { isLoopbackUrl } from "./config.js";
+
+export interface Schema<T> {
+  check(value: unknown, path: string, issues: string[]): void;
+  // Лише для виведення типу, під час виконання поля немає.
+  readonly __type?: T;
+}
+
+export type Infer<S> = S extends Schema<infer T> ? T : never;
+
+export type ValidationResult<T> = { ok: true; value: T } | { ok: false; issues: string[] };
+
+export function validate<T>(schema: Schema<T>, value: unknown): ValidationResult<T> {
+  const issues: string[] = [];
+  schema.check(value, "", issues);
+  return issues.length === 0 ? { ok: true, value: value as T } : { ok: false, issues };
+}
+
+export function string(): Schema<string> {
+  return {
+    check(value, path, issues) {
+      if (typeof value !== "string") issues.push(describe(path, "expected string", value));
+    }
+  };
+}
+
+export function literal<const L extends readonly string[]>(...values: L): Schema<L[number]> {
+  return {
+    check(value, path, issues) {
+      if (!values.includes(value as string)) {
+        issues.push(describe(path, `expected ${values.map((v) => JSON.stringify(v)).join(" | ")}`, value));
+      }
+    }
+  };
+}
+
+export interface HttpsUrlOptions {
+  // Дозволити http для localhost — лише коли й сам API локальний (тестовий сервер). За замовчуванням тільки https.
+  allowLoopbackHttp?: boolean;
+}
+
+export function httpsUrl(options: HttpsUrlOptions = {}): Schema<string> {
+  const allowLoopbackHttp = options.allowLoopbackHttp ?? false;
+  return {
+    check(value, path, issues) {
+      if (typeof value !== "string" || !isSecureUrl(value, allowLoopbackHttp)) {
+        issues.push(describe(path, "expected https URL", value));
+      }
+    }
+  };
+}
+
+export function array<T>(item: Schema<T>): Schema<T[]> {
+  return {
+    check(value, path, issues) {
+      if (!Array.isArray(value)) {
+        issues.push(describe(path, "expected array", value));
+        return;
+      }
+      value.forEach((entry, index) => item.check(entry, `${path}[${index}]`, issues));
+    }
+  };
+}
+
+export function record<T>(item: Schema<T>): Schema<Record<string, T>> {
+  return {
+    check(value, path, issues) {
+      if (!isPlainObject(value)) {
+        issues.push(describe(path, "expected object", value));
+        return;
+      }
+      Object.entries(value).forEach(([key, entry]) => item.check(entry, joinPath(path, key), issues));
+    }
+  };
+}
+
+export function object<S extends Record<string, Schema<unknown>>>(shape: S): Schema<{ [K in keyof S]: Infer<S[K]> }> {
+  return {
+    check(value, path, issues) {
+      if (!isPlainObject(value)) {
+        issues.push(describe(path, "expected object", value));
+        return;
+      }
+      Object.entries(shape).forEach(([key, schema]) => schema.check(value[key], joinPath(path, key), issues));
+    }
+  };
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function isSecureUrl(value: string, allowLoopbackHttp: boolean): boolean {
+  try {
+    const url = new URL(value);
+    return url.protocol === "https:" || (allowLoopbackHttp && url.protocol === "http:" && isLoopbackUrl(url));
+  } catch {
+    return false;
+  }
+}
+
+function joinPath(path: string, key: string): string {
+  return path ? `${path}.${key}` : key;
+}
+
+function describe(path: string, expectation: string, value: unknown): string {
+  const received = value === null ? "null" : Array.isArray(value) ? "array" : typeof value;
+  return `${path || "(root)"}: ${expectation}, got ${received}`;
+}
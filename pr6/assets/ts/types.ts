@@ -1,11 +1,22 @@
-export type DogApiStatus = "success" | "error";
+import type { Infer } from "./schema.js";
+import type {
+  apiErrorResponseSchema,
+  breedGroupListSchema,
+  breedListResponseSchema,
+  dogApiStatusSchema,
+  dogImageListResponseSchema,
+  dogImageResponseSchema
+} from "./schemas.js";
 
-export interface BreedListResponse {
-  message: Record<string, string[]>;
-  status: DogApiStatus;
-}
+// Типи відповідей виводяться зі схем (schemas.ts), за якими відповіді перевіряються під час виконання.
+export type DogApiStatus = Infer<typeof dogApiStatusSchema>;
 
-export interface DogImageResponse {
-  message: string;
-  status: DogApiStatus;
-}
+export type BreedListResponse = Infer<typeof breedListResponseSchema>;
+
+export type DogImageResponse = Infer<typeof dogImageResponseSchema>;
+
+export type DogImageListResponse = Infer<typeof dogImageListResponseSchema>;
+
+export type ApiErrorResponse = Infer<typeof apiErrorResponseSchema>;
+
+export type BreedGroup = Infer<typeof breedGroupListSchema>[number];
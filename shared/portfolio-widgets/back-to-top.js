@@ -0,0 +1,39 @@
+import { resolveElement } from "./dom.js";
+
+/**
+ * Кнопка "догори": з'являється після прокрутки на offset пікселів.
+ */
+
+const DEFAULTS = {
+  button: "#backToTop",
+  offset: 450,
+  visibleClass: "back-to-top--show",
+  behavior: "smooth"
+};
+
+export function init(options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const button = resolveElement(settings.button);
+  if (!button) return { destroy() {} };
+
+  const listeners = new AbortController();
+
+  const onScroll = () => {
+    // Під час прокрутки лише перемикаємо клас видимості (логіка проста, стилі — в CSS).
+    button.classList.toggle(settings.visibleClass, window.scrollY > settings.offset);
+  };
+
+  window.addEventListener("scroll", onScroll, { passive: true, signal: listeners.signal });
+  onScroll();
+
+  button.addEventListener("click", () => {
+    window.scrollTo({ top: 0, behavior: settings.behavior });
+  }, { signal: listeners.signal });
+
+  return {
+    destroy() {
+      listeners.abort();
+      button.classList.remove(settings.visibleClass);
+    }
+  };
+}
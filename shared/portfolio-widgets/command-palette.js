@@ -0,0 +1,198 @@
+import { createDialogToggle } from "./dialog.js";
+import { escapeHtml, escapeHtmlAttr, resolveElement } from "./dom.js";
+import { fuzzyMatch, highlightRanges } from "./text-search.js";
+
+/**
+ * Палітра команд (Ctrl+K / ⌘K): поле пошуку і список команд із нечітким збігом.
+ * - Команда: { id, title, group, keywords, hint, run() }; список будує getCommands() при кожному відкритті
+ * - Поле — combobox, список — listbox: стрілки переміщують активний пункт, Enter виконує його
+ * - Перед виконанням палітра закривається й одразу повертає фокус, тож команда може відкрити інше вікно
+ */
+
+const DEFAULTS = {
+  dialog: "#commandPalette",
+  input: "#commandInput",
+  list: "#commandList",
+  getCommands: () => [],
+  getLocale: () => document.documentElement.lang || "uk",
+  maxResults: 12,
+  labels: {
+    empty: () => "Nothing found",
+    group: (group) => group
+  },
+  classNames: {
+    option: "command-palette__option",
+    active: "command-palette__option--active",
+    group: "command-palette__group",
+    hint: "command-palette__hint",
+    empty: "command-palette__empty",
+    highlight: "search-highlight"
+  }
+};
+
+export function init(options = {}) {
+  const settings = {
+    ...DEFAULTS,
+    ...options,
+    labels: { ...DEFAULTS.labels, ...options.labels },
+    classNames: { ...DEFAULTS.classNames, ...options.classNames }
+  };
+
+  const dialog = resolveElement(settings.dialog);
+  const input = dialog && resolveElement(settings.input, dialog);
+  const list = dialog && resolveElement(settings.list, dialog);
+  if (!dialog || !input || !list) {
+    return { open() {}, close() {}, toggle() {}, isOpen: () => false, refresh() {}, destroy() {} };
+  }
+
+  const listeners = new AbortController();
+  const { signal } = listeners;
+  let commands = [];
+  let results = [];
+  let activeIndex = -1;
+
+  const toggleDialog = createDialogToggle(dialog, {
+    initialFocus: input,
+    onOpen() {
+      commands = settings.getCommands().filter((command) => command?.title && typeof command.run === "function");
+      input.value = "";
+      input.setAttribute("aria-expanded", "true");
+      update();
+    },
+    onClose() {
+      input.setAttribute("aria-expanded", "false");
+      input.removeAttribute("aria-activedescendant");
+    }
+  });
+
+  input.setAttribute("role", "combobox");
+  input.setAttribute("aria-autocomplete", "list");
+  input.setAttribute("aria-controls", list.id);
+  input.setAttribute("aria-expanded", "false");
+  list.setAttribute("role", "listbox");
+
+  function update() {
+    results = rankCommands(commands, input.value, settings.getLocale()).slice(0, settings.maxResults);
+    activeIndex = results.length > 0 ? 0 : -1;
+    render();
+  }
+
+  function render() {
+    if (results.length === 0) {
+      list.innerHTML = `<li class="${settings.classNames.empty}" role="presentation">${escapeHtml(settings.labels.empty())}</li>`;
+      syncActive();
+      return;
+    }
+
+    list.innerHTML = results.map(({ command, ranges }, index) => {
+      const title = highlightRanges(command.title, ranges, settings.classNames.highlight);
+      const group = command.group ? `<span class="${settings.classNames.group}">${escapeHtml(settings.labels.group(command.group))}</span>` : "";
+      const hint = command.hint ? `<kbd class="${settings.classNames.hint}">${escapeHtml(command.hint)}</kbd>` : "";
+
+      return `
+        <li class="${settings.classNames.option}" id="${escapeHtmlAttr(optionId(index))}" role="option"
+          aria-selected="false" data-index="${index}">
+          ${group}<span>${title}</span>${hint}
+        </li>`;
+    }).join("");
+    syncActive();
+  }
+
+  function syncActive() {
+    list.querySelectorAll('[role="option"]').forEach((option, index) => {
+      const isActive = index === activeIndex;
+      option.classList.toggle(settings.classNames.active, isActive);
+      option.setAttribute("aria-selected", String(isActive));
+      if (isActive) option.scrollIntoView({ block: "nearest" });
+    });
+
+    if (activeIndex >= 0) {
+      input.setAttribute("aria-activedescendant", optionId(activeIndex));
+    } else {
+      input.removeAttribute("aria-activedescendant");
+    }
+  }
+
+  function move(step) {
+    if (results.length === 0) return;
+    activeIndex = (activeIndex + step + results.length) % results.length;
+    syncActive();
+  }
+
+  function runResult(index) {
+    const result = results[index];
+    if (!result) return;
+    toggleDialog.close({ restoreFocus: "now" });
+    result.command.run();
+  }
+
+  function optionId(index) {
+    return `${list.id}-option-${index}`;
+  }
+
+  input.addEventListener("input", update, { signal });
+
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      move(e.key === "ArrowDown" ? 1 : -1);
+    } else if (e.key === "Home" || e.key === "End") {
+      if (results.length === 0) return;
+      e.preventDefault();
+      activeIndex = e.key === "Home" ? 0 : results.length - 1;
+      syncActive();
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      runResult(activeIndex);
+    }
+  }, { signal });
+
+  list.addEventListener("click", (e) => {
+    const option = e.target.closest('[role="option"]');
+    if (option) runResult(Number(option.dataset.index));
+  }, { signal });
+
+  list.addEventListener("mousemove", (e) => {
+    const option = e.target.closest('[role="option"]');
+    const index = option ? Number(option.dataset.index) : -1;
+    if (index < 0 || index === activeIndex) return;
+    activeIndex = index;
+    syncActive();
+  }, { signal });
+
+  return {
+    open: toggleDialog.open,
+    close: toggleDialog.close,
+    toggle: toggleDialog.toggle,
+    isOpen: toggleDialog.isOpen,
+    // Після зміни мови: назви команд перебудовуються, введений запит зберігається.
+    refresh() {
+      if (!toggleDialog.isOpen()) return;
+      commands = settings.getCommands().filter((command) => command?.title && typeof command.run === "function");
+      update();
+    },
+    destroy() {
+      listeners.abort();
+      toggleDialog.destroy();
+      list.innerHTML = "";
+    }
+  };
+}
+
+function rankCommands(commands, query, locale) {
+  return commands
+    .map((command, order) => {
+      const match = fuzzyMatch(command.title, query, locale);
+      if (match) return { command, order, score: match.score, ranges: match.ranges };
+
+      // Ключові слова (наприклад, англійські назви дій) знаходять команду, але не підсвічуються в назві.
+      const keywordScores = (command.keywords ?? [])
+        .map((keyword) => fuzzyMatch(keyword, query, locale)?.score)
+        .filter((score) => score !== undefined);
+      if (keywordScores.length === 0) return null;
+      return { command, order, score: Math.max(...keywordScores) - 1, ranges: [] };
+    })
+    .filter(Boolean)
+    // Без запиту всі оцінки рівні — лишається початковий порядок груп.
+    .sort((a, b) => b.score - a.score || a.order - b.order);
+}
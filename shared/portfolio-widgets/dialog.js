@@ -0,0 +1,253 @@
+import { resolveElement } from "./dom.js";
+
+/**
+ * Контролер діалогів: спільна логіка для будь-яких модальних вікон на сторінці.
+ * - Стек відкритих діалогів (вкладені вікна закриваються в будь-якому порядку)
+ * - Циклічний Tab усередині верхнього вікна
+ * - inert і aria-hidden для решти сторінки
+ * - createDialogToggle — відкриття/закриття простого вікна з тими ж класами анімації, що й у modal.js
+ */
+
+const DIALOG_TOGGLE_DEFAULTS = {
+  openClass: "modal--open",
+  visibleClass: "modal--visible",
+  closingClass: "modal--closing",
+  bodyClass: "no-scroll",
+  animationMs: 300,
+  // Селектор або елемент усередині вікна; без нього фокус отримує перший інтерактивний елемент.
+  initialFocus: null,
+  labelledBy: null,
+  describedBy: null,
+  onOpen: null,
+  onClose: null
+};
+
+const dialogStack = [];
+const dialogInertOriginals = new Map();
+let dialogKeydownBound = false;
+
+export const FOCUSABLE_SELECTOR = [
+  "a[href]",
+  "area[href]",
+  "button:not([disabled])",
+  "input:not([disabled]):not([type=\"hidden\"])",
+  "select:not([disabled])",
+  "textarea:not([disabled])",
+  "iframe",
+  "[contenteditable=\"true\"]",
+  "[tabindex]:not([tabindex=\"-1\"])"
+].join(",");
+
+export function activateDialog(dialog, options = {}) {
+  if (!dialog || dialogStack.some((entry) => entry.dialog === dialog)) return;
+
+  if (!dialogKeydownBound) {
+    document.addEventListener("keydown", handleDialogKeydown);
+    dialogKeydownBound = true;
+  }
+
+  // Зв'язуємо діалог із заголовком та описом, щоб скрінрідер озвучував їх при відкритті.
+  if (options.labelledBy) dialog.setAttribute("aria-labelledby", options.labelledBy);
+  if (options.describedBy) dialog.setAttribute("aria-describedby", options.describedBy);
+
+  dialogStack.push({
+    dialog,
+    returnFocus: options.returnFocus ?? document.activeElement
+  });
+  updateDialogBackground();
+
+  const initialFocus = options.initialFocus ?? getFocusableElements(dialog)[0] ?? dialog;
+  if (initialFocus === dialog && !dialog.hasAttribute("tabindex")) {
+    dialog.setAttribute("tabindex", "-1");
+  }
+  initialFocus.focus();
+}
+
+export function deactivateDialog(dialog) {
+  const index = dialogStack.findIndex((entry) => entry.dialog === dialog);
+  if (index === -1) return null;
+
+  const [entry] = dialogStack.splice(index, 1);
+  updateDialogBackground();
+
+  if (dialogStack.length === 0 && dialogKeydownBound) {
+    document.removeEventListener("keydown", handleDialogKeydown);
+    dialogKeydownBound = false;
+  }
+
+  // Елемент для повернення фокусу віддаємо викликачу: він сам вирішує, коли саме
+  // його сфокусувати (наприклад, після завершення CSS-анімації закриття).
+  return entry.returnFocus;
+}
+
+export function isDialogOpen() {
+  return dialogStack.length > 0;
+}
+
+export function isTopDialog(dialog) {
+  return dialogStack.length > 0 && dialogStack[dialogStack.length - 1].dialog === dialog;
+}
+
+export function getFocusableElements(container) {
+  return Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR)).filter((el) => {
+    // Приховані та неактивні елементи фокус не отримають, тому пропускаємо їх.
+    return !el.hidden && !el.closest("[inert]") && el.getClientRects().length > 0;
+  });
+}
+
+function updateDialogBackground() {
+  // Спочатку повертаємо початкові значення атрибутів, потім робимо неактивним фон
+  // лише для верхнього діалогу — так стек коректно працює в будь-якому порядку закриття.
+  dialogInertOriginals.forEach((original, node) => {
+    node.inert = original.inert;
+    if (original.ariaHidden === null) {
+      node.removeAttribute("aria-hidden");
+    } else {
+      node.setAttribute("aria-hidden", original.ariaHidden);
+    }
+  });
+  dialogInertOriginals.clear();
+
+  const top = dialogStack[dialogStack.length - 1];
+  if (!top) return;
+
+  // Піднімаємось від діалогу до body і вимикаємо всіх "сусідів" на кожному рівні.
+  let current = top.dialog;
+  while (current && current !== document.body && current.parentElement) {
+    Array.from(current.parentElement.children).forEach((sibling) => {
+      if (sibling === current || sibling.tagName === "SCRIPT" || sibling.tagName === "STYLE") return;
+
+      dialogInertOriginals.set(sibling, {
+        inert: sibling.inert,
+        ariaHidden: sibling.getAttribute("aria-hidden")
+      });
+      sibling.inert = true;
+      sibling.setAttribute("aria-hidden", "true");
+    });
+    current = current.parentElement;
+  }
+}
+
+function handleDialogKeydown(e) {
+  if (e.key !== "Tab") return;
+
+  const top = dialogStack[dialogStack.length - 1];
+  if (!top) return;
+
+  const focusable = getFocusableElements(top.dialog);
+  if (focusable.length === 0) {
+    e.preventDefault();
+    top.dialog.focus();
+    return;
+  }
+
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+  const active = document.activeElement;
+  const isOutside = !top.dialog.contains(active);
+
+  // Tab з останнього елемента переходить на перший, Shift+Tab з першого — на останній.
+  if (e.shiftKey && (active === first || isOutside)) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && (active === last || isOutside)) {
+    e.preventDefault();
+    first.focus();
+  }
+}
+
+export function createDialogToggle(dialog, options = {}) {
+  const settings = { ...DIALOG_TOGGLE_DEFAULTS, ...options };
+  if (!dialog) {
+    return { open() {}, close() {}, toggle() {}, isOpen: () => false, destroy() {} };
+  }
+
+  const listeners = new AbortController();
+  let openFrame = null;
+  let closeTimer = null;
+  let returnFocus = null;
+
+  const isOpen = () => dialog.classList.contains(settings.openClass);
+
+  function open() {
+    if (isOpen()) return;
+
+    clearTimeout(closeTimer);
+    closeTimer = null;
+    dialog.classList.remove(settings.closingClass, settings.visibleClass);
+    dialog.classList.add(settings.openClass);
+    dialog.setAttribute("aria-hidden", "false");
+    if (settings.bodyClass) document.body.classList.add(settings.bodyClass);
+
+    // "Видимий" клас — у наступному кадрі, щоб CSS transition мав початковий стан.
+    openFrame = requestAnimationFrame(() => {
+      dialog.classList.add(settings.visibleClass);
+      openFrame = null;
+    });
+
+    settings.onOpen?.();
+    activateDialog(dialog, {
+      initialFocus: resolveElement(settings.initialFocus, dialog) ?? undefined,
+      returnFocus: returnFocus ?? document.activeElement,
+      labelledBy: settings.labelledBy,
+      describedBy: settings.describedBy
+    });
+    returnFocus = null;
+  }
+
+  // restoreFocus: "now" повертає фокус одразу — потрібно, коли після закриття відкривається інше вікно,
+  // яке має запам'ятати саме попередню точку фокусу, а не поле цього вікна.
+  function close(closeOptions = {}) {
+    if (!isOpen()) return;
+
+    if (openFrame) cancelAnimationFrame(openFrame);
+    openFrame = null;
+    dialog.classList.remove(settings.openClass, settings.visibleClass);
+    dialog.classList.add(settings.closingClass);
+    returnFocus = deactivateDialog(dialog);
+    if (closeOptions.restoreFocus === "now") focusReturnTarget();
+    settings.onClose?.();
+
+    clearTimeout(closeTimer);
+    closeTimer = setTimeout(finishClose, settings.animationMs);
+  }
+
+  function finishClose() {
+    dialog.classList.remove(settings.closingClass);
+    dialog.setAttribute("aria-hidden", "true");
+    // Клас прокрутки знімаємо, лише якщо поверх сторінки не лишилося інших вікон.
+    if (settings.bodyClass && !isDialogOpen()) document.body.classList.remove(settings.bodyClass);
+    focusReturnTarget();
+    closeTimer = null;
+  }
+
+  function focusReturnTarget() {
+    if (returnFocus && typeof returnFocus.focus === "function") returnFocus.focus();
+    returnFocus = null;
+  }
+
+  dialog.addEventListener("click", (e) => {
+    if (e.target.closest('[data-action="close"]')) close();
+  }, { signal: listeners.signal });
+
+  window.addEventListener("keydown", (e) => {
+    if (e.key !== "Escape" || e.defaultPrevented || !isOpen() || !isTopDialog(dialog)) return;
+    e.preventDefault();
+    close();
+  }, { signal: listeners.signal });
+
+  return {
+    open,
+    close,
+    toggle: () => (isOpen() ? close() : open()),
+    isOpen,
+    destroy() {
+      listeners.abort();
+      if (openFrame) cancelAnimationFrame(openFrame);
+      clearTimeout(closeTimer);
+      if (isOpen()) deactivateDialog(dialog);
+      dialog.classList.remove(settings.openClass, settings.visibleClass, settings.closingClass);
+      dialog.setAttribute("aria-hidden", "true");
+    }
+  };
+}
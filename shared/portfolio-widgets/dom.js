@@ -0,0 +1,75 @@
+/**
+ * Спільні DOM-хелпери для віджетів.
+ * Селектори в опціях віджетів можна передавати рядком або готовим елементом.
+ */
+
+export function resolveElement(target, root = document) {
+  if (!target) return null;
+  if (typeof target === "string") return root.querySelector(target);
+  return target;
+}
+
+export function resolveElements(target, root = document) {
+  if (!target) return [];
+  if (typeof target === "string") return Array.from(root.querySelectorAll(target));
+  if (target instanceof Element) return [target];
+  return Array.from(target);
+}
+
+export function prefersReducedMotion() {
+  return Boolean(window.matchMedia && window.matchMedia("(prefers-reduced-motion: reduce)").matches);
+}
+
+export function escapeHtml(str) {
+  // Мінімальне екранування HTML перед вставкою в innerHTML.
+  return String(str)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
+export function escapeHtmlAttr(str) {
+  // Те ж саме, але окрема функція підкреслює, що значення вставляється в HTML-атрибут.
+  return escapeHtml(str);
+}
+
+export function patchChildren(target, source) {
+  // Невеликий "morph": вузли target переписуються лише там, де відрізняються від source.
+  // Наявні елементи (зображення, кнопка у фокусі) залишаються тими самими DOM-вузлами.
+  const nextNodes = Array.from(source.childNodes);
+
+  nextNodes.forEach((sourceNode, index) => {
+    const targetNode = target.childNodes[index];
+    if (!targetNode) {
+      target.appendChild(sourceNode.cloneNode(true));
+      return;
+    }
+
+    if (targetNode.nodeType !== sourceNode.nodeType || targetNode.nodeName !== sourceNode.nodeName) {
+      target.replaceChild(sourceNode.cloneNode(true), targetNode);
+      return;
+    }
+
+    if (sourceNode.nodeType === Node.ELEMENT_NODE) {
+      patchAttributes(targetNode, sourceNode);
+      patchChildren(targetNode, sourceNode);
+    } else if (targetNode.nodeValue !== sourceNode.nodeValue) {
+      targetNode.nodeValue = sourceNode.nodeValue;
+    }
+  });
+
+  while (target.childNodes.length > nextNodes.length) {
+    target.removeChild(target.lastChild);
+  }
+}
+
+function patchAttributes(target, source) {
+  Array.from(target.attributes).forEach(({ name }) => {
+    if (!source.hasAttribute(name)) target.removeAttribute(name);
+  });
+  Array.from(source.attributes).forEach(({ name, value }) => {
+    if (target.getAttribute(name) !== value) target.setAttribute(name, value);
+  });
+}
@@ -0,0 +1,138 @@
+/**
+ * Обрані проєкти користувача.
+ * - Список id зберігається в localStorage (поруч із "theme" і "lang"), тож не залежить від мови інтерфейсу
+ * - subscribe(listener) повідомляє про кожну зміну, зокрема зроблену в іншій вкладці (подія storage)
+ * - exportJson / importJson — перенесення списку між браузерами файлом JSON
+ *
+ * Формат файлу: { "version": 1, "favorites": ["todo", "cv"] }; при імпорті приймається і простий масив id.
+ */
+
+const DEFAULTS = {
+  storageKey: "favorites"
+};
+
+const EXPORT_VERSION = 1;
+
+export class FavoritesImportError extends Error {
+  constructor(message, options = {}) {
+    super(message, { cause: options.cause });
+    this.name = "FavoritesImportError";
+  }
+}
+
+export function createFavoritesStore(options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const listeners = new Set();
+  const events = new AbortController();
+  let ids = readStoredIds(settings.storageKey);
+
+  function has(id) {
+    return ids.has(String(id));
+  }
+
+  function set(id, isFavorite) {
+    const key = String(id);
+    if (isFavorite === ids.has(key)) return;
+
+    if (isFavorite) {
+      ids.add(key);
+    } else {
+      ids.delete(key);
+    }
+    commit();
+  }
+
+  function toggle(id) {
+    set(id, !has(id));
+    return has(id);
+  }
+
+  function importJson(text) {
+    const imported = parseFavoritesJson(text);
+    const before = ids.size;
+    // Імпорт доповнює список, а не замінює його: так файл зі старого браузера не зітре нові позначки.
+    ids = new Set([...ids, ...imported]);
+    if (ids.size !== before) commit();
+    return ids.size - before;
+  }
+
+  function exportJson() {
+    return JSON.stringify({ version: EXPORT_VERSION, favorites: [...ids] }, null, 2);
+  }
+
+  function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  function commit() {
+    // Якщо сховище недоступне (квота, приватний режим), список лишається в пам'яті до перезавантаження,
+    // а підписники все одно отримують зміну — інакше зірочки на картках і в модальному вікні розійдуться зі станом.
+    try {
+      localStorage.setItem(settings.storageKey, JSON.stringify([...ids]));
+    } catch (error) {
+      console.warn("Failed to save favorites", error);
+    }
+    notify();
+  }
+
+  function notify() {
+    const snapshot = [...ids];
+    listeners.forEach((listener) => listener(snapshot));
+  }
+
+  // Подія storage приходить лише з інших вкладок, тож власні зміни не обробляються двічі.
+  window.addEventListener("storage", (e) => {
+    if (e.key !== null && e.key !== settings.storageKey) return;
+    ids = readStoredIds(settings.storageKey);
+    notify();
+  }, { signal: events.signal });
+
+  return {
+    has,
+    set,
+    toggle,
+    getAll: () => [...ids],
+    importJson,
+    exportJson,
+    subscribe,
+    destroy() {
+      events.abort();
+      listeners.clear();
+    }
+  };
+}
+
+export function parseFavoritesJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new FavoritesImportError("Favorites file is not valid JSON", { cause: error });
+  }
+
+  const list = Array.isArray(data) ? data : data?.favorites;
+  if (!Array.isArray(list)) {
+    throw new FavoritesImportError('Expected an array of project ids or { "favorites": [...] }');
+  }
+
+  const valid = list.filter(isProjectId);
+  if (list.length > 0 && valid.length === 0) {
+    throw new FavoritesImportError("Favorites file contains no valid project ids");
+  }
+  return valid;
+}
+
+function readStoredIds(storageKey) {
+  // Пошкоджене значення (наприклад, відредаговане вручну) не повинно ламати сторінку — починаємо з порожнього списку.
+  try {
+    const stored = JSON.parse(localStorage.getItem(storageKey) ?? "[]");
+    return new Set(Array.isArray(stored) ? stored.filter(isProjectId) : []);
+  } catch {
+    return new Set();
+  }
+}
+
+function isProjectId(value) {
+  return typeof value === "string" && value.trim() !== "";
+}
@@ -0,0 +1,21 @@
+/**
+ * Бібліотека віджетів для сторінок-портфоліо (pr3, pr3_simple).
+ * Кожен віджет — окремий ES-модуль з init(options), що повертає контролер з destroy().
+ * Модулі можна імпортувати й поодинці, наприклад: import { init } from "./theme-switcher.js".
+ */
+
+export * as backToTop from "./back-to-top.js";
+export * as commandPalette from "./command-palette.js";
+export * as modal from "./modal.js";
+export * as pageTransitions from "./page-transitions.js";
+export * as projects from "./projects.js";
+export * as scrollReveal from "./scroll-reveal.js";
+export * as shortcuts from "./shortcuts.js";
+export * as themeSwitcher from "./theme-switcher.js";
+
+export { activateDialog, createDialogToggle, deactivateDialog, isDialogOpen, isTopDialog, getFocusableElements } from "./dialog.js";
+export { escapeHtml, escapeHtmlAttr, patchChildren, prefersReducedMotion } from "./dom.js";
+export { FavoritesImportError, createFavoritesStore, parseFavoritesJson } from "./favorites.js";
+export { bindImageStates, getImageSources, renderResponsiveImage, syncImageStates } from "./responsive-image.js";
+export { animateTextScramble, cancelTextScramble } from "./text-scramble.js";
+export { fuzzyMatch, getSearchTerms, highlightMatches, highlightRanges, matchesSearch, normalizeSearchText } from "./text-search.js";
@@ -0,0 +1,342 @@
+import { activateDialog, deactivateDialog, isTopDialog } from "./dialog.js";
+import { resolveElement } from "./dom.js";
+
+/**
+ * Модальне вікно з деталями елемента списку (наприклад, проєкту).
+ * - Вміст заповнює застосунок через render(item, context)
+ * - Посилання #project=<id> та підтримка кнопок "Назад"/"Вперед" (опція history)
+ * - Перегляд сусідніх елементів: кнопки data-action="prev|next", стрілки, свайп
+ * - Пастка фокусу та неактивний фон через контролер діалогів
+ */
+
+const DEFAULTS = {
+  modal: "#projectModal",
+  // Поверхня для свайпу та елемент, що отримує фокус при відкритті (шукаються всередині modal).
+  content: ".modal__content",
+  initialFocus: ".modal__close",
+  position: null,
+  labelledBy: null,
+  describedBy: null,
+  openClass: "modal--open",
+  visibleClass: "modal--visible",
+  closingClass: "modal--closing",
+  bodyClass: "no-scroll",
+  animationMs: 300,
+  history: true,
+  hashPrefix: "#project=",
+  queryParam: "project",
+  historyStateKey: "projectModal",
+  swipeMinPx: 50,
+  getItems: () => [],
+  // id порівнюються як рядки: саме так їх передають dataset і адреса сторінки.
+  getItemId: (item) => String(item.id),
+  // Порядок для "попередній/наступний"; якщо активного id у ньому немає — використовується getItems().
+  getNavigationIds: null,
+  // (item | undefined, { id, modal }) — undefined означає, що елемента з таким id не існує.
+  render: () => {},
+  formatPosition: (current, total) => `${current} / ${total}`
+};
+
+export function init(options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const modal = resolveElement(settings.modal);
+  if (!modal) {
+    return {
+      open() {},
+      close() {},
+      navigate() {},
+      refresh() {},
+      getActiveId: () => null,
+      destroy() {}
+    };
+  }
+
+  const positionEl = resolveElement(settings.position, modal);
+  const listeners = new AbortController();
+  const { signal } = listeners;
+  let closeTimer = null;
+  let openFrame = null;
+  let returnFocus = null;
+  let activeId = null;
+
+  const isOpen = () => modal.classList.contains(settings.openClass);
+
+  function findItem(id) {
+    return settings.getItems().find((item) => settings.getItemId(item) === id);
+  }
+
+  function getNavigationIds() {
+    // Навігація йде в порядку відфільтрованого списку. Якщо елемент відкрили за посиланням
+    // і він не проходить поточний фільтр, використовуємо повний список.
+    const preferred = settings.getNavigationIds?.() ?? [];
+    if (preferred.includes(activeId)) return preferred;
+    return settings.getItems().map(settings.getItemId);
+  }
+
+  function readIdFromUrl() {
+    // Підтримуємо обидва формати посилання: #project=<id> та ?project=<id>.
+    const { hash, search } = window.location;
+    if (hash.startsWith(settings.hashPrefix)) {
+      try {
+        return decodeURIComponent(hash.slice(settings.hashPrefix.length)) || null;
+      } catch {
+        return null;
+      }
+    }
+
+    return new URLSearchParams(search).get(settings.queryParam) || null;
+  }
+
+  function getUrl(id) {
+    const url = new URL(window.location.href);
+    url.searchParams.delete(settings.queryParam);
+    url.hash = id ? `${settings.hashPrefix.slice(1)}${encodeURIComponent(id)}` : "";
+    return url;
+  }
+
+  function renderContent() {
+    settings.render(findItem(activeId), { id: activeId, modal });
+    updateNavigation();
+  }
+
+  function updateNavigation() {
+    const prevBtn = modal.querySelector('[data-action="prev"]');
+    const nextBtn = modal.querySelector('[data-action="next"]');
+    if (!prevBtn || !nextBtn) return;
+
+    const ids = getNavigationIds();
+    const index = ids.indexOf(activeId);
+    const wasFocused = document.activeElement === prevBtn || document.activeElement === nextBtn;
+
+    prevBtn.disabled = index <= 0;
+    nextBtn.disabled = index === -1 || index >= ids.length - 1;
+    if (positionEl) {
+      positionEl.textContent = index === -1 ? "" : settings.formatPosition(index + 1, ids.length);
+    }
+
+    // Вимкнена кнопка втрачає фокус — переносимо його на сусідню, щоб клавіатура не "загубилась".
+    if (wasFocused && document.activeElement?.disabled) {
+      const fallback = prevBtn.disabled ? nextBtn : prevBtn;
+      if (!fallback.disabled) fallback.focus();
+    }
+  }
+
+  function open(id, openOptions = {}) {
+    const wasOpen = isOpen();
+    activeId = id;
+
+    if (settings.history && !openOptions.fromHistory) {
+      // Кожне відкриття — окремий запис в історії, тож посиланням на елемент можна поділитися.
+      history.pushState({ ...history.state, [settings.historyStateKey]: id }, "", getUrl(id));
+    }
+
+    renderContent();
+
+    // Якщо модалка вже відкрита (перехід "Вперед" на інший елемент), достатньо оновити вміст.
+    if (wasOpen) return;
+
+    if (closeTimer) {
+      clearTimeout(closeTimer);
+      closeTimer = null;
+    }
+    if (openFrame) {
+      cancelAnimationFrame(openFrame);
+      openFrame = null;
+    }
+
+    if (settings.closingClass) modal.classList.remove(settings.closingClass);
+    if (settings.visibleClass) modal.classList.remove(settings.visibleClass);
+    modal.classList.add(settings.openClass);
+    modal.setAttribute("aria-hidden", "false");
+    if (settings.bodyClass) document.body.classList.add(settings.bodyClass);
+
+    // Додаємо "видимий" клас у наступному кадрі, щоб CSS transition спрацював коректно.
+    if (settings.visibleClass) {
+      openFrame = requestAnimationFrame(() => {
+        modal.classList.add(settings.visibleClass);
+        openFrame = null;
+      });
+    }
+
+    // Контролер запам'ятовує активний елемент, щоб після закриття повернути користувача
+    // в попередню точку взаємодії, і не випускає фокус за межі вікна.
+    // Якщо вікно повторно відкрили під час анімації закриття, фокус має повернутися туди ж, що й раніше.
+    activateDialog(modal, {
+      initialFocus: resolveElement(settings.initialFocus, modal) ?? undefined,
+      returnFocus: returnFocus ?? document.activeElement,
+      labelledBy: settings.labelledBy,
+      describedBy: settings.describedBy
+    });
+    returnFocus = null;
+  }
+
+  function close(closeOptions = {}) {
+    if (!isOpen()) return;
+
+    if (settings.history && !closeOptions.fromHistory) {
+      if (history.state?.[settings.historyStateKey] === activeId) {
+        // Запис для модалки додали ми — повертаємось назад, а закриття виконає обробник popstate.
+        history.back();
+        return;
+      }
+
+      // Сторінку відкрили одразу за посиланням: прибираємо id з адреси без нового запису.
+      history.replaceState({ ...history.state, [settings.historyStateKey]: null }, "", getUrl(null));
+    }
+
+    if (openFrame) {
+      cancelAnimationFrame(openFrame);
+      openFrame = null;
+    }
+
+    if (settings.visibleClass) modal.classList.remove(settings.visibleClass);
+    modal.classList.remove(settings.openClass);
+    if (settings.closingClass) modal.classList.add(settings.closingClass);
+    // Фон знову стає інтерактивним одразу, а фокус повертаємо після анімації.
+    const focusTarget = deactivateDialog(modal);
+    if (focusTarget) returnFocus = focusTarget;
+
+    if (closeTimer) clearTimeout(closeTimer);
+    // Закриття узгоджується з CSS-анімацією через таймер тієї ж тривалості.
+    closeTimer = setTimeout(finishClose, settings.animationMs);
+  }
+
+  function finishClose() {
+    if (settings.closingClass) modal.classList.remove(settings.closingClass);
+    modal.setAttribute("aria-hidden", "true");
+    if (settings.bodyClass) document.body.classList.remove(settings.bodyClass);
+    activeId = null;
+
+    if (returnFocus && typeof returnFocus.focus === "function") {
+      returnFocus.focus();
+    }
+    returnFocus = null;
+    closeTimer = null;
+  }
+
+  function navigate(direction) {
+    if (!activeId) return;
+
+    const ids = getNavigationIds();
+    const index = ids.indexOf(activeId);
+    const nextId = index === -1 ? undefined : ids[index + direction];
+    if (!nextId) return;
+
+    if (settings.history) {
+      // Сусідній елемент замінює поточний запис в історії, тож "Назад" і далі просто закриває модалку.
+      const ownsEntry = history.state?.[settings.historyStateKey] === activeId;
+      history.replaceState(
+        { ...history.state, [settings.historyStateKey]: ownsEntry ? nextId : null },
+        "",
+        getUrl(nextId)
+      );
+    }
+    open(nextId, { fromHistory: true });
+  }
+
+  function refresh() {
+    // Наприклад, після зміни мови: оновлюємо вміст без закриття вікна.
+    if (!activeId || modal.getAttribute("aria-hidden") === "true") return;
+    renderContent();
+  }
+
+  function destroy() {
+    listeners.abort();
+    if (openFrame) cancelAnimationFrame(openFrame);
+    openFrame = null;
+
+    if (isOpen()) {
+      modal.classList.remove(settings.openClass);
+      returnFocus = deactivateDialog(modal) ?? returnFocus;
+    }
+    if (closeTimer) clearTimeout(closeTimer);
+    if (settings.visibleClass) modal.classList.remove(settings.visibleClass);
+    finishClose();
+  }
+
+  modal.addEventListener("click", (e) => {
+    if (e.target.closest('[data-action="close"]')) {
+      close();
+      return;
+    }
+
+    const step = e.target.closest('[data-action="prev"], [data-action="next"]');
+    if (step) navigate(step.dataset.action === "next" ? 1 : -1);
+  }, { signal });
+
+  window.addEventListener("keydown", (e) => {
+    // Якщо поверх відкрито інший діалог, Escape має закрити саме його
+    // (а defaultPrevented — що вікно поверх уже закрилось цим самим натисканням).
+    if (!isOpen() || !isTopDialog(modal) || e.defaultPrevented) return;
+
+    if (e.key === "Escape") {
+      e.preventDefault();
+      close();
+      return;
+    }
+
+    // Стрілки перемикають елементи, але не заважають рухати курсор у полях введення.
+    if (e.key !== "ArrowLeft" && e.key !== "ArrowRight") return;
+    if (e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) return;
+    if (e.target.closest?.("input, textarea, select, [contenteditable=\"true\"]")) return;
+
+    e.preventDefault();
+    navigate(e.key === "ArrowRight" ? 1 : -1);
+  }, { signal });
+
+  bindSwipe(resolveElement(settings.content, modal) ?? modal, settings.swipeMinPx, navigate, signal);
+
+  if (settings.history) {
+    // Кнопка "Назад" у браузері закриває модалку, а "Вперед" — відкриває її знову.
+    window.addEventListener("popstate", () => {
+      const id = readIdFromUrl();
+      if (id) {
+        if (id !== activeId) open(id, { fromHistory: true });
+        return;
+      }
+
+      close({ fromHistory: true });
+    }, { signal });
+
+    const initialId = readIdFromUrl();
+    if (initialId) open(initialId, { fromHistory: true });
+  }
+
+  return {
+    open,
+    close,
+    navigate,
+    refresh,
+    getActiveId: () => activeId,
+    destroy
+  };
+}
+
+function bindSwipe(surface, minPx, navigate, signal) {
+  let start = null;
+
+  surface.addEventListener("touchstart", (e) => {
+    if (e.touches.length !== 1) {
+      start = null;
+      return;
+    }
+    start = { x: e.touches[0].clientX, y: e.touches[0].clientY };
+  }, { passive: true, signal });
+
+  surface.addEventListener("touchend", (e) => {
+    if (!start) return;
+
+    const touch = e.changedTouches[0];
+    const dx = touch.clientX - start.x;
+    const dy = touch.clientY - start.y;
+    start = null;
+
+    // Свайп зараховуємо лише тоді, коли рух переважно горизонтальний — вертикальний скрол не чіпаємо.
+    if (Math.abs(dx) < minPx || Math.abs(dx) <= Math.abs(dy)) return;
+    navigate(dx < 0 ? 1 : -1);
+  }, { passive: true, signal });
+
+  surface.addEventListener("touchcancel", () => {
+    start = null;
+  }, { signal });
+}
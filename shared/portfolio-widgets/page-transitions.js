@@ -0,0 +1,199 @@
+import { prefersReducedMotion } from "./dom.js";
+
+/**
+ * Плавний перехід між сторінками сайту.
+ * - Де браузер підтримує View Transitions між документами, анімацію виконує він сам
+ *   (правило @view-transition у CSS), а JS лише пропускає її для посилань з data-no-transition
+ * - Інакше — класи появи/зникнення; перехід не відкладається: анімація зникнення грає, поки вантажиться наступна сторінка
+ * - Наступна сторінка попередньо завантажується (prefetch) при наведенні або фокусі на посиланні
+ * - У режимі класів тривалості enterMs і leaveMs передаються в CSS змінними --page-enter-duration і --page-leave-duration
+ *
+ * Обмеження: анімацію View Transitions браузер запускає на новій сторінці ще до виконання скриптів,
+ * тож змінні, задані з JS, до неї не доходять. Для цього режиму тривалості треба задати в самому CSS,
+ * а enterMs і leaveMs впливають лише на режим класів.
+ */
+
+const DEFAULTS = {
+  enterMs: 220,
+  leaveMs: 220,
+  // Скільки чекати перед переходом у режимі класів: 0 — не чекати (перехід не блокується анімацією).
+  leaveDelayMs: 0,
+  // Якщо за цей час сторінка не змінилась (завантаження файлу, відповідь 204), сторінка знову стає видимою.
+  leaveTimeoutMs: 3000,
+  readyClass: "page-transition-ready",
+  enterClass: "page-enter",
+  leaveClass: "page-leave",
+  optOutAttribute: "data-no-transition",
+  prefetch: true,
+  prefetchDelayMs: 80,
+  prefetchOptOutAttribute: "data-no-prefetch"
+};
+
+const DURATION_VARS = {
+  enter: "--page-enter-duration",
+  leave: "--page-leave-duration"
+};
+
+export function init(options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const body = document.body;
+  if (!body) return { getMode: () => "none", destroy() {} };
+
+  const root = document.documentElement;
+  const listeners = new AbortController();
+  const { signal } = listeners;
+  const mode = getTransitionMode();
+  const prefetched = new Set();
+  let enterFrame = null;
+  let leaveTimer = null;
+  let prefetchTimer = null;
+  // Адреса, для якої наступний перехід між документами треба виконати без анімації.
+  let skipTransitionUrl = null;
+
+  if (mode === "class") {
+    root.style.setProperty(DURATION_VARS.enter, `${settings.enterMs}ms`);
+    root.style.setProperty(DURATION_VARS.leave, `${settings.leaveMs}ms`);
+    body.classList.add(settings.readyClass, settings.enterClass);
+
+    enterFrame = requestAnimationFrame(() => {
+      enterFrame = requestAnimationFrame(() => {
+        body.classList.remove(settings.enterClass);
+        enterFrame = null;
+      });
+    });
+  }
+
+  window.addEventListener("pageshow", () => {
+    // Сторінка з bfcache (кнопка "Назад") має повернутися у видимому стані.
+    window.clearTimeout(leaveTimer);
+    body.classList.remove(settings.leaveClass, settings.enterClass);
+    skipTransitionUrl = null;
+  }, { signal });
+
+  document.addEventListener("click", (e) => {
+    const link = getNavigationLink(e);
+    const url = link && getInternalUrl(link);
+    if (!url) return;
+
+    const optedOut = link.hasAttribute(settings.optOutAttribute);
+    if (mode === "view-transition") {
+      skipTransitionUrl = optedOut ? stripHash(url) : null;
+      return;
+    }
+    if (mode !== "class" || optedOut) return;
+
+    body.classList.add(settings.leaveClass);
+    window.clearTimeout(leaveTimer);
+    if (settings.leaveDelayMs > 0) {
+      e.preventDefault();
+      leaveTimer = window.setTimeout(() => {
+        window.location.href = url.href;
+      }, settings.leaveDelayMs);
+      return;
+    }
+
+    // Типову дію посилання не скасовуємо: браузер починає завантаження одразу, а сторінка згасає паралельно.
+    leaveTimer = window.setTimeout(() => {
+      body.classList.remove(settings.leaveClass);
+    }, settings.leaveTimeoutMs);
+  }, { signal });
+
+  if (mode === "view-transition") {
+    // pageswap спрацьовує на старій сторінці перед знімком для анімації — тут її ще можна скасувати.
+    window.addEventListener("pageswap", (e) => {
+      const target = e.activation?.entry?.url;
+      if (e.viewTransition && skipTransitionUrl && target && stripHash(new URL(target)) === skipTransitionUrl) {
+        e.viewTransition.skipTransition();
+      }
+      skipTransitionUrl = null;
+    }, { signal });
+  }
+
+  if (settings.prefetch && !navigator.connection?.saveData) {
+    const schedulePrefetch = (e) => {
+      const link = e.target.closest?.("a[href]");
+      const url = link && !link.hasAttribute(settings.prefetchOptOutAttribute) && getInternalUrl(link);
+      if (!url) return;
+
+      window.clearTimeout(prefetchTimer);
+      // Невелика затримка відсіює випадкові наведення, коли курсор лише пролітає над посиланням.
+      prefetchTimer = window.setTimeout(() => prefetch(url), settings.prefetchDelayMs);
+    };
+    const cancelPrefetch = (e) => {
+      if (e.target.closest?.("a[href]")) window.clearTimeout(prefetchTimer);
+    };
+
+    document.addEventListener("pointerover", schedulePrefetch, { signal });
+    document.addEventListener("pointerout", cancelPrefetch, { signal });
+    document.addEventListener("focusin", schedulePrefetch, { signal });
+  }
+
+  function prefetch(url) {
+    const href = stripHash(url);
+    if (prefetched.has(href)) return;
+    prefetched.add(href);
+
+    const hint = document.createElement("link");
+    hint.rel = "prefetch";
+    hint.href = href;
+    document.head.appendChild(hint);
+  }
+
+  return {
+    getMode: () => mode,
+    destroy() {
+      listeners.abort();
+      if (enterFrame) cancelAnimationFrame(enterFrame);
+      window.clearTimeout(leaveTimer);
+      window.clearTimeout(prefetchTimer);
+      body.classList.remove(settings.readyClass, settings.enterClass, settings.leaveClass);
+      root.style.removeProperty(DURATION_VARS.enter);
+      root.style.removeProperty(DURATION_VARS.leave);
+    }
+  };
+}
+
+function getTransitionMode() {
+  // При зменшеному русі анімацій немає зовсім; CSS-правило @view-transition теж вимкнене медіазапитом.
+  if (prefersReducedMotion()) return "none";
+  // CSSViewTransitionRule з'явився разом із переходами між документами (@view-transition).
+  if ("CSSViewTransitionRule" in window) return "view-transition";
+  return "class";
+}
+
+function getNavigationLink(e) {
+  if (e.defaultPrevented) return null;
+  if (e.button !== 0) return null;
+  if (e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return null;
+
+  const link = e.target.closest("a[href]");
+  if (!link) return null;
+  if (link.target && link.target !== "_self") return null;
+  if (link.hasAttribute("download")) return null;
+  return link;
+}
+
+function getInternalUrl(link) {
+  const rawHref = link.getAttribute("href");
+  if (!rawHref || rawHref.startsWith("#")) return null;
+  if (/^(mailto|tel|javascript):/i.test(rawHref)) return null;
+
+  let url;
+  try {
+    url = new URL(link.href, window.location.href);
+  } catch {
+    return null;
+  }
+
+  // Не втручаємось у зовнішні посилання та переходи в межах тієї ж сторінки.
+  if (url.origin !== window.location.origin) return null;
+  if (url.pathname === window.location.pathname && url.search === window.location.search) return null;
+
+  return url;
+}
+
+function stripHash(url) {
+  const copy = new URL(url.href);
+  copy.hash = "";
+  return copy.href;
+}
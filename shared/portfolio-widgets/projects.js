@@ -0,0 +1,768 @@
+import { escapeHtml, escapeHtmlAttr, patchChildren, prefersReducedMotion, resolveElement } from "./dom.js";
+import { bindImageStates, renderResponsiveImage, syncImageStates } from "./responsive-image.js";
+import { getSearchTerms, highlightMatches, matchesSearch } from "./text-search.js";
+
+/**
+ * Сітка проєктів з фільтрами.
+ * - Рендер карток з масиву об'єктів ({ id, title, description, details, tags, image, repo, date })
+ * - Фільтр за кількома тегами (режими OR/AND) і пошук з підсвічуванням збігів
+ * - Сортування (назва, дата, кількість тегів) і посторінковий показ: кнопка "Показати ще" та нескінченний скрол
+ * - Стан фільтрів у query string (опція urlState) з підтримкою історії
+ * - Делегування подій: кнопка data-action="open" у картці викликає onOpen(id) з id-рядком
+ * - Картки зіставляються за data-project-id: наявні вузли перевикористовуються, змінюється лише вміст,
+ *   а переміщення, появу і зникнення карток анімує FLIP (без анімацій при prefers-reduced-motion)
+ * - Зображення в картках за замовчуванням: lazy, srcset і розмита заглушка (responsive-image.js)
+ * - Обране (опція favorites, див. favorites.js): перемикач у картці та псевдотег "Обране" серед фільтрів
+ * - Стани завантаження: skeleton-картки ("loading") і помилка з кнопкою повтору ("error")
+ */
+
+const FILTER_MODES = ["or", "and"];
+const STATUSES = ["loading", "error", "ready"];
+const SORT_MODES = ["default", "title", "newest", "tags"];
+// Режими нескінченного скролу: "after-click" вмикає автозавантаження лише після першого натискання кнопки,
+// щоб сторінка не "тікала" з-під користувача, який просто гортає до футера.
+const INFINITE_SCROLL_MODES = [true, false, "after-click"];
+// Значення псевдотегу в state.tags і в адресі (?tag=favorites); справжній тег з такою назвою він приховує.
+export const FAVORITES_TAG = "favorites";
+
+const DEFAULT_CLASS_NAMES = {
+  tag: "tag",
+  tagActive: "tag--active",
+  favoritesTag: "tag--favorites",
+  modeActive: "filter-mode__button--active",
+  card: "card project-card",
+  cardEnter: "project-card--enter",
+  cardLeave: "project-card--leave",
+  empty: "card",
+  skeleton: "card project-skeleton",
+  error: "card project-error"
+};
+
+const DEFAULT_LABELS = {
+  allTag: () => "Усі",
+  // shown < count, коли частину знайдених карток ще не показано (посторінковий режим).
+  resultCount: (count, total, shown = count) => (shown < count ? `${shown} / ${count} / ${total}` : `${count} / ${total}`),
+  emptyTitle: () => "Нічого не знайдено",
+  emptyText: () => "Спробуй інший тег або пошуковий запит.",
+  detailsButton: () => "Деталі",
+  repoLink: () => "Репозиторій",
+  favoritesTag: (count) => `Обране (${count})`,
+  // Підпис кнопки не змінюється, стан передає aria-pressed.
+  favoriteButton: (project) => `Обране: ${project.title}`,
+  imageAlt: (project) => `Проєкт: ${project.title}`,
+  imageFallback: () => "Зображення недоступне",
+  loading: () => "Завантаження проєктів…",
+  errorTitle: () => "Не вдалося завантажити проєкти",
+  errorText: () => "Перевір підключення до мережі та спробуй ще раз.",
+  retryButton: () => "Спробувати ще раз"
+};
+
+const DEFAULTS = {
+  grid: "#projectGrid",
+  tagList: "#tagList",
+  resultCount: "#resultCount",
+  searchInput: "#projectSearch",
+  modeSwitch: "#filterMode",
+  sortSelect: "#projectSort",
+  loadMoreButton: "#loadMoreProjects",
+  // Елемент після сітки: коли він з'являється у вікні, підвантажується наступна сторінка.
+  sentinel: "#projectSentinel",
+  sentinelMargin: "200px",
+  // null — показувати всі картки одразу.
+  pageSize: null,
+  infiniteScroll: "after-click",
+  getProjects: () => [],
+  getLocale: () => document.documentElement.lang || undefined,
+  urlState: true,
+  animate: true,
+  // Тривалості узгоджуються з CSS: переміщення — inline transition, зникнення — анімація класу cardLeave.
+  moveMs: 300,
+  leaveMs: 220,
+  // "loading", поки дані ще завантажуються; далі застосунок викликає setStatus("ready" | "error").
+  status: "ready",
+  skeletonCount: 3,
+  onRetry: null,
+  // (project, { highlight, labels, imageSizes }) => HTML картки; за замовчуванням — картка з зображенням.
+  renderCard: null,
+  // Атрибут sizes для зображень картки: ширина картки при різній ширині вікна.
+  imageSizes: "(max-width: 480px) calc(100vw - 32px), (max-width: 768px) 50vw, 320px",
+  // Сховище обраного з createFavoritesStore(); null — без перемикачів і псевдотегу.
+  favorites: null,
+  onOpen: null
+};
+
+export function init(options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const classNames = { ...DEFAULT_CLASS_NAMES, ...options.classNames };
+  const labels = { ...DEFAULT_LABELS, ...options.labels };
+  const renderCard = settings.renderCard ?? renderDefaultCard;
+  const { favorites } = settings;
+
+  const grid = resolveElement(settings.grid);
+  const tagList = resolveElement(settings.tagList);
+  const resultCount = resolveElement(settings.resultCount);
+  const searchInput = resolveElement(settings.searchInput);
+  const modeSwitch = resolveElement(settings.modeSwitch);
+  const sortSelect = resolveElement(settings.sortSelect);
+  const loadMoreButton = resolveElement(settings.loadMoreButton);
+  const sentinel = resolveElement(settings.sentinel);
+  const pageSize = settings.pageSize > 0 ? Math.floor(settings.pageSize) : null;
+  const infiniteScroll = INFINITE_SCROLL_MODES.includes(settings.infiniteScroll) ? settings.infiniteScroll : false;
+
+  // Якщо на сторінці немає секції проєктів — повертаємо "порожній" контролер.
+  if (!grid || !tagList || !resultCount) {
+    return {
+      refresh() {},
+      setStatus() {},
+      getStatus: () => "ready",
+      getState: () => ({ tags: [], mode: "or", query: "", sort: "default" }),
+      getVisibleIds: () => [],
+      loadMore() {},
+      destroy() {}
+    };
+  }
+
+  const listeners = new AbortController();
+  const { signal } = listeners;
+  const state = settings.urlState
+    ? readFilterStateFromUrl()
+    : { tags: [], mode: "or", query: "", sort: "default" };
+  let visibleIds = [];
+  let results = [];
+  let totalCount = 0;
+  let shownCount = 0;
+  let autoLoad = infiniteScroll === true;
+  let enterFrame = null;
+  let moveFrame = null;
+  // Що зараз показано в сітці: картки, skeleton-заглушки чи помилка.
+  let gridContent = null;
+  let emptyState = null;
+  const cardsById = new Map();
+  const renderedHtml = new WeakMap();
+  const leaveTimers = new Set();
+  let status = STATUSES.includes(settings.status) ? settings.status : "ready";
+
+  function renderTagButtons() {
+    const projects = settings.getProjects();
+    // Збір унікальних тегів з масиву об'єктів (flatMap + Set) — типовий шаблон для фільтрів.
+    const uniqueTags = Array.from(new Set(projects.flatMap((p) => p.tags)))
+      .filter((tag) => !favorites || tag !== FAVORITES_TAG)
+      .sort((a, b) => a.localeCompare(b, settings.getLocale()));
+
+    tagList.innerHTML = "";
+    tagList.appendChild(createTagButton("all", labels.allTag()));
+    if (favorites) {
+      // Лічильник рахує лише наявні проєкти: в обраному можуть лишитися id, яких уже немає в даних.
+      const count = projects.filter((p) => favorites.has(p.id)).length;
+      const btn = createTagButton(FAVORITES_TAG, labels.favoritesTag(count));
+      btn.classList.add(classNames.favoritesTag);
+      tagList.appendChild(btn);
+    }
+    uniqueTags.forEach((tag) => tagList.appendChild(createTagButton(tag, tag)));
+
+    setActiveTags();
+  }
+
+  function createTagButton(tagValue, label) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = classNames.tag;
+    btn.dataset.tag = tagValue;
+    btn.textContent = label;
+    return btn;
+  }
+
+  function setActiveTags() {
+    tagList.querySelectorAll("button[data-tag]").forEach((b) => {
+      // Кнопка "Усі" активна, коли не вибрано жодного конкретного тегу.
+      const isActive = b.dataset.tag === "all" ? state.tags.length === 0 : state.tags.includes(b.dataset.tag);
+      b.classList.toggle(classNames.tagActive, isActive);
+      b.setAttribute("aria-pressed", String(isActive));
+    });
+  }
+
+  function syncFilterControls() {
+    // Після читання стану з URL поля керування мають показувати ті самі значення.
+    if (searchInput && searchInput.value !== state.query) {
+      searchInput.value = state.query;
+    }
+
+    modeSwitch?.querySelectorAll("button[data-mode]").forEach((btn) => {
+      const isActive = btn.dataset.mode === state.mode;
+      btn.classList.toggle(classNames.modeActive, isActive);
+      btn.setAttribute("aria-pressed", String(isActive));
+    });
+
+    if (sortSelect && sortSelect.value !== state.sort) {
+      sortSelect.value = state.sort;
+    }
+  }
+
+  function renderProjects(renderOptions = {}) {
+    const locale = settings.getLocale();
+    const projects = settings.getProjects();
+    const terms = getSearchTerms(state.query, locale);
+    // Фільтрація — приклад керування інтерфейсом на основі поточного стану (state.tags + state.query).
+    const filtered = projects.filter((p) => matchesTags(p, state, favorites) && matchesSearch(
+      [p.title, p.description, p.details, ...p.tags].join(" "),
+      terms,
+      locale
+    ));
+
+    results = sortProjects(filtered, state.sort, locale);
+    totalCount = projects.length;
+    // Порядок карток запам'ятовуємо для навігації "попередній/наступний" у модалці
+    // (разом із ще не показаними сторінками). id зберігаємо рядками — так само, як їх повертає dataset картки.
+    visibleIds = results.map((p) => String(p.id));
+
+    // Після зміни фільтрів починаємо з першої сторінки, а після зміни мови показуємо стільки ж карток, як і раніше.
+    if (!renderOptions.keepPage) autoLoad = infiniteScroll === true;
+    shownCount = getPageLimit(renderOptions.keepPage ? shownCount : 0);
+
+    if (gridContent !== "cards") clearGrid();
+    gridContent = "cards";
+    updateResultCount();
+    updatePager();
+    renderCards(results.slice(0, shownCount));
+    renderEmptyState(results.length === 0);
+  }
+
+  function renderCards(items) {
+    const locale = settings.getLocale();
+    const terms = getSearchTerms(state.query, locale);
+    const highlight = (text) => highlightMatches(text, terms, locale);
+    const animateLayout = settings.animate && !prefersReducedMotion();
+    // FLIP, крок First: запам'ятовуємо, де картки були до змін.
+    const firstRects = animateLayout ? measureCards() : null;
+    const gridRect = animateLayout ? grid.getBoundingClientRect() : null;
+    const nextIds = new Set(items.map((p) => String(p.id)));
+
+    cardsById.forEach((card, id) => {
+      if (nextIds.has(id)) return;
+      cardsById.delete(id);
+      removeCard(card, firstRects?.get(card), gridRect);
+    });
+
+    const entered = [];
+    const cards = items.map((p) => {
+      const id = String(p.id);
+      let card = cardsById.get(id);
+      if (!card) {
+        card = document.createElement("article");
+        card.className = classNames.card;
+        card.dataset.projectId = id;
+        cardsById.set(id, card);
+        entered.push(card);
+      }
+      updateCardContent(card, renderCard(p, {
+        highlight,
+        labels,
+        imageSizes: settings.imageSizes,
+        // null — обране вимкнене, і картка не показує перемикач.
+        favorite: favorites ? favorites.has(id) : null
+      }));
+      return card;
+    });
+
+    placeCards(cards);
+    animateCards(entered);
+    if (firstRects) animateMoves(firstRects);
+    return entered;
+  }
+
+  function updateCardContent(card, html) {
+    // Без змін у розмітці картку не чіпаємо взагалі; інакше оновлюємо лише відмінні вузли,
+    // тож зображення не перезавантажуються, а кнопка у фокусі його не втрачає.
+    if (renderedHtml.get(card) === html) return;
+
+    if (!renderedHtml.has(card)) {
+      card.innerHTML = html;
+    } else {
+      const template = document.createElement("template");
+      template.innerHTML = html;
+      patchChildren(card, template.content);
+      // Класи стану зображення не входять у розмітку, тож після оновлення відновлюємо їх з самого img.
+      syncImageStates(card);
+    }
+    renderedHtml.set(card, html);
+  }
+
+  function placeCards(cards) {
+    // Переставляємо лише ті вузли, що стоять не на своєму місці: зайве переміщення
+    // скидає фокус і змушує браузер заново обробити елемент.
+    const live = new Set(cards);
+    let cursor = grid.firstChild;
+
+    cards.forEach((card) => {
+      while (cursor && cursor !== card && !live.has(cursor)) cursor = cursor.nextSibling;
+      if (cursor === card) {
+        cursor = cursor.nextSibling;
+      } else {
+        grid.insertBefore(card, cursor);
+      }
+    });
+  }
+
+  function measureCards() {
+    const rects = new Map();
+    cardsById.forEach((card) => rects.set(card, card.getBoundingClientRect()));
+    return rects;
+  }
+
+  function animateMoves(firstRects) {
+    // FLIP: Last — нове положення, Invert — зсув назад на старе місце, Play — плавне повернення до нуля.
+    const moved = [];
+    cardsById.forEach((card) => {
+      const first = firstRects.get(card);
+      if (!first) return;
+
+      const last = card.getBoundingClientRect();
+      const dx = first.left - last.left;
+      const dy = first.top - last.top;
+      if (dx === 0 && dy === 0) return;
+
+      card.style.transition = "none";
+      card.style.transform = `translate(${dx}px, ${dy}px)`;
+      moved.push(card);
+    });
+    if (moved.length === 0) return;
+
+    if (moveFrame) cancelAnimationFrame(moveFrame);
+    moveFrame = requestAnimationFrame(() => {
+      moved.forEach((card) => {
+        card.style.transition = `transform ${settings.moveMs}ms ease`;
+        card.style.transform = "";
+        card.addEventListener("transitionend", function onMoveEnd(e) {
+          if (e.target !== card || e.propertyName !== "transform") return;
+          card.style.transition = "";
+          card.removeEventListener("transitionend", onMoveEnd);
+        });
+      });
+      moveFrame = null;
+    });
+  }
+
+  function removeCard(card, firstRect, gridRect) {
+    if (!firstRect || !classNames.cardLeave) {
+      card.remove();
+      return;
+    }
+
+    // Картка, що зникає, "виймається" з потоку на своє старе місце — решта одразу займає нові позиції.
+    Object.assign(card.style, {
+      position: "absolute",
+      left: `${firstRect.left - gridRect.left}px`,
+      top: `${firstRect.top - gridRect.top}px`,
+      width: `${firstRect.width}px`,
+      height: `${firstRect.height}px`,
+      margin: "0"
+    });
+    delete card.dataset.projectId;
+    card.setAttribute("aria-hidden", "true");
+    card.inert = true;
+    card.classList.remove(classNames.cardEnter);
+    card.classList.add(classNames.cardLeave);
+
+    const timer = setTimeout(() => {
+      leaveTimers.delete(timer);
+      card.remove();
+    }, settings.leaveMs);
+    leaveTimers.add(timer);
+  }
+
+  function renderEmptyState(isEmpty) {
+    if (!isEmpty) {
+      emptyState?.remove();
+      emptyState = null;
+      return;
+    }
+
+    emptyState ??= document.createElement("article");
+    emptyState.className = classNames.empty;
+    emptyState.innerHTML = `
+      <h3>${escapeHtml(labels.emptyTitle())}</h3>
+      <p>${escapeHtml(labels.emptyText())}</p>
+    `;
+    grid.appendChild(emptyState);
+  }
+
+  function clearGrid() {
+    leaveTimers.forEach((timer) => clearTimeout(timer));
+    leaveTimers.clear();
+    cardsById.clear();
+    emptyState = null;
+    grid.innerHTML = "";
+  }
+
+  function getPageLimit(minCount) {
+    if (!pageSize) return results.length;
+    return Math.min(results.length, Math.max(minCount, pageSize));
+  }
+
+  function loadMore(loadOptions = {}) {
+    if (status !== "ready" || shownCount >= results.length) return;
+
+    shownCount = getPageLimit(shownCount + pageSize);
+    // Нова сторінка анімується окремо: затримки рахуються від першої доданої картки.
+    const cards = renderCards(results.slice(0, shownCount));
+
+    updateResultCount();
+    updatePager();
+
+    // Кнопка могла зникнути після останньої сторінки — переносимо фокус на першу нову картку.
+    if (loadOptions.focus) cards[0]?.querySelector('[data-action="open"]')?.focus();
+  }
+
+  function updateResultCount() {
+    resultCount.textContent = labels.resultCount(results.length, totalCount, shownCount);
+  }
+
+  function updatePager() {
+    const hasMore = status === "ready" && shownCount < results.length;
+    if (loadMoreButton) loadMoreButton.hidden = !hasMore;
+
+    if (!sentinelObserver) return;
+    sentinelObserver.unobserve(sentinel);
+    // Повторне observe() одразу повідомляє поточний стан: якщо sentinel і далі видно, завантажиться ще сторінка.
+    if (hasMore && autoLoad) sentinelObserver.observe(sentinel);
+  }
+
+  function animateCards(cards) {
+    if (!settings.animate || !classNames.cardEnter || prefersReducedMotion()) return;
+
+    cards.forEach((card, index) => {
+      card.classList.remove(classNames.cardEnter);
+      card.style.animationDelay = `${Math.min(index * 60, 360)}ms`;
+      // Після анімації клас знімаємо: інакше переставлена в DOM картка програла б появу ще раз.
+      card.addEventListener("animationend", function onEnterEnd(e) {
+        if (e.target !== card) return;
+        card.classList.remove(classNames.cardEnter);
+        card.style.animationDelay = "";
+        card.removeEventListener("animationend", onEnterEnd);
+      });
+    });
+
+    // Використовуємо requestAnimationFrame, щоб браузер застосував початковий стан перед анімацією.
+    if (enterFrame) cancelAnimationFrame(enterFrame);
+    enterFrame = requestAnimationFrame(() => {
+      cards.forEach((card) => card.classList.add(classNames.cardEnter));
+      enterFrame = null;
+    });
+  }
+
+  function renderSkeleton() {
+    resultCount.textContent = labels.loading();
+    clearGrid();
+    gridContent = "skeleton";
+
+    // Заглушки повторюють форму картки, тож після завантаження сторінка не "стрибає".
+    for (let i = 0; i < settings.skeletonCount; i += 1) {
+      const placeholder = document.createElement("article");
+      placeholder.className = classNames.skeleton;
+      placeholder.setAttribute("aria-hidden", "true");
+      placeholder.innerHTML = `
+        <span class="skeleton skeleton--image"></span>
+        <span class="skeleton skeleton--line"></span>
+        <span class="skeleton skeleton--line skeleton--short"></span>
+      `;
+      grid.appendChild(placeholder);
+    }
+  }
+
+  function renderError() {
+    resultCount.textContent = "";
+    clearGrid();
+    gridContent = "error";
+
+    const error = document.createElement("article");
+    error.className = classNames.error;
+    error.setAttribute("role", "alert");
+    error.innerHTML = `
+      <h3>${escapeHtml(labels.errorTitle())}</h3>
+      <p>${escapeHtml(labels.errorText())}</p>
+      <button class="btn" type="button" data-action="retry">${escapeHtml(labels.retryButton())}</button>
+    `;
+    grid.appendChild(error);
+  }
+
+  function updateResults() {
+    // Поки даних немає, фільтри лише запам'ятовують стан — картки з'являться після завантаження.
+    if (status === "ready") renderProjects();
+  }
+
+  function writeState(writeOptions) {
+    if (settings.urlState) writeFilterStateToUrl(state, writeOptions);
+  }
+
+  function refresh() {
+    // Повторний рендер потрібен, наприклад, після зміни мови інтерфейсу.
+    grid.setAttribute("aria-busy", String(status === "loading"));
+
+    if (status === "ready") {
+      renderTagButtons();
+      renderProjects({ keepPage: true });
+      return;
+    }
+
+    tagList.innerHTML = "";
+    visibleIds = [];
+    results = [];
+    shownCount = 0;
+    updatePager();
+    if (status === "loading") {
+      renderSkeleton();
+    } else {
+      renderError();
+    }
+  }
+
+  function setStatus(nextStatus) {
+    if (!STATUSES.includes(nextStatus)) return;
+    status = nextStatus;
+    refresh();
+  }
+
+  const sentinelObserver = sentinel && pageSize && infiniteScroll !== false && "IntersectionObserver" in window
+    ? new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) loadMore();
+    }, { rootMargin: settings.sentinelMargin })
+    : null;
+
+  bindImageStates(grid, { signal });
+  syncFilterControls();
+  refresh();
+
+  // Зміни обраного (з картки, модалки, імпорту чи іншої вкладки) оновлюють лічильник псевдотегу і картки.
+  const unsubscribeFavorites = favorites?.subscribe(() => {
+    if (status === "ready") refresh();
+  });
+
+  tagList.addEventListener("click", (e) => {
+    // Делегування подій: один обробник на контейнер замість окремого обробника на кожну кнопку.
+    const btn = e.target.closest("button[data-tag]");
+    if (!btn) return;
+
+    const tag = btn.dataset.tag;
+    if (tag === "all") {
+      state.tags = [];
+    } else if (state.tags.includes(tag)) {
+      state.tags = state.tags.filter((item) => item !== tag);
+    } else {
+      state.tags = [...state.tags, tag];
+    }
+
+    setActiveTags();
+    updateResults();
+    writeState({ push: true });
+  }, { signal });
+
+  modeSwitch?.addEventListener("click", (e) => {
+    const btn = e.target.closest("button[data-mode]");
+    if (!btn) return;
+    if (!FILTER_MODES.includes(btn.dataset.mode) || btn.dataset.mode === state.mode) return;
+
+    state.mode = btn.dataset.mode;
+    syncFilterControls();
+    updateResults();
+    writeState({ push: true });
+  }, { signal });
+
+  sortSelect?.addEventListener("change", () => {
+    if (!SORT_MODES.includes(sortSelect.value) || sortSelect.value === state.sort) return;
+
+    state.sort = sortSelect.value;
+    updateResults();
+    writeState({ push: true });
+  }, { signal });
+
+  loadMoreButton?.addEventListener("click", () => {
+    if (infiniteScroll === "after-click") autoLoad = true;
+    loadMore({ focus: true });
+  }, { signal });
+
+  // Пошук працює разом із фільтром за тегами: картка має пройти обидві умови.
+  searchInput?.addEventListener("input", () => {
+    state.query = searchInput.value;
+    updateResults();
+    // Кожна натиснута клавіша не повинна створювати окремий запис в історії.
+    writeState({ push: false });
+  }, { signal });
+
+  if (settings.urlState) {
+    // Кнопки "Назад"/"Вперед" відновлюють попередній стан фільтрів з адреси.
+    window.addEventListener("popstate", () => {
+      const nextState = readFilterStateFromUrl();
+      // popstate також спрацьовує при відкритті/закритті модалки — тоді фільтри не змінюються
+      // і повторний рендер лише зламав би повернення фокусу на картку.
+      if (isSameFilterState(nextState, state)) return;
+
+      Object.assign(state, nextState);
+      syncFilterControls();
+      setActiveTags();
+      updateResults();
+    }, { signal });
+  }
+
+  grid.addEventListener("click", (e) => {
+    if (e.target.closest('[data-action="retry"]')) {
+      settings.onRetry?.();
+      return;
+    }
+
+    const favoriteBtn = e.target.closest('[data-action="favorite"]');
+    if (favoriteBtn) {
+      const card = favoriteBtn.closest("[data-project-id]");
+      if (card) favorites?.toggle(card.dataset.projectId);
+      return;
+    }
+
+    const openBtn = e.target.closest('[data-action="open"]');
+    if (!openBtn) return;
+
+    const card = openBtn.closest("[data-project-id]");
+    if (!card) return;
+
+    settings.onOpen?.(card.dataset.projectId);
+  }, { signal });
+
+  return {
+    refresh,
+    setStatus,
+    getStatus: () => status,
+    getState: () => ({ ...state, tags: [...state.tags] }),
+    getVisibleIds: () => visibleIds,
+    loadMore,
+    destroy() {
+      listeners.abort();
+      unsubscribeFavorites?.();
+      sentinelObserver?.disconnect();
+      if (enterFrame) cancelAnimationFrame(enterFrame);
+      if (moveFrame) cancelAnimationFrame(moveFrame);
+      enterFrame = null;
+      moveFrame = null;
+      leaveTimers.forEach((timer) => clearTimeout(timer));
+      leaveTimers.clear();
+    }
+  };
+}
+
+function renderDefaultCard(p, { highlight, labels, imageSizes, favorite }) {
+  // Динамічні значення проходять через escapeHtml / escapeHtmlAttr
+  // (highlight теж екранує кожен фрагмент тексту перед обгортанням у <mark>).
+  const image = renderResponsiveImage({
+    src: p.image,
+    alt: labels.imageAlt(p),
+    imageClassName: "project-image",
+    sizes: imageSizes,
+    width: 500,
+    height: 300,
+    fallbackText: labels.imageFallback()
+  });
+
+  return `
+    ${image}
+    <h3>${highlight(p.title)}</h3>
+    <p>${highlight(p.description)}</p>
+
+    <div class="project-tags">
+      ${p.tags.map((tag) => `<span class="tag" aria-hidden="true">${highlight(tag)}</span>`).join("")}
+    </div>
+
+    <div class="project-footer">
+      <button class="btn btn--ghost" type="button" data-action="open">${escapeHtml(labels.detailsButton())}</button>
+      <a href="${escapeHtmlAttr(p.repo)}" target="_blank" rel="noopener noreferrer">${escapeHtml(labels.repoLink())}</a>
+      ${favorite === null ? "" : renderFavoriteButton(p, favorite, labels)}
+    </div>
+  `;
+}
+
+function renderFavoriteButton(p, favorite, labels) {
+  const label = labels.favoriteButton(p);
+  return `<button class="project-favorite" type="button" data-action="favorite" aria-pressed="${favorite}"`
+    + ` aria-label="${escapeHtmlAttr(label)}" title="${escapeHtmlAttr(label)}">`
+    + `<span aria-hidden="true">${favorite ? "★" : "☆"}</span></button>`;
+}
+
+function sortProjects(projects, sort, locale) {
+  // sort() стабільний, тож проєкти з однаковим ключем зберігають порядок з джерела даних.
+  const sorted = [...projects];
+  if (sort === "title") {
+    sorted.sort((a, b) => a.title.localeCompare(b.title, locale, { sensitivity: "base" }));
+  } else if (sort === "newest") {
+    sorted.sort((a, b) => getDateValue(b) - getDateValue(a));
+  } else if (sort === "tags") {
+    sorted.sort((a, b) => b.tags.length - a.tags.length);
+  }
+  return sorted;
+}
+
+function getDateValue(project) {
+  // Проєкти без дати (або з некоректною датою) опиняються в кінці списку "Спочатку нові".
+  const time = Date.parse(project.date ?? "");
+  return Number.isNaN(time) ? Number.MIN_SAFE_INTEGER : time;
+}
+
+function matchesTags(project, state, favorites) {
+  if (state.tags.length === 0) return true;
+
+  // Псевдотег "Обране" поводиться як звичайний тег, тож поєднується з іншими в режимах OR/AND.
+  const hasTag = (tag) => (favorites && tag === FAVORITES_TAG
+    ? favorites.has(project.id)
+    : project.tags.includes(tag));
+
+  // OR — достатньо одного з вибраних тегів, AND — проєкт має містити всі.
+  return state.mode === "and" ? state.tags.every(hasTag) : state.tags.some(hasTag);
+}
+
+function readFilterStateFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  // Кожен тег — окремий параметр (?tag=HTML&tag=UI), тож теги з комою не розбиваються на частини.
+  const tags = params.getAll("tag")
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+  const mode = params.get("mode");
+  const sort = params.get("sort");
+
+  return {
+    tags: Array.from(new Set(tags)),
+    mode: FILTER_MODES.includes(mode) ? mode : "or",
+    query: params.get("q") ?? "",
+    sort: SORT_MODES.includes(sort) ? sort : "default"
+  };
+}
+
+function isSameFilterState(a, b) {
+  return a.mode === b.mode
+    && a.query === b.query
+    && a.sort === b.sort
+    && a.tags.length === b.tags.length
+    && a.tags.every((tag, index) => tag === b.tags[index]);
+}
+
+function writeFilterStateToUrl(state, options = {}) {
+  const url = new URL(window.location.href);
+  const params = url.searchParams;
+
+  // У адресу записуємо лише значення, що відрізняються від типових, щоб посилання були короткими.
+  params.delete("tag");
+  state.tags.forEach((tag) => params.append("tag", tag));
+  setOrDeleteParam(params, "mode", state.mode === "or" ? "" : state.mode);
+  setOrDeleteParam(params, "q", state.query.trim());
+  setOrDeleteParam(params, "sort", state.sort === "default" ? "" : state.sort);
+
+  if (url.href === window.location.href) return;
+
+  if (options.push) {
+    history.pushState(history.state, "", url);
+  } else {
+    history.replaceState(history.state, "", url);
+  }
+}
+
+function setOrDeleteParam(params, key, value) {
+  if (value) {
+    params.set(key, value);
+  } else {
+    params.delete(key);
+  }
+}
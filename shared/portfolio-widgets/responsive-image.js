@@ -0,0 +1,119 @@
+import { escapeHtml, escapeHtmlAttr } from "./dom.js";
+
+/**
+ * Адаптивні зображення з розмитою заглушкою.
+ * - srcset будується з параметра ширини в адресі (як у Unsplash/imgix: ?w=900)
+ * - Поки зображення вантажиться, видно зменшену копію (або просто колір фону)
+ * - Після load зображення плавно проявляється, після error — показується запасна ілюстрація
+ *
+ * Стан зберігається класами на обгортці; події load/error не спливають,
+ * тому bindImageStates слухає їх на контейнері у фазі перехоплення.
+ */
+
+const DEFAULTS = {
+  src: "",
+  alt: "",
+  className: "responsive-image",
+  imageClassName: "",
+  widths: [320, 480, 640, 960, 1280],
+  sizes: "100vw",
+  width: null,
+  height: null,
+  loading: "lazy",
+  widthParam: "w",
+  placeholderWidth: 32,
+  fallbackText: ""
+};
+
+const STATE_CLASSES = {
+  loaded: "--loaded",
+  error: "--error"
+};
+
+const FALLBACK_ICON = '<svg viewBox="0 0 48 48" width="48" height="48" aria-hidden="true" focusable="false">'
+  + '<rect x="6" y="10" width="36" height="28" rx="4" fill="none" stroke="currentColor" stroke-width="2"/>'
+  + '<circle cx="17" cy="20" r="3.5" fill="currentColor"/>'
+  + '<path d="M9 34l10-10 7 7 5-5 8 8" fill="none" stroke="currentColor" stroke-width="2" stroke-linejoin="round"/>'
+  + "</svg>";
+
+export function getImageSources(src, options = {}) {
+  const { widths, widthParam, placeholderWidth } = { ...DEFAULTS, ...options };
+  const url = parseUrl(src);
+  // Без параметра ширини адресу неможливо "перемасштабувати" — залишаємо одне джерело без заглушки.
+  if (!url || !url.searchParams.has(widthParam)) {
+    return { src, srcset: "", placeholder: null };
+  }
+
+  const withWidth = (width, extra = {}) => {
+    const next = new URL(url.href);
+    next.searchParams.set(widthParam, String(width));
+    Object.entries(extra).forEach(([key, value]) => next.searchParams.set(key, value));
+    return next.href;
+  };
+
+  return {
+    src: url.href,
+    srcset: widths.map((width) => `${withWidth(width)} ${width}w`).join(", "),
+    placeholder: withWidth(placeholderWidth, { q: "30" })
+  };
+}
+
+export function renderResponsiveImage(options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const { src, srcset, placeholder } = getImageSources(settings.src, settings);
+  const base = settings.className;
+  const style = placeholder ? ` style="${escapeHtmlAttr(`--image-placeholder: url("${placeholder}")`)}"` : "";
+  const attrs = [
+    settings.imageClassName ? `class="${escapeHtmlAttr(settings.imageClassName)}"` : "",
+    `src="${escapeHtmlAttr(src)}"`,
+    srcset ? `srcset="${escapeHtmlAttr(srcset)}" sizes="${escapeHtmlAttr(settings.sizes)}"` : "",
+    `alt="${escapeHtmlAttr(settings.alt)}"`,
+    settings.width ? `width="${settings.width}"` : "",
+    settings.height ? `height="${settings.height}"` : "",
+    `loading="${settings.loading === "eager" ? "eager" : "lazy"}"`,
+    'decoding="async"'
+  ].filter(Boolean).join(" ");
+
+  // Запасна ілюстрація є в розмітці завжди, а CSS показує її лише в стані помилки
+  // (тоді img прихований і її текст замінює alt для читачів екрана).
+  return `<span class="${escapeHtmlAttr(base)}"${style}>`
+    + `<img ${attrs}>`
+    + `<span class="${escapeHtmlAttr(`${base}__fallback`)}">${FALLBACK_ICON}`
+    + `<span>${escapeHtml(settings.fallbackText)}</span></span>`
+    + "</span>";
+}
+
+export function syncImageState(img, className = DEFAULTS.className) {
+  const wrapper = img.closest(`.${className}`);
+  if (!wrapper) return;
+
+  // complete без naturalWidth означає, що зображення не вдалося завантажити.
+  const loaded = img.complete && img.naturalWidth > 0;
+  const failed = img.complete && img.naturalWidth === 0;
+  wrapper.classList.toggle(`${className}${STATE_CLASSES.loaded}`, loaded);
+  wrapper.classList.toggle(`${className}${STATE_CLASSES.error}`, failed);
+}
+
+export function syncImageStates(root, className = DEFAULTS.className) {
+  root.querySelectorAll(`.${className} img`).forEach((img) => syncImageState(img, className));
+}
+
+export function bindImageStates(root, options = {}) {
+  const className = options.className ?? DEFAULTS.className;
+  const listener = (e) => {
+    if (e.target instanceof HTMLImageElement) syncImageState(e.target, className);
+  };
+
+  root.addEventListener("load", listener, { capture: true, signal: options.signal });
+  root.addEventListener("error", listener, { capture: true, signal: options.signal });
+  // Зображення з кешу могли завантажитися ще до підписки на події.
+  syncImageStates(root, className);
+}
+
+function parseUrl(value) {
+  try {
+    return new URL(value, document.baseURI);
+  } catch {
+    return null;
+  }
+}
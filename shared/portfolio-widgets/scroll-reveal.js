@@ -0,0 +1,48 @@
+import { prefersReducedMotion, resolveElements } from "./dom.js";
+
+/**
+ * Поява секцій під час прокрутки через IntersectionObserver.
+ */
+
+const DEFAULTS = {
+  targets: ".hero, .section, footer",
+  hiddenClass: "reveal-on-scroll",
+  visibleClass: "is-visible",
+  threshold: 0.12,
+  rootMargin: "0px 0px -40px 0px"
+};
+
+export function init(options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const targets = resolveElements(settings.targets);
+  if (targets.length === 0) return { destroy() {} };
+
+  if (prefersReducedMotion() || !("IntersectionObserver" in window)) {
+    targets.forEach((el) => el.classList.add(settings.visibleClass));
+    return { destroy() {} };
+  }
+
+  targets.forEach((el) => el.classList.add(settings.hiddenClass));
+
+  // IntersectionObserver дозволяє запускати ефект появи без постійних обчислень у scroll.
+  const observer = new IntersectionObserver(
+    (entries, obs) => {
+      entries.forEach((entry) => {
+        if (!entry.isIntersecting) return;
+        entry.target.classList.add(settings.visibleClass);
+        obs.unobserve(entry.target);
+      });
+    },
+    { threshold: settings.threshold, rootMargin: settings.rootMargin }
+  );
+
+  targets.forEach((el) => observer.observe(el));
+
+  return {
+    destroy() {
+      observer.disconnect();
+      // Секції, які ще не з'явились, не повинні лишитися прихованими назавжди.
+      targets.forEach((el) => el.classList.remove(settings.hiddenClass));
+    }
+  };
+}
@@ -0,0 +1,69 @@
+import { isDialogOpen } from "./dialog.js";
+
+/**
+ * Гарячі клавіші сторінки.
+ * - Прив'язка: { id, key, mod, allowInInputs, allowInDialogs, run(event) }; mod — Ctrl або ⌘ (на macOS)
+ * - Поки користувач друкує в полі введення, одиночні клавіші не перехоплюються
+ * - Поки відкрито діалог, працюють лише прив'язки з allowInDialogs (Escape діалоги обробляють самі)
+ * - Літери шукаються і за фізичною клавішею: "t" спрацює і в українській розкладці, де ця клавіша дає "е"
+ */
+
+const DEFAULTS = {
+  bindings: [],
+  // Додаткова умова, наприклад, вимкнути клавіші на час анімації.
+  isEnabled: () => true
+};
+
+const TEXT_INPUT_TYPES = ["text", "search", "email", "url", "tel", "password", "number", "date", "datetime-local", "month", "time", "week"];
+
+export function init(options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const listeners = new AbortController();
+  const bindings = settings.bindings.filter((binding) => binding?.key && typeof binding.run === "function");
+
+  document.addEventListener("keydown", (e) => {
+    if (e.defaultPrevented || e.isComposing || e.altKey || !settings.isEnabled()) return;
+
+    const binding = bindings.find((item) => matchesBinding(item, e));
+    if (!binding) return;
+    if (!binding.allowInInputs && isTypingTarget(e.target)) return;
+    if (!binding.allowInDialogs && isDialogOpen()) return;
+
+    e.preventDefault();
+    binding.run(e);
+  }, { signal: listeners.signal });
+
+  return {
+    getBindings: () => bindings.map(({ id, key, mod }) => ({ id, key, mod: Boolean(mod) })),
+    destroy() {
+      listeners.abort();
+    }
+  };
+}
+
+export function isMacPlatform() {
+  const platform = navigator.userAgentData?.platform ?? navigator.platform ?? "";
+  return /mac|iphone|ipad/i.test(platform);
+}
+
+function matchesBinding(binding, e) {
+  const hasMod = e.ctrlKey || e.metaKey;
+  if (Boolean(binding.mod) !== hasMod) return false;
+
+  // Для літер регістр не важливий лише разом з Ctrl/⌘: Shift+T — це вже інша клавіша.
+  const key = binding.mod ? e.key.toLowerCase() : e.key;
+  if (key === binding.key) return true;
+
+  // Інша розкладка: літера не латинська, але фізична клавіша та сама (KeyT).
+  return /^[a-z]$/.test(binding.key)
+    && !/^[a-z]$/i.test(e.key)
+    && !e.shiftKey
+    && e.code === `Key${binding.key.toUpperCase()}`;
+}
+
+function isTypingTarget(target) {
+  if (!(target instanceof Element)) return false;
+  if (target.isContentEditable) return true;
+  if (target instanceof HTMLTextAreaElement || target instanceof HTMLSelectElement) return true;
+  return target instanceof HTMLInputElement && TEXT_INPUT_TYPES.includes(target.type);
+}
@@ -0,0 +1,78 @@
+import { escapeHtml } from "./dom.js";
+
+/**
+ * Анімація "переписування" тексту: символи зліва направо змінюються на новий рядок.
+ */
+
+const DEFAULTS = {
+  durationMs: 1000,
+  highlightClass: "i18n-char-highlight"
+};
+
+const textAnimationRafs = new WeakMap();
+
+export function animateTextScramble(el, nextText, options = {}) {
+  if (!el) return;
+  const settings = { ...DEFAULTS, ...options };
+
+  // Якщо для цього елемента вже виконується анімація, зупиняємо її перед запуском нової.
+  cancelTextScramble(el);
+
+  const currentText = el.textContent ?? "";
+  if (currentText === nextText) return;
+
+  // Для складних вузлів (із вкладеними елементами) безпечніше не змінювати innerHTML покроково.
+  if (el.childElementCount > 0) {
+    el.textContent = nextText;
+    return;
+  }
+
+  const fromChars = Array.from(currentText);
+  const toChars = Array.from(nextText);
+  const targetLen = toChars.length;
+  const fromPadded = fromChars.slice(0, targetLen).concat(Array(Math.max(0, targetLen - fromChars.length)).fill(""));
+  const start = performance.now();
+
+  const step = (now) => {
+    const progress = Math.min((now - start) / settings.durationMs, 1);
+    // Посимвольна заміна зліва направо: частина рядка вже нова, решта ще стара.
+    const revealCount = Math.floor(progress * targetLen);
+    const highlightIndex = revealCount < targetLen ? revealCount : -1;
+
+    const out = [];
+    for (let i = 0; i < targetLen; i += 1) {
+      if (i < revealCount) {
+        out.push(escapeHtml(toChars[i]));
+        continue;
+      }
+
+      const sourceChar = fromPadded[i];
+      const charToShow = sourceChar === " " ? "\u00A0" : sourceChar;
+
+      // Поточний символ підсвічуємо, щоб зробити сам процес "переписування" видимим.
+      if (i === highlightIndex && sourceChar.trim() !== "") {
+        out.push(`<span class="${settings.highlightClass}">${escapeHtml(charToShow)}</span>`);
+      } else {
+        out.push(escapeHtml(charToShow));
+      }
+    }
+
+    if (progress >= 1) {
+      el.textContent = nextText;
+      textAnimationRafs.delete(el);
+      return;
+    }
+
+    el.innerHTML = out.join("").replace(/(?:\u00A0)+$/u, "");
+    textAnimationRafs.set(el, requestAnimationFrame(step));
+  };
+
+  textAnimationRafs.set(el, requestAnimationFrame(step));
+}
+
+export function cancelTextScramble(el) {
+  const rafId = textAnimationRafs.get(el);
+  if (!rafId) return;
+  cancelAnimationFrame(rafId);
+  textAnimationRafs.delete(el);
+}
@@ -0,0 +1,136 @@
+import { escapeHtml } from "./dom.js";
+
+/**
+ * Пошук без урахування регістру та діакритики з підсвічуванням збігів.
+ * locale впливає на зміну регістру (наприклад, турецька "İ").
+ */
+
+export function getSearchTerms(query, locale) {
+  // Запит розбиваємо на слова: текст підходить, якщо містить кожне з них.
+  return normalizeSearchText(query, locale).split(/\s+/).filter(Boolean);
+}
+
+export function matchesSearch(text, terms, locale) {
+  if (terms.length === 0) return true;
+
+  const haystack = normalizeSearchText(text, locale);
+  return terms.every((term) => haystack.includes(term));
+}
+
+export function normalizeSearchText(text, locale) {
+  return foldSearchText(text, locale).value;
+}
+
+function foldSearchText(text, locale) {
+  // Нормалізуємо кожен символ окремо: NFD відокремлює діакритику (й → и + ˘, é → e + ´),
+  // яку потім прибираємо разом з регістром. Масиви starts/ends зберігають позицію символу
+  // в оригінальному рядку, щоб підсвітити збіг саме там, а не в нормалізованій копії.
+  const source = String(text ?? "");
+  const starts = [];
+  const ends = [];
+  let value = "";
+  let offset = 0;
+
+  for (const char of source) {
+    const folded = char
+      .normalize("NFD")
+      .replace(/\p{M}/gu, "")
+      .toLocaleLowerCase(locale);
+
+    for (let i = 0; i < folded.length; i += 1) {
+      starts.push(offset);
+      ends.push(offset + char.length);
+    }
+
+    value += folded;
+    offset += char.length;
+  }
+
+  return { value, starts, ends };
+}
+
+export function highlightMatches(text, terms, locale, className = "search-highlight") {
+  const source = String(text ?? "");
+  if (terms.length === 0) return escapeHtml(source);
+
+  const { value, starts, ends } = foldSearchText(source, locale);
+  const ranges = [];
+
+  terms.forEach((term) => {
+    let index = value.indexOf(term);
+    while (index !== -1) {
+      ranges.push([starts[index], ends[index + term.length - 1]]);
+      index = value.indexOf(term, index + term.length);
+    }
+  });
+
+  return highlightRanges(source, ranges, className);
+}
+
+// Нечіткий пошук для палітри команд: літери запиту мають іти в тексті в тому ж порядку, але не обов'язково поруч
+// ("cntc" знаходить "Contacts"). Повертає null або { score, ranges } з діапазонами в оригінальному рядку.
+export function fuzzyMatch(text, query, locale) {
+  const needle = normalizeSearchText(query, locale).replace(/\s+/g, "");
+  if (!needle) return { score: 0, ranges: [] };
+
+  const { value, starts, ends } = foldSearchText(text, locale);
+  const toRanges = (positions) => positions.map((index) => [starts[index], ends[index]]);
+
+  // Суцільний збіг завжди кращий за розкиданий, а збіг з початку слова — за збіг усередині.
+  const substringIndex = value.indexOf(needle);
+  if (substringIndex !== -1) {
+    const positions = Array.from({ length: needle.length }, (_, offset) => substringIndex + offset);
+    const bonus = isWordStart(value, substringIndex) ? 20 : 10;
+    return { score: bonus + needle.length * 3 - value.length * 0.01, ranges: toRanges(positions) };
+  }
+
+  const positions = [];
+  let score = 0;
+  let from = 0;
+  for (let i = 0; i < needle.length; i += 1) {
+    const index = value.indexOf(needle[i], from);
+    if (index === -1) return null;
+
+    if (index === positions[positions.length - 1] + 1) score += 3;
+    if (isWordStart(value, index)) score += 2;
+    // Великі прогалини між літерами знижують оцінку, але обмежено, щоб довгі назви не програвали завжди.
+    score -= Math.min(index - from, 5) * 0.2;
+    positions.push(index);
+    from = index + 1;
+  }
+
+  return { score: score - value.length * 0.01, ranges: toRanges(positions) };
+}
+
+export function highlightRanges(text, ranges, className = "search-highlight") {
+  const source = String(text ?? "");
+  if (ranges.length === 0) return escapeHtml(source);
+
+  // Збіги різних слів можуть перетинатися — об'єднуємо їх, щоб не вкладати <mark> у <mark>.
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  sorted.forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  });
+
+  // Кожен фрагмент екранується окремо, тож результат безпечно вставляти в innerHTML.
+  let html = "";
+  let cursor = 0;
+  merged.forEach(([start, end]) => {
+    html += escapeHtml(source.slice(cursor, start));
+    html += `<mark class="${className}">${escapeHtml(source.slice(start, end))}</mark>`;
+    cursor = end;
+  });
+  html += escapeHtml(source.slice(cursor));
+
+  return html;
+}
+
+function isWordStart(value, index) {
+  return index === 0 || /[\s\-_/.,:()]/.test(value[index - 1]);
+}
@@ -0,0 +1,123 @@
+import { prefersReducedMotion, resolveElement } from "./dom.js";
+
+/**
+ * Перемикач теми: світла / темна / як у системі.
+ * - Режим зберігається в localStorage
+ * - У режимі "system" тема стежить за prefers-color-scheme
+ * - Кнопка циклічно перемикає режими з опції modes
+ */
+
+const DEFAULTS = {
+  toggle: "#themeToggle",
+  target: null,
+  modes: ["light", "dark", "system"],
+  defaultMode: null,
+  storageKey: "theme",
+  darkClass: "dark",
+  transitionClass: "theme-transition",
+  transitionMs: 260,
+  // (mode) => рядок для aria-label і title кнопки; без нього підпис кнопки не змінюється.
+  getLabel: null,
+  onChange: null
+};
+
+export function init(options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const toggle = resolveElement(settings.toggle);
+  const target = resolveElement(settings.target) ?? document.body;
+  const { modes } = settings;
+  const fallbackMode = modes.includes(settings.defaultMode)
+    ? settings.defaultMode
+    : (modes.includes("system") ? "system" : modes[0]);
+  const darkQuery = window.matchMedia ? window.matchMedia("(prefers-color-scheme: dark)") : null;
+  const listeners = new AbortController();
+  let mode = fallbackMode;
+  let transitionTimer = null;
+
+  function resolve(value) {
+    if (value !== "system") return value;
+    return darkQuery?.matches ? "dark" : "light";
+  }
+
+  function setMode(nextMode, applyOptions = {}) {
+    const themeMode = modes.includes(nextMode) ? nextMode : fallbackMode;
+    const isDark = resolve(themeMode) === "dark";
+
+    if (applyOptions.animate && settings.transitionClass && !prefersReducedMotion()
+      && isDark !== target.classList.contains(settings.darkClass)) {
+      // JS лише додає клас-стан, а візуальний перехід виконується засобами CSS.
+      target.classList.add(settings.transitionClass);
+      window.clearTimeout(transitionTimer);
+      transitionTimer = window.setTimeout(() => {
+        target.classList.remove(settings.transitionClass);
+        transitionTimer = null;
+      }, settings.transitionMs);
+    }
+
+    mode = themeMode;
+    target.classList.toggle(settings.darkClass, isDark);
+    writeStoredMode(themeMode);
+    updateLabel();
+    settings.onChange?.(themeMode, isDark ? "dark" : "light");
+  }
+
+  function readStoredMode() {
+    // Сховище може бути недоступне (приватний режим, заборона в налаштуваннях): тоді тема просто не запам'ятовується.
+    try {
+      return localStorage.getItem(settings.storageKey);
+    } catch (error) {
+      console.warn("Failed to read theme mode", error);
+      return null;
+    }
+  }
+
+  function writeStoredMode(themeMode) {
+    try {
+      localStorage.setItem(settings.storageKey, themeMode);
+    } catch (error) {
+      console.warn("Failed to save theme mode", error);
+    }
+  }
+
+  function cycle() {
+    const index = modes.indexOf(mode);
+    setMode(modes[(index + 1) % modes.length], { animate: true });
+  }
+
+  function updateLabel() {
+    if (!toggle) return;
+    // Поточний режим відображається іконкою через data-атрибут (стилі — в CSS).
+    toggle.dataset.themeMode = mode;
+    if (!settings.getLabel) return;
+
+    const label = settings.getLabel(mode);
+    toggle.setAttribute("aria-label", label);
+    toggle.setAttribute("title", label);
+  }
+
+  function destroy() {
+    listeners.abort();
+    window.clearTimeout(transitionTimer);
+    if (settings.transitionClass) target.classList.remove(settings.transitionClass);
+  }
+
+  // Режим "system" (або відсутнє значення) означає: слідувати налаштуванням ОС.
+  const stored = readStoredMode();
+  setMode(modes.includes(stored) ? stored : fallbackMode);
+
+  // Системна тема може змінитися під час роботи (наприклад, автоматично ввечері).
+  darkQuery?.addEventListener?.("change", () => {
+    if (mode === "system") setMode("system", { animate: true });
+  }, { signal: listeners.signal });
+
+  toggle?.addEventListener("click", cycle, { signal: listeners.signal });
+
+  return {
+    getMode: () => mode,
+    getTheme: () => resolve(mode),
+    setMode,
+    cycle,
+    updateLabel,
+    destroy
+  };
+}
@@ -0,0 +1,32 @@
+/**
+ * Глобальне налаштування Playwright: статичні мовні версії pr3 для тестів.
+ * index.en.html, pages/contacts.en.html... — артефакт збірки, у репозиторії їх немає (.gitignore).
+ * Перед тестами генеруємо їх тим самим скриптом, що й job деплою (pr3/scripts/prerender.mjs), а після — видаляємо.
+ * Сторінки, які вже були до запуску (наприклад, після npm run build:pr3), лишаються на місці.
+ */
+
+import { execFileSync } from "node:child_process";
+import { readdirSync, rmSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const PR3_DIR = fileURLToPath(new URL("../pr3/", import.meta.url));
+const GENERATED_PAGE = /^[^.]+\.[^.]+\.html$/;
+
+export default function globalSetup() {
+  const existing = new Set(listGeneratedPages());
+  execFileSync(process.execPath, [path.join(PR3_DIR, "scripts/prerender.mjs")], { stdio: "inherit" });
+
+  // Функція, яку повертає globalSetup, Playwright викликає як globalTeardown.
+  return () => {
+    listGeneratedPages()
+      .filter((file) => !existing.has(file))
+      .forEach((file) => rmSync(file, { force: true }));
+  };
+}
+
+function listGeneratedPages() {
+  return ["", "pages"].flatMap((dir) => readdirSync(path.join(PR3_DIR, dir))
+    .filter((name) => GENERATED_PAGE.test(name))
+    .map((name) => path.join(PR3_DIR, dir, name)));
+}
@@ -0,0 +1,67 @@
+import { type Page, type Locator } from '@playwright/test';
+
+export type ContactMessage = {
+  name: string;
+  email: string;
+  topic: 'question' | 'collaboration' | 'feedback' | 'other';
+  message: string;
+};
+
+export class ContactsPage {
+  readonly form: Locator;
+  readonly nameInput: Locator;
+  readonly nameError: Locator;
+  readonly emailInput: Locator;
+  readonly emailError: Locator;
+  readonly topicSelect: Locator;
+  readonly topicError: Locator;
+  readonly messageInput: Locator;
+  readonly messageError: Locator;
+  readonly counter: Locator;
+  readonly honeypot: Locator;
+  readonly submitButton: Locator;
+  readonly status: Locator;
+
+  constructor(private readonly page: Page) {
+    this.form = page.locator('#contactForm');
+    this.nameInput = page.locator('#contactName');
+    this.nameError = page.locator('#contactNameError');
+    this.emailInput = page.locator('#contactEmail');
+    this.emailError = page.locator('#contactEmailError');
+    this.topicSelect = page.locator('#contactTopic');
+    this.topicError = page.locator('#contactTopicError');
+    this.messageInput = page.locator('#contactMessage');
+    this.messageError = page.locator('#contactMessageError');
+    this.counter = page.locator('#contactMessageCounter');
+    this.honeypot = page.locator('#contactWebsite');
+    this.submitButton = this.form.locator('button[type="submit"]');
+    this.status = page.locator('#contactStatus');
+  }
+
+  async goto(endpoint?: string): Promise<void> {
+    // localStorage очищаємо лише при першому відкритті вкладки, щоб чернетка пережила перезавантаження.
+    await this.page.addInitScript(() => {
+      if (window.sessionStorage.getItem('test-storage-cleared')) return;
+      window.localStorage.clear();
+      window.sessionStorage.setItem('test-storage-cleared', '1');
+    });
+    const query = endpoint ? `?contact-endpoint=${encodeURIComponent(endpoint)}` : '';
+    await this.page.goto(`/pr3/pages/contacts.html${query}`);
+    await this.form.and(this.page.locator('[data-state]')).waitFor();
+  }
+
+  async fill(message: ContactMessage): Promise<void> {
+    await this.nameInput.fill(message.name);
+    await this.emailInput.fill(message.email);
+    await this.topicSelect.selectOption(message.topic);
+    await this.messageInput.fill(message.message);
+  }
+
+  async submit(): Promise<void> {
+    await this.submitButton.click();
+  }
+
+  async setLanguage(lang: 'uk' | 'en'): Promise<void> {
+    await this.page.locator(`button[data-lang="${lang}"]`).click();
+  }
+}
@@ -0,0 +1,91 @@
+import { type Page, type Locator } from '@playwright/test';
+
+const DOG_API_ORIGIN = 'http://127.0.0.1:8083';
+
+// Адреса тестового Dog API (tests/stubs/dog-api-server.mjs); режими — сегменти перед /api, напр. 'error=images'.
+export function dogApiBase(...modes: string[]): string {
+  return [DOG_API_ORIGIN, ...modes.map(encodeURIComponent), 'api'].join('/');
+}
+
+export class DogBrowserPage {
+  readonly breedSelect: Locator;
+  readonly breedInput: Locator;
+  readonly breedToggle: Locator;
+  readonly breedList: Locator;
+  readonly breedResults: Locator;
+  readonly loadButton: Locator;
+  readonly randomButton: Locator;
+  readonly status: Locator;
+  readonly title: Locator;
+  readonly image: Locator;
+  readonly gallery: Locator;
+  readonly moreButton: Locator;
+  readonly lightbox: Locator;
+  readonly lightboxCaption: Locator;
+
+  constructor(private readonly page: Page, private readonly practice: 'pr5' | 'pr6') {
+    this.breedSelect = page.locator('#breedSelect');
+    this.breedInput = page.locator('#breedInput');
+    this.breedToggle = page.locator('#breedToggle');
+    this.breedList = page.locator('#breedList');
+    this.breedResults = page.locator('#breedResults');
+    this.loadButton = page.locator('#loadDogButton');
+    this.randomButton = page.locator('#randomDogsButton');
+    this.status = page.locator('#status');
+    this.title = page.locator('#dogTitle');
+    this.image = page.locator('#dogImage');
+    this.gallery = page.locator('#dogGallery');
+    this.moreButton = page.locator('#galleryMoreButton');
+    this.lightbox = page.locator('#lightbox');
+    this.lightboxCaption = this.lightbox.locator('[data-lightbox-caption]');
+  }
+
+  async goto(apiBase = dogApiBase()): Promise<void> {
+    // localStorage очищаємо лише при першому відкритті вкладки, щоб нещодавні породи пережили перезавантаження.
+    await this.page.addInitScript(() => {
+      if (window.sessionStorage.getItem('test-storage-cleared')) return;
+      window.localStorage.clear();
+      window.sessionStorage.setItem('test-storage-cleared', '1');
+    });
+    await this.page.goto(`/${this.practice}/index.html?api-base=${encodeURIComponent(apiBase)}`);
+  }
+
+  // Обирає породу за назвою: у pr5 — у <select>, у pr6 — пошуком у полі з підказками.
+  async chooseBreed(label: string): Promise<void> {
+    if (this.practice === 'pr5') {
+      await this.breedSelect.selectOption({ label });
+      return;
+    }
+    await this.breedInput.fill(label);
+    await this.breedOption(label).click();
+  }
+
+  async showBreed(label: string): Promise<void> {
+    await this.chooseBreed(label);
+    await this.loadButton.click();
+  }
+
+  breedOptions(): Locator {
+    return this.breedList.getByRole('option');
+  }
+
+  breedOption(label: string): Locator {
+    return this.breedList.getByRole('option', { name: label, exact: true });
+  }
+
+  breedGroup(label: string): Locator {
+    return this.breedList.getByRole('group', { name: label, exact: true });
+  }
+
+  thumbnails(): Locator {
+    return this.gallery.locator('.gallery__button');
+  }
+
+  galleryItems(): Locator {
+    return this.gallery.locator('.gallery__item');
+  }
+
+  lightboxButton(action: 'prev' | 'next' | 'close'): Locator {
+    return this.lightbox.locator(`[data-lightbox-action="${action}"]`);
+  }
+}
@@ -0,0 +1,126 @@
+import { type Page, type Locator } from '@playwright/test';
+
+export class PortfolioPage {
+  readonly grid: Locator;
+  readonly cards: Locator;
+  readonly skeletons: Locator;
+  readonly errorState: Locator;
+  readonly retryButton: Locator;
+  readonly tagList: Locator;
+  readonly resultCount: Locator;
+  readonly searchInput: Locator;
+  readonly sortSelect: Locator;
+  readonly loadMoreButton: Locator;
+  readonly sentinel: Locator;
+  readonly modal: Locator;
+  readonly modalTitle: Locator;
+  readonly modalFavorite: Locator;
+  readonly favoritesTag: Locator;
+  readonly exportFavoritesButton: Locator;
+  readonly importFavoritesInput: Locator;
+  readonly favoritesStatus: Locator;
+  readonly shortcutsDialog: Locator;
+  readonly commandPalette: Locator;
+  readonly commandInput: Locator;
+  readonly commandOptions: Locator;
+
+  constructor(private readonly page: Page) {
+    this.grid = page.locator('#projectGrid');
+    // Картки, що саме зникають з анімацією, ще є в DOM, але вже не належать до списку.
+    this.cards = page.locator('#projectGrid .project-card:not(.project-card--leave)');
+    this.skeletons = page.locator('#projectGrid .project-skeleton');
+    this.errorState = page.locator('#projectGrid .project-error');
+    this.retryButton = this.errorState.locator('[data-action="retry"]');
+    this.tagList = page.locator('#tagList');
+    this.resultCount = page.locator('#resultCount');
+    this.searchInput = page.locator('#projectSearch');
+    this.sortSelect = page.locator('#projectSort');
+    this.loadMoreButton = page.locator('#loadMoreProjects');
+    this.sentinel = page.locator('#projectSentinel');
+    this.modal = page.locator('#projectModal');
+    this.modalTitle = page.locator('#modalTitle');
+    this.modalFavorite = page.locator('#modalFavorite');
+    this.favoritesTag = this.tagList.locator('button[data-tag="favorites"]');
+    this.exportFavoritesButton = page.locator('#exportFavorites');
+    this.importFavoritesInput = page.locator('#importFavorites');
+    this.favoritesStatus = page.locator('#favoritesStatus');
+    this.shortcutsDialog = page.locator('#shortcutsDialog');
+    this.commandPalette = page.locator('#commandPalette');
+    this.commandInput = page.locator('#commandInput');
+    this.commandOptions = page.locator('#commandList [role="option"]');
+  }
+
+  async goto(path = '/pr3/index.html'): Promise<void> {
+    await this.page.addInitScript(() => window.localStorage.clear());
+    await this.page.goto(path);
+    await this.cards.first().waitFor();
+  }
+
+  async gotoWithProjectsSource(source: string): Promise<void> {
+    // Сітка може залишитися без карток (помилка завантаження), тому чекаємо лише на завантаження сторінки.
+    await this.page.addInitScript(() => window.localStorage.clear());
+    await this.page.goto(`/pr3/index.html?projects-src=${encodeURIComponent(source)}`);
+  }
+
+  async search(query: string): Promise<void> {
+    await this.searchInput.fill(query);
+  }
+
+  async sortBy(mode: 'default' | 'title' | 'newest' | 'tags'): Promise<void> {
+    await this.sortSelect.selectOption(mode);
+  }
+
+  async cardIds(): Promise<string[]> {
+    return this.cards.evaluateAll((cards) => cards.map((card) => (card as HTMLElement).dataset.projectId ?? ''));
+  }
+
+  async selectTag(tag: string): Promise<void> {
+    await this.tagList.locator(`button[data-tag="${tag}"]`).click();
+  }
+
+  async setLanguage(lang: 'uk' | 'en'): Promise<void> {
+    await this.page.locator(`button[data-lang="${lang}"]`).click();
+  }
+
+  async setFilterMode(mode: 'or' | 'and'): Promise<void> {
+    await this.page.locator(`#filterMode button[data-mode="${mode}"]`).click();
+  }
+
+  async openProject(projectId: string): Promise<void> {
+    await this.grid.locator(`[data-project-id="${projectId}"] [data-action="open"]`).click();
+  }
+
+  async importFavorites(content: string, name = 'favorites.json'): Promise<void> {
+    // Файл створюється в самій сторінці: так само, як після вибору у вікні "Відкрити файл".
+    await this.importFavoritesInput.evaluate((input, file) => {
+      const transfer = new DataTransfer();
+      transfer.items.add(new File([file.content], file.name, { type: 'application/json' }));
+      (input as HTMLInputElement).files = transfer.files;
+      input.dispatchEvent(new Event('change', { bubbles: true }));
+    }, { content, name });
+  }
+
+  async runCommand(query: string): Promise<void> {
+    await this.page.keyboard.press('Control+K');
+    await this.commandInput.fill(query);
+    await this.page.keyboard.press('Enter');
+  }
+
+  metaContent(key: string): Locator {
+    return this.page.locator(`meta[property="${key}"], meta[name="${key}"]`);
+  }
+
+  async structuredData(): Promise<Array<Record<string, unknown>>> {
+    // Скрипт JSON-LD на сторінці має бути один: при зміні мови він замінюється, а не дублюється.
+    const json = await this.page.locator('script[type="application/ld+json"]').textContent();
+    return JSON.parse(json ?? '{}')['@graph'] ?? [];
+  }
+
+  favoriteButton(projectId: string): Locator {
+    return this.grid.locator(`[data-project-id="${projectId}"] [data-action="favorite"]`);
+  }
+
+  highlights(): Locator {
+    return this.grid.locator('mark.search-highlight');
+  }
+}
@@ -0,0 +1,37 @@
+import { type Page, type Locator } from '@playwright/test';
+
+export class SimplePortfolioPage {
+  readonly cards: Locator;
+  readonly tagList: Locator;
+  readonly resultCount: Locator;
+  readonly modal: Locator;
+  readonly modalTitle: Locator;
+  readonly themeToggle: Locator;
+
+  constructor(private readonly page: Page) {
+    this.cards = page.locator('#projectGrid .project-card');
+    this.tagList = page.locator('#tagList');
+    this.resultCount = page.locator('#resultCount');
+    this.modal = page.locator('#projectModal');
+    this.modalTitle = page.locator('#modalTitle');
+    this.themeToggle = page.locator('#themeToggle');
+  }
+
+  async goto(path = '/pr3_simple/index.html'): Promise<void> {
+    await this.page.addInitScript(() => window.localStorage.clear());
+    await this.page.goto(path);
+    await this.cards.first().waitFor();
+  }
+
+  async selectTag(tag: string): Promise<void> {
+    await this.tagList.locator(`button[data-tag="${tag}"]`).click();
+  }
+
+  async setLanguage(lang: 'uk' | 'en'): Promise<void> {
+    await this.page.locator(`button[data-lang="${lang}"]`).click();
+  }
+
+  async openProject(title: string): Promise<void> {
+    await this.cards.filter({ hasText: title }).locator('button[data-action="open"]').click();
+  }
+}
@@ -0,0 +1,1074 @@
+import { test, expect, type Page } from '@playwright/test';
+import { ContactsPage, type ContactMessage } from './pages/ContactsPage';
+import { PortfolioPage } from './pages/PortfolioPage';
+
+test.describe('Практична робота №3: Портфоліо', () => {
+
+  // Мова сторінки визначається з налаштувань браузера, тому фіксуємо українську локаль.
+  test.use({ locale: 'uk-UA' });
+
+  test.beforeEach(async ({ page }) => {
+    const portfolio = new PortfolioPage(page);
+    await portfolio.goto();
+  });
+
+  test('Пошук ігнорує регістр і підсвічує збіг', async ({ page }) => {
+    const portfolio = new PortfolioPage(page);
+
+    await portfolio.search('TODO');
+
+    await expect(portfolio.cards).toHaveCount(1);
+    await expect(portfolio.resultCount).toHaveText('Знайдено 1 проєкт з 5');
+    await expect(portfolio.highlights().first()).toHaveText('Todo');
+  });
+
+  test('Пошук комбінується з фільтром за тегом', async ({ page }) => {
+    const portfolio = new PortfolioPage(page);
+
+    await portfolio.selectTag('JavaScript');
+    await expect(portfolio.cards).toHaveCount(3);
+
+    await portfolio.search('галерея');
+    await expect(portfolio.cards).toHaveCount(1);
+
+    await portfolio.setFilterMode('and');
+    await portfolio.selectTag('HTML');
+    await expect(portfolio.grid).toContainText('Нічого не знайдено');
+  });
+
+  test('Кілька тегів у режимах OR та AND', async ({ page }) => {
+    const portfolio = new PortfolioPage(page);
+
+    await portfolio.selectTag('HTML');
+    await portfolio.selectTag('UI');
+    await expect(portfolio.cards).toHaveCount(3);
+
+    await portfolio.setFilterMode('and');
+    await expect(portfolio.grid).toContainText('Нічого не знайдено');
+
+    await portfolio.selectTag('HTML');
+    await expect(portfolio.cards).toHaveCount(1);
+  });
+
+  test('Стан фільтрів синхронізується з адресою сторінки', async ({ page }) => {
+    const portfolio = new PortfolioPage(page);
+
+    await portfolio.selectTag('JavaScript');
+    await portfolio.setFilterMode('and');
+    await portfolio.selectTag('UI');
+    await expect(page).toHaveURL(/tag=JavaScript&tag=UI/);
+    await expect(page).toHaveURL(/mode=and/);
+
+    await page.reload();
+    await expect(portfolio.cards).toHaveCount(1);
+
+    await page.goBack();
+    await expect(portfolio.cards).toHaveCount(3);
+  });
+
+  test('Модалка проєкту має власне посилання та закривається кнопкою "Назад"', async ({ page }) => {
+    const portfolio = new PortfolioPage(page);
+
+    await portfolio.openProject('todo');
+    await expect(portfolio.modal).toHaveClass(/modal--open/);
+    await expect(page).toHaveURL(/#project=todo$/);
+
+    await page.goBack();
+    await expect(portfolio.modal).toHaveAttribute('aria-hidden', 'true');
+    await expect(page).not.toHaveURL(/#project=/);
+  });
+
+  test('Посилання на проєкт відкриває модалку після завантаження', async ({ page }) => {
+    const portfolio = new PortfolioPage(page);
+
+    await portfolio.goto('/pr3/index.html#project=cv');
+    await expect(portfolio.modalTitle).toHaveText('Онлайн CV');
+
+    await portfolio.goto('/pr3/index.html?project=unknown');
+    await expect(portfolio.modalTitle).toHaveText('Нічого не знайдено');
+  });
+
+  test('Фокус не виходить за межі модалки, а фон стає неактивним', async ({ page }) => {
+    const portfolio = new PortfolioPage(page);
+
+    await portfolio.openProject('todo');
+    await expect(page.locator('.modal__close')).toBeFocused();
+    await expect(page.locator('main')).toHaveAttribute('inert', '');
+    await expect(portfolio.modal).toHaveAttribute('aria-describedby', 'modalDesc');
+
+    for (let i = 0; i < 4; i += 1) {
+      await page.keyboard.press('Tab');
+      await expect(portfolio.modal.locator(':focus')).toHaveCount(1);
+    }
+
+    await page.keyboard.press('Shift+Tab');
+    await expect(portfolio.modal.locator(':focus')).toHaveCount(1);
+
+    await page.keyboard.press('Escape');
+    await expect(portfolio.modal).toHaveAttribute('aria-hidden', 'true');
+    await expect(page.locator('main')).not.toHaveAttribute('inert', '');
+    await expect(portfolio.grid.locator('[data-project-id="todo"] [data-action="open"]')).toBeFocused();
+  });
+
+  test('Навігація між проєктами в модалці враховує фільтр', async ({ page }) => {
+    const portfolio = new PortfolioPage(page);
+
+    await portfolio.selectTag('JavaScript');
+    await portfolio.openProject('todo');
+    await expect(portfolio.modalTitle).toHaveText('Todo List');
+    await expect(page.locator('#modalPosition')).toHaveText('1 з 3');
+
+    await page.keyboard.press('ArrowRight');
+    await expect(portfolio.modalTitle).toHaveText('Міні-галерея фото');
+    await expect(page).toHaveURL(/#project=gallery$/);
+
+    await portfolio.modal.locator('[data-action="next"]').click();
+    await expect(portfolio.modalTitle).toHaveText('Нотатки навчального курсу');
+    await expect(portfolio.modal.locator('[data-action="next"]')).toBeDisabled();
+
+    await page.keyboard.press('ArrowLeft');
+    await expect(portfolio.modalTitle).toHaveText('Міні-галерея фото');
+  });
+
+  test('Лічильник результатів використовує форми множини мови', async ({ page }) => {
+    const portfolio = new PortfolioPage(page);
+
+    await expect(portfolio.resultCount).toHaveText('Знайдено 5 проєктів з 5');
+
+    await portfolio.selectTag('JavaScript');
+    await expect(portfolio.resultCount).toHaveText('Знайдено 3 проєкти з 5');
+
+    await portfolio.setLanguage('en');
+    await expect(portfolio.resultCount).toHaveText('Found 3 projects of 5');
+
+    await portfolio.search('gallery');
+    await expect(portfolio.resultCount).toHaveText('Found 1 project of 5');
+  });
+
+  test('Режим i18n-debug позначає елементи з відсутнім ключем', async ({ page }) => {
+    const portfolio = new PortfolioPage(page);
+
+    await page.route('**/assets/data/en.json', async (route) => {
+      const response = await route.fetch();
+      const data = await response.json();
+      delete data.nav.contacts;
+      await route.fulfill({ response, json: data });
+    });
+
+    await portfolio.goto('/pr3/index.html?i18n-debug');
+    await expect(page.locator('.i18n-missing')).toHaveCount(0);
+
+    await portfolio.setLanguage('en');
+    const missing = page.locator('.main-nav [data-i18n="nav.contacts"]');
+    await expect(missing).toHaveClass(/i18n-missing/);
+    await expect(missing).toHaveText('Контакти');
+  });
+
+});
+
+test.describe('Практична робота №3: тема', () => {
+
+  test.use({ locale: 'uk-UA', colorScheme: 'dark' });
+
+  test('Системний режим слідує за налаштуваннями ОС наживо', async ({ page }) => {
+    const portfolio = new PortfolioPage(page);
+    await portfolio.goto();
+
+    const toggle = page.locator('#themeToggle');
+    await expect(page.locator('body')).toHaveClass(/dark/);
+    await expect(toggle).toHaveAttribute('data-theme-mode', 'system');
+    await expect(toggle).toHaveAttribute('aria-label', 'Тема — як у системі');
+
+    await page.emulateMedia({ colorScheme: 'light' });
+    await expect(page.locator('body')).not.toHaveClass(/dark/);
+  });
+
+  test('Перемикач циклічно змінює світлу, темну та системну тему', async ({ page }) => {
+    const portfolio = new PortfolioPage(page);
+    await portfolio.goto();
+
+    const toggle = page.locator('#themeToggle');
+    await toggle.click();
+    await expect(toggle).toHaveAttribute('data-theme-mode', 'light');
+    await expect(page.locator('body')).not.toHaveClass(/dark/);
+
+    await toggle.click();
+    await expect(toggle).toHaveAttribute('data-theme-mode', 'dark');
+    await page.emulateMedia({ colorScheme: 'light' });
+    await expect(page.locator('body')).toHaveClass(/dark/);
+
+    await toggle.click();
+    await expect(toggle).toHaveAttribute('data-theme-mode', 'system');
+    await expect(page.locator('body')).not.toHaveClass(/dark/);
+  });
+
+  test('Без доступу до localStorage тема, переклади і проєкти працюють', async ({ page }) => {
+    // Так поводиться браузер із забороненим сховищем: навіть звернення до window.localStorage кидає помилку.
+    await page.addInitScript(() => {
+      Object.defineProperty(window, 'localStorage', {
+        get() {
+          throw new DOMException('Storage disabled', 'SecurityError');
+        }
+      });
+    });
+    const portfolio = new PortfolioPage(page);
+    await portfolio.goto();
+
+    await expect(page.locator('body')).toHaveClass(/dark/);
+    await expect(portfolio.cards).toHaveCount(5);
+
+    const toggle = page.locator('#themeToggle');
+    await toggle.click();
+    await expect(toggle).toHaveAttribute('data-theme-mode', 'light');
+    await expect(toggle).toHaveAttribute('aria-label', 'Тема — світла');
+
+    await portfolio.setLanguage('en');
+    await expect(page.locator('#about h2')).toHaveText('About Me');
+  });
+
+});
+
+test.describe('Практична робота №3: вибір мови', () => {
+
+  test.use({ locale: 'en-GB' });
+
+  test('Мова браузера з регіоном зводиться до підтримуваної', async ({ page }) => {
+    const portfolio = new PortfolioPage(page);
+    await portfolio.goto();
+
+    await expect(page.locator('html')).toHaveAttribute('lang', 'en');
+    await expect(page.locator('.lang-switch button[data-lang]')).toHaveText(['UA', 'EN']);
+    await expect(page.locator('button[data-lang="en"]')).toHaveAttribute('aria-pressed', 'true');
+  });
+
+  test('Параметр ?lang= має пріоритет над мовою браузера', async ({ page }) => {
+    const portfolio = new PortfolioPage(page);
+    await portfolio.goto('/pr3/index.html?lang=uk');
+
+    await expect(page.locator('html')).toHaveAttribute('lang', 'uk');
+    await expect(portfolio.resultCount).toHaveText('Знайдено 5 проєктів з 5');
+  });
+
+});
+
+test.describe('Практична робота №3: недоступні переклади', () => {
+
+  // Запити service worker-а не проходять через page.route, тому в цьому тесті він вимкнений.
+  test.use({ locale: 'en-GB', serviceWorkers: 'block' });
+
+  test('Якщо не завантажилась жодна мова, сторінка працює з текстом із HTML', async ({ page }) => {
+    await page.route(/\/assets\/data\/(uk|en)\.json$/, (route) => route.abort());
+    const portfolio = new PortfolioPage(page);
+    await portfolio.goto();
+
+    await expect(page.locator('html')).toHaveAttribute('lang', 'uk');
+    await expect(page.locator('button[data-lang="uk"]')).toHaveAttribute('aria-pressed', 'true');
+    // Решта застосунку (проєкти, форма, service worker) запускається після i18n, тож картки мають з'явитися.
+    await expect(portfolio.cards.first()).toBeVisible();
+  });
+
+});
+
+test.describe('Практична робота №3: офлайн-режим', () => {
+
+  test.use({ locale: 'uk-UA' });
+
+  test('Після першого візиту сайт відкривається без мережі', async ({ page, context }) => {
+    const portfolio = new PortfolioPage(page);
+    await portfolio.goto();
+
+    // Чекаємо, доки service worker встановиться, і перезавантажуємо, щоб він почав обслуговувати сторінку.
+    await page.evaluate(async () => {
+      await navigator.serviceWorker.ready;
+    });
+    await page.reload();
+    await expect.poll(() => page.evaluate(() => Boolean(navigator.serviceWorker.controller))).toBe(true);
+
+    await context.setOffline(true);
+
+    await page.reload();
+    await expect(portfolio.cards).toHaveCount(5);
+    await expect(portfolio.resultCount).toHaveText('Знайдено 5 проєктів з 5');
+
+    await page.goto('/pr3/pages/missing.html');
+    await expect(page.locator('h1')).toHaveText("Немає з'єднання з мережею");
+    // Відносні посилання офлайн-сторінки ведуть у корінь pr3, а не в pages/
+    await page.locator('a[href="index.html"]').click();
+    await expect(page).toHaveURL(/\/pr3\/index\.html$/);
+    await expect(portfolio.cards).toHaveCount(5);
+
+    // Статичні мовні версії теж у precache, хоч їх ще не відкривали.
+    await page.goto('/pr3/pages/contacts.en.html');
+    await expect(page.locator('html')).toHaveAttribute('lang', 'en');
+    await expect(page.locator('h1')).toHaveText('Contacts');
+
+    await context.setOffline(false);
+  });
+
+});
+
+test.describe('Практична робота №3: джерело даних проєктів', () => {
+
+  test.use({ locale: 'uk-UA' });
+
+  const STUB_URL = 'http://127.0.0.1:8081/projects.json';
+
+  test('Некоректні елементи пропускаються з попередженням у консолі', async ({ page }) => {
+    const warnings: string[] = [];
+    page.on('console', (message) => {
+      if (message.type() === 'warning') warnings.push(message.text());
+    });
+
+    const portfolio = new PortfolioPage(page);
+    await portfolio.gotoWithProjectsSource(`${STUB_URL}?mode=invalid`);
+
+    await expect(portfolio.cards).toHaveCount(5);
+    await expect(portfolio.resultCount).toHaveText('Знайдено 5 проєктів з 5');
+    await expect(portfolio.grid.locator('[data-project-id="unsafe-image"]')).toHaveCount(0);
+    expect(warnings.some((text) => text.includes('[projects] Skipping invalid project'))).toBe(true);
+  });
+
+  test('Під час завантаження показуються заглушки, а сітка позначена aria-busy', async ({ page }) => {
+    const portfolio = new PortfolioPage(page);
+    await portfolio.gotoWithProjectsSource(`${STUB_URL}?delay=1500`);
+
+    await expect(portfolio.skeletons).toHaveCount(3);
+    await expect(portfolio.grid).toHaveAttribute('aria-busy', 'true');
+    await expect(portfolio.resultCount).toHaveText('Завантаження проєктів…');
+
+    await expect(portfolio.cards).toHaveCount(5);
+    await expect(portfolio.skeletons).toHaveCount(0);
+    await expect(portfolio.grid).toHaveAttribute('aria-busy', 'false');
+  });
+
+  test('Помилка сервера показує повідомлення, а "Спробувати ще раз" завантажує дані', async ({ page }) => {
+    const portfolio = new PortfolioPage(page);
+    await portfolio.gotoWithProjectsSource(`${STUB_URL}?failures=1&key=retry-${Date.now()}`);
+
+    await expect(portfolio.errorState).toBeVisible();
+    await expect(portfolio.errorState).toContainText('Не вдалося завантажити проєкти');
+    await expect(portfolio.cards).toHaveCount(0);
+
+    await portfolio.retryButton.click();
+    await expect(portfolio.cards).toHaveCount(5);
+    await expect(portfolio.errorState).toHaveCount(0);
+  });
+
+  test('Відповідь, що не є JSON, теж показує стан помилки', async ({ page }) => {
+    const portfolio = new PortfolioPage(page);
+    await portfolio.gotoWithProjectsSource(`${STUB_URL}?mode=malformed`);
+
+    await expect(portfolio.errorState).toBeVisible();
+    await expect(portfolio.retryButton).toHaveText('Спробувати ще раз');
+  });
+
+});
+
+test.describe('Практична робота №3: сортування і сторінки', () => {
+
+  test.use({ locale: 'uk-UA' });
+
+  test('Сортування за датою та назвою з урахуванням мови і адреси', async ({ page }) => {
+    const portfolio = new PortfolioPage(page);
+    await portfolio.goto();
+
+    await portfolio.sortBy('newest');
+    await expect(page).toHaveURL(/sort=newest/);
+    await expect.poll(() => portfolio.cardIds()).toEqual(['gallery', 'notes', 'todo', 'cv', 'events']);
+
+    await portfolio.setLanguage('en');
+    await portfolio.sortBy('title');
+    await expect(portfolio.cards.locator('h3')).toHaveText([
+      'Course Notes',
+      'Mini Photo Gallery',
+      'Online CV',
+      'Student Events Poster Site',
+      'Todo List',
+    ]);
+
+    await page.reload();
+    await expect(portfolio.sortSelect).toHaveValue('title');
+    await expect(portfolio.cards).toHaveCount(5);
+  });
+
+  test('Усі проєкти портфоліо вміщуються на першу сторінку', async ({ page }) => {
+    const portfolio = new PortfolioPage(page);
+    await portfolio.goto();
+
+    await expect(portfolio.cards).toHaveCount(5);
+    await expect(portfolio.loadMoreButton).toBeHidden();
+  });
+
+  test('Кнопка "Показати ще" додає наступну сторінку і переносить фокус', async ({ page }) => {
+    const portfolio = new PortfolioPage(page);
+    await portfolio.gotoWithProjectsSource('http://127.0.0.1:8081/projects.json?mode=many&count=8');
+
+    await expect(portfolio.cards).toHaveCount(6);
+    await expect(portfolio.resultCount).toHaveText('Показано 6 з 8 знайдених проєктів');
+    await expect(portfolio.loadMoreButton).toBeVisible();
+
+    await portfolio.loadMoreButton.click();
+    await expect(portfolio.cards).toHaveCount(8);
+    await expect(portfolio.resultCount).toHaveText('Знайдено 8 проєктів з 8');
+    await expect(portfolio.loadMoreButton).toBeHidden();
+    await expect(portfolio.grid.locator('[data-project-id="generated-7"] [data-action="open"]')).toBeFocused();
+
+    // Новий фільтр починає список з першої сторінки.
+    await portfolio.search('Проєкт 1');
+    await portfolio.search('');
+    await expect(portfolio.cards).toHaveCount(6);
+  });
+
+  test('Після першого "Показати ще" сторінки підвантажуються під час прокрутки', async ({ page }) => {
+    const portfolio = new PortfolioPage(page);
+    await portfolio.gotoWithProjectsSource('http://127.0.0.1:8081/projects.json?mode=many&count=20');
+
+    await expect(portfolio.resultCount).toHaveText('Показано 6 з 20 знайдених проєктів');
+    await portfolio.sentinel.scrollIntoViewIfNeeded();
+    // До першого натискання кнопки автоматичне завантаження вимкнене. Власний IntersectionObserver отримує
+    // сповіщення в тому ж кроці, що й створений раніше observer віджета, тож після нього сторінка вже додалася б.
+    await portfolio.sentinel.evaluate((sentinel) => new Promise<void>((resolve) => {
+      const observer = new IntersectionObserver((entries) => {
+        if (!entries.some((entry) => entry.isIntersecting)) return;
+        observer.disconnect();
+        resolve();
+      });
+      observer.observe(sentinel);
+    }));
+    await expect(portfolio.cards).toHaveCount(6);
+
+    await portfolio.loadMoreButton.click();
+    await expect(portfolio.grid.locator('[data-project-id="generated-7"] [data-action="open"]')).toBeFocused();
+
+    // Далі кожна прокрутка до кінця списку додає сторінку, доки не покажуться всі картки.
+    await expect.poll(async () => {
+      await portfolio.sentinel.scrollIntoViewIfNeeded();
+      return portfolio.cards.count();
+    }).toBe(20);
+    await expect(portfolio.resultCount).toHaveText('Знайдено 20 проєктів з 20');
+    await expect(portfolio.loadMoreButton).toBeHidden();
+  });
+
+});
+
+test.describe('Практична робота №3: оновлення карток', () => {
+
+  test.use({ locale: 'uk-UA' });
+
+  test('Фільтр і зміна мови оновлюють наявні картки, а не створюють нові', async ({ page }) => {
+    const portfolio = new PortfolioPage(page);
+    await portfolio.goto();
+
+    const todoImage = portfolio.grid.locator('[data-project-id="todo"] img');
+    await todoImage.evaluate((img) => {
+      (img as HTMLImageElement & { keptNode?: boolean }).keptNode = true;
+    });
+
+    await portfolio.selectTag('JavaScript');
+    await expect.poll(() => portfolio.cardIds()).toEqual(['todo', 'gallery', 'notes']);
+
+    await portfolio.setLanguage('en');
+    await expect(portfolio.grid.locator('[data-project-id="gallery"] h3')).toHaveText('Mini Photo Gallery');
+    await expect(portfolio.grid.locator('[data-project-id="todo"] p')).toHaveText(/^A mini app for task management/);
+    expect(await todoImage.evaluate((img) => (img as HTMLImageElement & { keptNode?: boolean }).keptNode)).toBe(true);
+  });
+
+  test('Зі зменшеною анімацією картки змінюються без FLIP-переходів', async ({ page }) => {
+    await page.emulateMedia({ reducedMotion: 'reduce' });
+    const portfolio = new PortfolioPage(page);
+    await portfolio.goto();
+
+    await portfolio.selectTag('JavaScript');
+    expect(await portfolio.grid.locator('.project-card--leave').count()).toBe(0);
+    await expect(portfolio.cards).toHaveCount(3);
+    await expect(portfolio.grid.locator('.project-card--enter')).toHaveCount(0);
+    await expect(portfolio.grid.locator('.project-card[style*="transform"]')).toHaveCount(0);
+  });
+
+});
+
+test.describe('Практична робота №3: зображення проєктів', () => {
+
+  // Запити service worker-а не проходять через page.route, тому в цих тестах він вимкнений.
+  test.use({ locale: 'uk-UA', serviceWorkers: 'block' });
+
+  // Невелике SVG замість справжніх фото: тести не залежать від зовнішнього сервісу.
+  const STUB_IMAGE = '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="6"><rect width="10" height="6" fill="#888"/></svg>';
+
+  test('Картки використовують lazy, srcset і проявляють зображення після завантаження', async ({ page }) => {
+    await page.route('https://images.unsplash.com/**', (route) => route.fulfill({ contentType: 'image/svg+xml', body: STUB_IMAGE }));
+    const portfolio = new PortfolioPage(page);
+    await portfolio.goto();
+
+    const image = portfolio.grid.locator('[data-project-id="events"] img');
+    await expect(image).toHaveAttribute('loading', 'lazy');
+    await expect(image).toHaveAttribute('srcset', /w=480 480w/);
+    await expect(image).toHaveAttribute('sizes', /320px$/);
+    await expect(image).toHaveAttribute('alt', 'Проєкт: Сайт-афіша студентських подій');
+    await expect(portfolio.grid.locator('[data-project-id="events"] .responsive-image')).toHaveClass(/responsive-image--loaded/);
+  });
+
+  test('Якщо зображення не завантажилось, показується перекладена заглушка', async ({ page }) => {
+    await page.route('https://images.unsplash.com/**', (route) => route.abort());
+    const portfolio = new PortfolioPage(page);
+    await portfolio.goto();
+
+    const media = portfolio.grid.locator('[data-project-id="events"] .responsive-image');
+    await expect(media).toHaveClass(/responsive-image--error/);
+    await expect(media.locator('.responsive-image__fallback')).toHaveText('Зображення недоступне');
+
+    // Після зміни мови стан помилки зберігається, а текст заглушки перекладається.
+    await portfolio.setLanguage('en');
+    await expect(media.locator('.responsive-image__fallback')).toHaveText('Image unavailable');
+    await expect(media).toHaveClass(/responsive-image--error/);
+  });
+
+  test('Модалка показує більше зображення проєкту', async ({ page }) => {
+    await page.route('https://images.unsplash.com/**', (route) => route.fulfill({ contentType: 'image/svg+xml', body: STUB_IMAGE }));
+    const portfolio = new PortfolioPage(page);
+    await portfolio.goto();
+
+    await portfolio.openProject('todo');
+    const image = portfolio.modal.locator('#modalMedia img');
+    await expect(image).toHaveClass('modal__image');
+    await expect(image).toHaveAttribute('loading', 'eager');
+    await expect(image).toHaveAttribute('srcset', /w=1280 1280w/);
+    await expect(portfolio.modal.locator('#modalMedia .responsive-image')).toHaveClass(/responsive-image--loaded/);
+
+    await portfolio.goto('/pr3/index.html?project=unknown');
+    await expect(portfolio.modal.locator('#modalMedia')).toBeHidden();
+  });
+
+});
+
+test.describe('Практична робота №3: обране', () => {
+
+  test.use({ locale: 'uk-UA' });
+
+  test.beforeEach(async ({ page }) => {
+    const portfolio = new PortfolioPage(page);
+    await portfolio.goto();
+  });
+
+  test('Перемикач у картці додає проєкт до обраного і псевдотегу', async ({ page }) => {
+    const portfolio = new PortfolioPage(page);
+
+    await expect(portfolio.favoritesTag).toHaveText('Обране (0)');
+    await portfolio.favoriteButton('todo').click();
+
+    await expect(portfolio.favoriteButton('todo')).toHaveAttribute('aria-pressed', 'true');
+    await expect(portfolio.favoriteButton('todo')).toBeFocused();
+    await expect(portfolio.favoritesTag).toHaveText('Обране (1)');
+    expect(await page.evaluate(() => window.localStorage.getItem('favorites'))).toBe('["todo"]');
+
+    await portfolio.selectTag('favorites');
+    await expect(portfolio.cards).toHaveCount(1);
+    await expect(page).toHaveURL(/tag=favorites/);
+    expect(await portfolio.cardIds()).toEqual(['todo']);
+  });
+
+  test('Обране зберігається після зміни мови', async ({ page }) => {
+    const portfolio = new PortfolioPage(page);
+
+    await portfolio.favoriteButton('cv').click();
+    await portfolio.selectTag('favorites');
+    await portfolio.setLanguage('en');
+
+    await expect(portfolio.favoritesTag).toHaveText('Favorites (1)');
+    await expect(portfolio.favoritesTag).toHaveAttribute('aria-pressed', 'true');
+    expect(await portfolio.cardIds()).toEqual(['cv']);
+    await expect(portfolio.favoriteButton('cv')).toHaveAttribute('aria-label', 'Favorite: Online CV');
+  });
+
+  test('Кнопка в модалці синхронізована з карткою', async ({ page }) => {
+    const portfolio = new PortfolioPage(page);
+
+    await portfolio.openProject('events');
+    await expect(portfolio.modalFavorite).toHaveAttribute('aria-pressed', 'false');
+    await portfolio.modalFavorite.click();
+
+    await expect(portfolio.modalFavorite).toHaveAttribute('aria-pressed', 'true');
+    await expect(portfolio.favoriteButton('events')).toHaveAttribute('aria-pressed', 'true');
+    await expect(portfolio.favoritesTag).toHaveText('Обране (1)');
+
+    // Для невідомого проєкту кнопки обраного немає.
+    await portfolio.goto('/pr3/index.html#project=unknown');
+    await expect(portfolio.modal).toHaveClass(/modal--open/);
+    await expect(portfolio.modalFavorite).toBeHidden();
+  });
+
+  test('Якщо сховище не приймає запис, зірочки все одно оновлюються', async ({ page }) => {
+    await page.addInitScript(() => {
+      const { setItem } = Storage.prototype;
+      Storage.prototype.setItem = function (key: string, value: string) {
+        if (key === 'favorites') throw new DOMException('Quota exceeded', 'QuotaExceededError');
+        setItem.call(this, key, value);
+      };
+    });
+    const portfolio = new PortfolioPage(page);
+    await page.reload();
+
+    await portfolio.openProject('events');
+    await portfolio.modalFavorite.click();
+
+    await expect(portfolio.modalFavorite).toHaveAttribute('aria-pressed', 'true');
+    await expect(portfolio.favoriteButton('events')).toHaveAttribute('aria-pressed', 'true');
+    await expect(portfolio.favoritesTag).toHaveText('Обране (1)');
+    expect(await page.evaluate(() => window.localStorage.getItem('favorites'))).toBeNull();
+  });
+
+  test('Обране експортується та імпортується файлом JSON', async ({ page }) => {
+    const portfolio = new PortfolioPage(page);
+
+    await portfolio.favoriteButton('todo').click();
+    const download = page.waitForEvent('download');
+    await portfolio.exportFavoritesButton.click();
+    expect((await download).suggestedFilename()).toBe('favorites.json');
+    await expect(portfolio.favoritesStatus).toHaveText('Експортовано 1 проєкт');
+
+    await portfolio.importFavorites(JSON.stringify({ version: 1, favorites: ['todo', 'cv', 'events'] }));
+    await expect(portfolio.favoritesStatus).toHaveText('Додано 2 проєкти до обраного');
+    await expect(portfolio.favoritesTag).toHaveText('Обране (3)');
+    await expect(portfolio.favoriteButton('cv')).toHaveAttribute('aria-pressed', 'true');
+
+    await portfolio.importFavorites('{ "favorites": ', 'broken.json');
+    await expect(portfolio.favoritesStatus).toHaveText('Не вдалося прочитати файл обраного. Потрібен JSON зі списком id проєктів.');
+    await expect(portfolio.favoritesTag).toHaveText('Обране (3)');
+  });
+
+});
+
+test.describe('Практична робота №3: переходи між сторінками', () => {
+
+  // Запити service worker-а не проходять через page.route, тому в цих тестах він вимкнений.
+  test.use({ locale: 'uk-UA', serviceWorkers: 'block' });
+
+  const contactsLink = (page: Page) => page.locator('.main-nav a[href="pages/contacts.html"]');
+
+  async function disableViewTransitions(page: Page): Promise<void> {
+    // Імітуємо браузер без переходів між документами — віджет має перейти на класи.
+    await page.addInitScript(() => {
+      delete (window as { CSSViewTransitionRule?: unknown }).CSSViewTransitionRule;
+    });
+  }
+
+  async function delayResponse(page: Page, url: string | RegExp): Promise<void> {
+    // Поки наступна сторінка "вантажиться", можна перевірити стан поточної.
+    await page.route(url, async (route) => {
+      await new Promise((resolve) => setTimeout(resolve, 800));
+      await route.continue();
+    });
+  }
+
+  test('З View Transitions перехід не затримується і не використовує класи', async ({ page }) => {
+    const portfolio = new PortfolioPage(page);
+    await portfolio.goto();
+
+    expect(await page.evaluate(() => 'CSSViewTransitionRule' in window)).toBe(true);
+    await expect(page.locator('body')).not.toHaveClass(/page-transition-ready/);
+    // Тривалості для переходу між документами беруться з CSS, а не з інлайн-стилів, заданих скриптом.
+    await expect(page.locator('html')).not.toHaveAttribute('style', /--page-leave-duration/);
+    expect(await page.evaluate(() => getComputedStyle(document.documentElement).getPropertyValue('--page-leave-duration'))).toBe('160ms');
+
+    await contactsLink(page).click();
+    await expect(page).toHaveURL(/\/pr3\/pages\/contacts\.html$/);
+    await expect(page.locator('body')).not.toHaveClass(/page-leave/);
+  });
+
+  test('Без View Transitions сторінка згасає, поки вантажиться наступна', async ({ page }) => {
+    await disableViewTransitions(page);
+    const portfolio = new PortfolioPage(page);
+    await portfolio.goto();
+    await expect(page.locator('body')).toHaveClass(/page-transition-ready/);
+    await expect(page.locator('html')).toHaveAttribute('style', /--page-leave-duration: 160ms/);
+
+    await delayResponse(page, /\/pr3\/pages\/contacts\.html$/);
+    await contactsLink(page).click();
+
+    await expect(page.locator('body')).toHaveClass(/page-leave/);
+    await expect(page).toHaveURL(/\/pr3\/pages\/contacts\.html$/);
+  });
+
+  test('Посилання з data-no-transition відкривається без анімації', async ({ page }) => {
+    await disableViewTransitions(page);
+    const portfolio = new PortfolioPage(page);
+    await portfolio.goto();
+
+    const homeLink = page.locator('.hero a[href="../index.html"]');
+    await expect(homeLink).toHaveAttribute('data-no-transition', '');
+    await delayResponse(page, 'http://127.0.0.1:8080/index.html');
+    await homeLink.click();
+
+    await expect(page.locator('body')).not.toHaveClass(/page-leave/);
+    await expect(page).toHaveURL('http://127.0.0.1:8080/index.html');
+  });
+
+  test('Наступна сторінка попередньо завантажується при наведенні та фокусі', async ({ page }) => {
+    // Prefetch починається після короткої затримки (prefetchDelayMs); керований годинник дозволяє дочекатися її без паузи.
+    await page.clock.install();
+    const portfolio = new PortfolioPage(page);
+    await portfolio.goto();
+    const prefetchHints = page.locator('head link[rel="prefetch"]');
+
+    const prefetchRequest = page.waitForRequest((req) => req.url().endsWith('/pr3/pages/contacts.html'));
+    await contactsLink(page).hover();
+    await page.clock.runFor(100);
+    await prefetchRequest;
+    await expect(prefetchHints).toHaveCount(1);
+    await expect(prefetchHints).toHaveAttribute('href', /\/pr3\/pages\/contacts\.html$/);
+
+    // Та сама сторінка через інше посилання повторно не завантажується.
+    await page.locator('footer a[href="pages/contacts.html"]').focus();
+    await page.clock.runFor(100);
+    await expect(prefetchHints).toHaveCount(1);
+  });
+
+  test('При зменшеному русі анімацій переходу немає', async ({ page }) => {
+    await disableViewTransitions(page);
+    await page.emulateMedia({ reducedMotion: 'reduce' });
+    const portfolio = new PortfolioPage(page);
+    await portfolio.goto();
+
+    await contactsLink(page).click();
+    await expect(page).toHaveURL(/\/pr3\/pages\/contacts\.html$/);
+    await expect(page.locator('body')).not.toHaveClass(/page-transition-ready|page-enter/);
+  });
+
+});
+
+test.describe('Практична робота №3: гарячі клавіші', () => {
+
+  test.use({ locale: 'uk-UA', serviceWorkers: 'block' });
+
+  test.beforeEach(async ({ page }) => {
+    const portfolio = new PortfolioPage(page);
+    await portfolio.goto();
+  });
+
+  test('"/" переводить фокус у пошук, а в полі введення клавіші не перехоплюються', async ({ page }) => {
+    const portfolio = new PortfolioPage(page);
+    const toggle = page.locator('#themeToggle');
+
+    await page.keyboard.press('/');
+    await expect(portfolio.searchInput).toBeFocused();
+
+    await page.keyboard.type('tl');
+    await expect(portfolio.searchInput).toHaveValue('tl');
+    await expect(toggle).toHaveAttribute('data-theme-mode', 'system');
+    await expect(page.locator('html')).toHaveAttribute('lang', 'uk');
+  });
+
+  test('"T" змінює тему, "L" — мову', async ({ page }) => {
+    const toggle = page.locator('#themeToggle');
+
+    await page.keyboard.press('t');
+    await expect(toggle).toHaveAttribute('data-theme-mode', 'light');
+
+    await page.keyboard.press('l');
+    await expect(page.locator('html')).toHaveAttribute('lang', 'en');
+    await expect(page.locator('button[data-lang="en"]')).toHaveAttribute('aria-pressed', 'true');
+  });
+
+  test('"?" відкриває шпаргалку поточною мовою', async ({ page }) => {
+    const portfolio = new PortfolioPage(page);
+
+    await page.keyboard.press('?');
+    await expect(portfolio.shortcutsDialog).toHaveClass(/modal--open/);
+    await expect(portfolio.shortcutsDialog.locator('#shortcutsTitle')).toHaveText('Гарячі клавіші');
+
+    // Поки вікно відкрите, одиночні клавіші не діють на сторінку під ним.
+    await page.keyboard.press('t');
+    await expect(page.locator('#themeToggle')).toHaveAttribute('data-theme-mode', 'system');
+
+    await page.keyboard.press('Escape');
+    await expect(portfolio.shortcutsDialog).toHaveAttribute('aria-hidden', 'true');
+  });
+
+  test('Палітра знаходить проєкт за неточним запитом і відкриває модалку', async ({ page }) => {
+    const portfolio = new PortfolioPage(page);
+
+    await page.keyboard.press('Control+K');
+    await expect(portfolio.commandPalette).toHaveClass(/modal--open/);
+    await expect(portfolio.commandInput).toBeFocused();
+
+    await portfolio.commandInput.fill('глр');
+    await expect(portfolio.commandOptions.first()).toContainText('Міні-галерея фото');
+    await expect(portfolio.commandOptions.first()).toHaveAttribute('aria-selected', 'true');
+    await expect(portfolio.commandOptions.first().locator('mark.search-highlight')).toHaveText(['г', 'л', 'р']);
+
+    await page.keyboard.press('Enter');
+    await expect(portfolio.commandPalette).toHaveAttribute('aria-hidden', 'true');
+    await expect(portfolio.modal).toHaveClass(/modal--open/);
+    await expect(portfolio.modalTitle).toHaveText('Міні-галерея фото');
+  });
+
+  test('Стрілки змінюють активну команду, а дії знаходяться і англійською', async ({ page }) => {
+    const portfolio = new PortfolioPage(page);
+
+    await page.keyboard.press('Control+K');
+    await portfolio.commandInput.fill('theme');
+    await expect(portfolio.commandOptions).toHaveCount(1);
+    await expect(portfolio.commandOptions.first()).toContainText('Змінити тему');
+
+    await portfolio.commandInput.fill('');
+    await page.keyboard.press('ArrowUp');
+    // Список циклічний: з першого пункту стрілка вгору веде на останній.
+    await expect(portfolio.commandOptions.last()).toHaveAttribute('aria-selected', 'true');
+    await expect(portfolio.commandInput).toHaveAttribute(
+      'aria-activedescendant',
+      (await portfolio.commandOptions.last().getAttribute('id')) ?? ''
+    );
+
+    await portfolio.commandInput.fill('english');
+    await page.keyboard.press('Enter');
+    await expect(page.locator('html')).toHaveAttribute('lang', 'en');
+  });
+
+  test('Escape закриває лише палітру, відкриту поверх модалки', async ({ page }) => {
+    const portfolio = new PortfolioPage(page);
+
+    await portfolio.openProject('todo');
+    await expect(portfolio.modal).toHaveClass(/modal--open/);
+
+    await page.keyboard.press('Control+K');
+    await expect(portfolio.commandPalette).toHaveClass(/modal--open/);
+
+    await page.keyboard.press('Escape');
+    await expect(portfolio.commandPalette).toHaveAttribute('aria-hidden', 'true');
+    await expect(portfolio.modal).toHaveClass(/modal--open/);
+    await expect(page).toHaveURL(/#project=todo/);
+  });
+
+  test('Палітра веде на інші сторінки з меню', async ({ page }) => {
+    const portfolio = new PortfolioPage(page);
+
+    await portfolio.runCommand('кнткт');
+    await expect(page).toHaveURL(/\/pr3\/pages\/contacts\.html$/);
+  });
+
+});
+
+// Мовні версії (index.en.html...) створює npm run build:pr3; перед тестами його запускає tests/global-setup.mjs.
+test.describe('Практична робота №3: метадані сторінки', () => {
+
+  test.use({ locale: 'uk-UA', serviceWorkers: 'block' });
+
+  test('Open Graph, hreflang і JSON-LD оновлюються разом із мовою', async ({ page }) => {
+    const portfolio = new PortfolioPage(page);
+    await portfolio.goto();
+
+    const alternates = page.locator('link[rel="alternate"][hreflang]');
+    await expect(alternates).toHaveCount(3);
+    await expect(page.locator('link[hreflang="en"]')).toHaveAttribute('href', /\/pr3\/index\.en\.html$/);
+    await expect(page.locator('link[hreflang="x-default"]')).toHaveAttribute('href', /\/pr3\/index\.html$/);
+    await expect(portfolio.metaContent('og:locale')).toHaveAttribute('content', 'uk_UA');
+
+    await portfolio.setLanguage('en');
+    await expect(portfolio.metaContent('og:title')).toHaveAttribute('content', 'Student Portfolio | Illia');
+    await expect(portfolio.metaContent('twitter:title')).toHaveAttribute('content', 'Student Portfolio | Illia');
+    await expect(portfolio.metaContent('og:locale')).toHaveAttribute('content', 'en_US');
+    await expect(portfolio.metaContent('og:locale:alternate')).toHaveAttribute('content', 'uk_UA');
+    await expect(portfolio.metaContent('og:url')).toHaveAttribute('content', /\/pr3\/index\.en\.html$/);
+    await expect(alternates).toHaveCount(3);
+
+    const graph = await portfolio.structuredData();
+    expect(graph.map((item) => item['@type'])).toEqual(['Person', ...Array(5).fill('CreativeWork')]);
+    expect(graph[0]).toMatchObject({ name: 'Illia', email: 'mailto:illia.student@email.com' });
+    expect(graph.find((item) => item.name === 'Todo List')).toMatchObject({
+      inLanguage: 'en',
+      keywords: 'JavaScript, DOM, Practice',
+      url: expect.stringMatching(/index\.en\.html#project=todo$/)
+    });
+  });
+
+  test('Статична мовна версія зберігає свою мову і змінює адресу при виборі іншої', async ({ page }) => {
+    const portfolio = new PortfolioPage(page);
+    await portfolio.goto('/pr3/index.en.html');
+
+    // Мова браузера українська, але сторінка index.en.html завжди відкривається англійською.
+    await expect(page.locator('html')).toHaveAttribute('lang', 'en');
+    await expect(page.locator('#about h2')).toHaveText('About Me');
+
+    await portfolio.setLanguage('uk');
+    await expect(page).toHaveURL(/\/pr3\/index\.uk\.html$/);
+    await expect(page.locator('#about h2')).toHaveText('Про мене');
+    await expect(portfolio.metaContent('og:url')).toHaveAttribute('content', /\/pr3\/index\.uk\.html$/);
+  });
+
+});
+
+test.describe('Практична робота №3: статичні сторінки без JavaScript', () => {
+
+  // Так сторінку бачать пошукові роботи й соцмережі, які не виконують initApp.
+  test.use({ locale: 'uk-UA', javaScriptEnabled: false });
+
+  test('Англійська версія містить перекладений текст, метадані та список проєктів', async ({ page }) => {
+    await page.goto('/pr3/index.en.html');
+
+    await expect(page).toHaveTitle('Student Portfolio | Illia');
+    await expect(page.locator('html')).toHaveAttribute('lang', 'en');
+    await expect(page.locator('#about h2')).toHaveText('About Me');
+    await expect(page.locator('#projectSearch')).toHaveAttribute('placeholder', 'Title, description or tag');
+    await expect(page.locator('meta[property="og:description"]')).toHaveAttribute('content', /^Student portfolio landing page/);
+    await expect(page.locator('noscript li')).toHaveCount(5);
+    await expect(page.locator('#projects')).toContainText('Course Notes');
+
+    // Посилання між сторінками ведуть на версії тією ж мовою, а сторінка курсу поза pr3 — без змін.
+    await expect(page.locator('.main-nav a[data-i18n="nav.contacts"]')).toHaveAttribute('href', 'pages/contacts.en.html');
+    await expect(page.locator('.hero__cta[data-no-transition]')).toHaveAttribute('href', '../index.html');
+  });
+
+  test('Мовна версія за замовчуванням має превʼю, а оригінал збірка не змінює', async ({ page }) => {
+    // Теги в оригіналі додає лише i18n.js у браузері, тож без JavaScript їх там немає.
+    await page.goto('/pr3/pages/contacts.html');
+    await expect(page.locator('meta[property="og:title"]')).toHaveCount(0);
+
+    await page.goto('/pr3/pages/contacts.uk.html');
+    await expect(page.locator('meta[property="og:title"]')).toHaveAttribute('content', 'Контакти | Ілля');
+    await expect(page.locator('link[hreflang="en"]')).toHaveAttribute('href', /\/pr3\/pages\/contacts\.en\.html$/);
+    const json = await page.locator('script[type="application/ld+json"]').textContent();
+    expect(JSON.parse(json ?? '{}')['@graph']).toEqual([expect.objectContaining({ '@type': 'Person', name: 'Ілля' })]);
+  });
+
+});
+
+test.describe('Практична робота №3: контактна форма', () => {
+
+  // Запити service worker-а не проходять через page.route, тому в цих тестах він вимкнений.
+  test.use({ locale: 'uk-UA', serviceWorkers: 'block' });
+
+  const CONTACT_ENDPOINT = 'http://127.0.0.1:8082/contact';
+  const MESSAGE: ContactMessage = {
+    name: 'Олена',
+    email: 'olena@example.com',
+    topic: 'question',
+    message: 'Привіт! Маю питання щодо проєкту.'
+  };
+
+  test('Порожня форма показує перекладені помилки й фокусує перше поле', async ({ page }) => {
+    const contacts = new ContactsPage(page);
+    await contacts.goto();
+
+    await contacts.submit();
+
+    await expect(contacts.nameInput).toBeFocused();
+    await expect(contacts.nameInput).toHaveAttribute('aria-invalid', 'true');
+    await expect(contacts.nameError).toHaveText('Заповни це поле.');
+    await expect(contacts.topicError).toHaveText('Обери тему повідомлення.');
+
+    await contacts.emailInput.fill('olena@example');
+    await expect(contacts.emailError).toHaveText('Вкажи коректну адресу email, наприклад name@example.com.');
+
+    // Видимі помилки перекладаються разом з рештою сторінки.
+    await contacts.setLanguage('en');
+    await expect(contacts.nameError).toHaveText('Please fill in this field.');
+
+    // Після виправлення помилка зникає одразу, без повторної відправки.
+    await contacts.nameInput.fill('Olena');
+    await expect(contacts.nameError).toBeHidden();
+    await expect(contacts.nameInput).toHaveAttribute('aria-invalid', 'false');
+  });
+
+  test('Лічильник символів і перевірка довжини повідомлення', async ({ page }) => {
+    const contacts = new ContactsPage(page);
+    await contacts.goto();
+
+    await contacts.messageInput.fill('Коротко');
+    await expect(contacts.counter).toHaveText('7 / 1000');
+    await contacts.messageInput.blur();
+    await expect(contacts.messageError).toHaveText('Повідомлення має містити від 10 до 1000 символів.');
+
+    await contacts.messageInput.fill('a'.repeat(950));
+    await expect(contacts.counter).toHaveText('950 / 1000');
+    await expect(contacts.counter).toHaveClass(/form-field__counter--limit/);
+    await expect(contacts.messageError).toBeHidden();
+  });
+
+  test('Чернетка відновлюється після перезавантаження', async ({ page }) => {
+    const contacts = new ContactsPage(page);
+    await contacts.goto();
+
+    await contacts.fill(MESSAGE);
+    await page.reload();
+
+    await expect(contacts.nameInput).toHaveValue(MESSAGE.name);
+    await expect(contacts.emailInput).toHaveValue(MESSAGE.email);
+    await expect(contacts.topicSelect).toHaveValue(MESSAGE.topic);
+    await expect(contacts.messageInput).toHaveValue(MESSAGE.message);
+    await expect(contacts.counter).toHaveText(`${MESSAGE.message.length} / 1000`);
+  });
+
+  test('Форма надсилає повідомлення і очищає чернетку', async ({ page }) => {
+    const contacts = new ContactsPage(page);
+    await contacts.goto(`${CONTACT_ENDPOINT}?delay=300`);
+
+    await contacts.fill(MESSAGE);
+    const request = page.waitForRequest((req) => req.url().startsWith(CONTACT_ENDPOINT) && req.method() === 'POST');
+    await contacts.submit();
+
+    await expect(contacts.form).toHaveAttribute('data-state', 'sending');
+    await expect(contacts.submitButton).toBeDisabled();
+    await expect(contacts.status).toHaveText('Надсилання…');
+    expect((await request).postDataJSON()).toEqual(MESSAGE);
+
+    await expect(contacts.status).toHaveText('Дякую! Повідомлення надіслано.');
+    await expect(contacts.form).toHaveAttribute('data-state', 'success');
+    await expect(contacts.nameInput).toHaveValue('');
+    expect(await page.evaluate(() => window.localStorage.getItem('contactDraft'))).toBeNull();
+  });
+
+  test('Недоступне сховище не заважає заповнити і надіслати форму', async ({ page }) => {
+    // Імітуємо заповнену квоту або приватний режим лише для чернетки, решта сторінки працює як звичайно.
+    await page.addInitScript(() => {
+      const { setItem, removeItem } = Storage.prototype;
+      Storage.prototype.setItem = function (key: string, value: string) {
+        if (key === 'contactDraft') throw new DOMException('Quota exceeded', 'QuotaExceededError');
+        setItem.call(this, key, value);
+      };
+      Storage.prototype.removeItem = function (key: string) {
+        if (key === 'contactDraft') throw new DOMException('Storage disabled', 'SecurityError');
+        removeItem.call(this, key);
+      };
+    });
+    const contacts = new ContactsPage(page);
+    await contacts.goto(CONTACT_ENDPOINT);
+
+    await contacts.fill(MESSAGE);
+    await expect(contacts.counter).toHaveText(`${MESSAGE.message.length} / 1000`);
+    await contacts.submit();
+
+    await expect(contacts.form).toHaveAttribute('data-state', 'success');
+    await expect(contacts.status).toHaveText('Дякую! Повідомлення надіслано.');
+    await expect(contacts.nameInput).toHaveValue('');
+  });
+
+  test('Помилка сервера показує повідомлення і зберігає введені дані', async ({ page }) => {
+    const contacts = new ContactsPage(page);
+    await contacts.goto(`${CONTACT_ENDPOINT}?mode=error`);
+
+    await contacts.fill(MESSAGE);
+    await contacts.submit();
+
+    await expect(contacts.form).toHaveAttribute('data-state', 'error');
+    await expect(contacts.status).toHaveText('Не вдалося надіслати повідомлення. Спробуй ще раз або напиши на email.');
+    await expect(contacts.submitButton).toBeEnabled();
+    await expect(contacts.messageInput).toHaveValue(MESSAGE.message);
+  });
+
+  test('Заповнене поле-пастка імітує успіх без запиту', async ({ page }) => {
+    const contacts = new ContactsPage(page);
+    await contacts.goto(CONTACT_ENDPOINT);
+    let requests = 0;
+    page.on('request', (req) => {
+      if (req.url().startsWith(CONTACT_ENDPOINT)) requests += 1;
+    });
+
+    await contacts.fill(MESSAGE);
+    await contacts.honeypot.fill('https://spam.example', { force: true });
+    await contacts.submit();
+
+    await expect(contacts.status).toHaveText('Дякую! Повідомлення надіслано.');
+    expect(requests).toBe(0);
+  });
+
+});
@@ -0,0 +1,89 @@
+import { test, expect } from '@playwright/test';
+import { SimplePortfolioPage } from './pages/SimplePortfolioPage';
+
+test.describe('Практична робота №3 (спрощена версія)', () => {
+
+  test('Фільтр за тегом оновлює картки та лічильник', async ({ page }) => {
+    const portfolio = new SimplePortfolioPage(page);
+    await portfolio.goto();
+
+    await expect(portfolio.cards).toHaveCount(3);
+    await expect(portfolio.resultCount).toHaveText('3 / 3');
+
+    await portfolio.selectTag('DOM');
+    await expect(portfolio.cards).toHaveCount(1);
+    await expect(portfolio.resultCount).toHaveText('1 / 3');
+    await expect(portfolio.tagList.locator('button[data-tag="DOM"]')).toHaveClass(/active/);
+
+    await portfolio.selectTag('all');
+    await expect(portfolio.cards).toHaveCount(3);
+  });
+
+  test('Модалка відкривається з картки, закривається Escape і повертає фокус', async ({ page }) => {
+    const portfolio = new SimplePortfolioPage(page);
+    await portfolio.goto();
+
+    await portfolio.openProject('Галерея');
+    await expect(portfolio.modal).toHaveClass(/open/);
+    await expect(portfolio.modalTitle).toHaveText('Галерея');
+    await expect(page.locator('.modal__close')).toBeFocused();
+
+    await page.keyboard.press('Escape');
+    await expect(portfolio.modal).not.toHaveClass(/open/);
+    await expect(portfolio.cards.filter({ hasText: 'Галерея' }).locator('button[data-action="open"]')).toBeFocused();
+  });
+
+  test('Зміна мови перекладає картки та відкриту модалку', async ({ page }) => {
+    const portfolio = new SimplePortfolioPage(page);
+    await portfolio.goto();
+
+    await portfolio.openProject('Список справ');
+    await page.keyboard.press('Escape');
+    await portfolio.setLanguage('en');
+
+    await expect(portfolio.cards.first()).toContainText('Portfolio');
+    await expect(portfolio.tagList.locator('button[data-tag="all"]')).toHaveText('All');
+
+    await portfolio.openProject('Todo list');
+    await expect(portfolio.modalTitle).toHaveText('Todo list');
+  });
+
+  test('Тема перемикається між світлою та темною і зберігається', async ({ page }) => {
+    const portfolio = new SimplePortfolioPage(page);
+    await portfolio.goto();
+
+    await expect(page.locator('body')).not.toHaveClass(/dark/);
+    await portfolio.themeToggle.click();
+    await expect(page.locator('body')).toHaveClass(/dark/);
+    expect(await page.evaluate(() => window.localStorage.getItem('theme'))).toBe('dark');
+
+    await portfolio.themeToggle.click();
+    await expect(page.locator('body')).not.toHaveClass(/dark/);
+  });
+
+  test('Віджет спільної бібліотеки знімає обробники після destroy()', async ({ page }) => {
+    const portfolio = new SimplePortfolioPage(page);
+    await portfolio.goto();
+
+    // Окремий екземпляр перемикача теми на власній кнопці: після destroy() кліки більше не діють.
+    const themes = await page.evaluate(async () => {
+      const moduleUrl = '/shared/portfolio-widgets/index.js';
+      const { themeSwitcher } = await import(moduleUrl);
+
+      const button = document.createElement('button');
+      document.body.appendChild(button);
+      const target = document.createElement('div');
+
+      const switcher = themeSwitcher.init({ toggle: button, target, modes: ['light', 'dark'], storageKey: 'widgetTheme' });
+      button.click();
+      const afterClick = switcher.getMode();
+      switcher.destroy();
+      button.click();
+
+      return { afterClick, afterDestroy: switcher.getMode(), isDark: target.classList.contains('dark') };
+    });
+
+    expect(themes).toEqual({ afterClick: 'dark', afterDestroy: 'dark', isDark: true });
+  });
+
+});
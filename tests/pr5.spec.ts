@@ -0,0 +1,64 @@
+import { test, expect } from '@playwright/test';
+import { DogBrowserPage, dogApiBase } from './pages/DogBrowserPage';
+
+// Сторінка працює з локальним Dog API (tests/stubs/dog-api-server.mjs), адреса передається через ?api-base=.
+
+test.describe('Практична робота №5: Зовнішнє API', () => {
+
+  test('Показує стан завантаження і список порід', async ({ page }) => {
+    const dogs = new DogBrowserPage(page, 'pr5');
+    await dogs.goto(dogApiBase('delay=breeds:800'));
+
+    await expect(dogs.status).toHaveText('Завантаження списку порід...');
+    await expect(dogs.breedSelect).toBeDisabled();
+
+    await expect(dogs.status).toHaveText('Список порід завантажено.');
+    await expect(dogs.breedSelect).toBeEnabled();
+    await expect(dogs.breedSelect.locator('option')).toHaveText(['Оберіть породу', 'Akita', 'Beagle', 'Hound', 'Mix', 'Retriever']);
+  });
+
+  test('Без обраної породи просить її обрати', async ({ page }) => {
+    const dogs = new DogBrowserPage(page, 'pr5');
+    await dogs.goto();
+    await expect(dogs.status).toHaveText('Список порід завантажено.');
+
+    await dogs.loadButton.click();
+
+    await expect(dogs.status).toHaveText('Спочатку оберіть породу.');
+  });
+
+  test('Завантажує фото обраної породи', async ({ page }) => {
+    const dogs = new DogBrowserPage(page, 'pr5');
+    await dogs.goto(dogApiBase('delay=akita:800'));
+    await expect(dogs.status).toHaveText('Список порід завантажено.');
+
+    await dogs.showBreed('Akita');
+    await expect(dogs.status).toHaveText('Завантаження фото...');
+
+    await expect(dogs.status).toHaveText('Фото успішно завантажено.');
+    await expect(dogs.title).toHaveText('Порода: Akita');
+    await expect(dogs.image).toBeVisible();
+    await expect(dogs.image).toHaveAttribute('src', /\/images\/akita-1\.svg$/);
+  });
+
+  test('Повідомляє, якщо список порід не завантажився', async ({ page }) => {
+    const dogs = new DogBrowserPage(page, 'pr5');
+    await dogs.goto(dogApiBase('error=breeds'));
+
+    await expect(dogs.status).toHaveText('Не вдалося завантажити список порід. Спробуйте пізніше.');
+    await expect(dogs.breedSelect).toBeDisabled();
+  });
+
+  for (const mode of ['error=images', 'status-error=images', 'malformed=images']) {
+    test(`Повідомляє, якщо фото не завантажилось (${mode})`, async ({ page }) => {
+      const dogs = new DogBrowserPage(page, 'pr5');
+      await dogs.goto(dogApiBase(mode));
+      await expect(dogs.status).toHaveText('Список порід завантажено.');
+
+      await dogs.showBreed('Beagle');
+
+      await expect(dogs.status).toHaveText('Не вдалося завантажити фото. Спробуйте ще раз.');
+      await expect(dogs.image).toBeHidden();
+    });
+  }
+});
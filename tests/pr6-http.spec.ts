@@ -0,0 +1,338 @@
+import { test, expect } from '@playwright/test';
+import { createTtlCache } from '../pr6/assets/ts/cache';
+import { HttpError, NetworkError, ParseError, isAbortError } from '../pr6/assets/ts/errors';
+import { createRequestSlot, fetchJson } from '../pr6/assets/ts/http';
+import { object, string } from '../pr6/assets/ts/schema';
+
+// Юніт-тести без браузера: fetch підміняється заглушкою, а таймери — керованим годинником,
+// тож повтори, тайм-аути й термін дії кешу перевіряються без реального очікування.
+
+const API_URL = 'https://dog.test/api/breeds/list/all';
+
+type FetchStep = (init: RequestInit) => Promise<Response> | Response;
+
+interface FakeClock {
+  tick(ms: number): Promise<void>;
+  pendingTimers(): number;
+  uninstall(): void;
+}
+
+// Справжній setTimeout, збережений до підміни: ним чекаємо, доки виконаються проміси між кроками годинника.
+const realSetTimeout = globalThis.setTimeout;
+
+function flushPromises(): Promise<void> {
+  return new Promise((resolve) => {
+    realSetTimeout(resolve, 0);
+  });
+}
+
+function installFakeClock(): FakeClock {
+  const original = { setTimeout: globalThis.setTimeout, clearTimeout: globalThis.clearTimeout, now: Date.now };
+  let now = 0;
+  let nextId = 1;
+  let timers: { id: number; at: number; callback: () => void }[] = [];
+
+  globalThis.setTimeout = ((callback: () => void, ms = 0) => {
+    const id = nextId++;
+    timers.push({ id, at: now + ms, callback });
+    return id;
+  }) as unknown as typeof setTimeout;
+  globalThis.clearTimeout = ((id: number) => {
+    timers = timers.filter((timer) => timer.id !== id);
+  }) as unknown as typeof clearTimeout;
+  Date.now = () => now;
+
+  return {
+    async tick(ms) {
+      const target = now + ms;
+      for (;;) {
+        await flushPromises();
+        const due = timers.filter((timer) => timer.at <= target).sort((a, b) => a.at - b.at)[0];
+        if (!due) break;
+        timers = timers.filter((timer) => timer !== due);
+        now = due.at;
+        due.callback();
+      }
+      now = target;
+      await flushPromises();
+    },
+    pendingTimers: () => timers.length,
+    uninstall() {
+      globalThis.setTimeout = original.setTimeout;
+      globalThis.clearTimeout = original.clearTimeout;
+      Date.now = original.now;
+    },
+  };
+}
+
+// Годинник встановлюється всередині тіла тесту, а не в beforeEach: тоді таймери самого Playwright
+// (зокрема тайм-аут тесту) створені раніше і лишаються справжніми.
+async function withFakeClock(run: (clock: FakeClock) => Promise<void> | void): Promise<void> {
+  const clock = installFakeClock();
+  try {
+    await run(clock);
+  } finally {
+    clock.uninstall();
+  }
+}
+
+// Кожен виклик fetch бере наступний крок; останній крок повторюється. Повертає лічильник викликів.
+function stubFetch(...steps: FetchStep[]): { calls: number } {
+  const counter = { calls: 0 };
+  globalThis.fetch = async (_input, init = {}) => {
+    const step = steps[Math.min(counter.calls, steps.length - 1)];
+    counter.calls += 1;
+    return step(init);
+  };
+  return counter;
+}
+
+const json = (body: unknown): FetchStep => () => new Response(JSON.stringify(body), {
+  headers: { 'Content-Type': 'application/json' },
+});
+const status = (code: number): FetchStep => () => new Response('{}', { status: code });
+const networkFailure: FetchStep = () => Promise.reject(new TypeError('Failed to fetch'));
+
+// Сервер не відповідає: запит завершується лише скасуванням, як справжній fetch.
+const hang: FetchStep = ({ signal }) => new Promise((_, reject) => {
+  signal?.addEventListener('abort', () => reject(signal.reason), { once: true });
+});
+
+// Заголовки прийшли, а тіло відповіді "зависло" — читання обривається лише скасуванням.
+const stalledBody: FetchStep = ({ signal }) => {
+  const body = new ReadableStream({
+    start(controller) {
+      signal?.addEventListener('abort', () => controller.error(signal.reason), { once: true });
+    },
+  });
+  return new Response(body, { headers: { 'Content-Type': 'application/json' } });
+};
+
+class MemoryStorage implements Storage {
+  private items = new Map<string, string>();
+  failWrites = false;
+
+  get length(): number {
+    return this.items.size;
+  }
+
+  clear(): void {
+    this.items.clear();
+  }
+
+  getItem(key: string): string | null {
+    return this.items.get(key) ?? null;
+  }
+
+  key(index: number): string | null {
+    return [...this.items.keys()][index] ?? null;
+  }
+
+  removeItem(key: string): void {
+    this.items.delete(key);
+  }
+
+  setItem(key: string, value: string): void {
+    if (this.failWrites) throw new DOMException('Quota exceeded', 'QuotaExceededError');
+    this.items.set(key, value);
+  }
+}
+
+test.describe('pr6: запити до API (fetchJson)', () => {
+  const originalFetch = globalThis.fetch;
+
+  test.afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  test('повторює збій мережі та 5xx із подвоєнням затримки', () => withFakeClock(async (clock) => {
+    const fetchStub = stubFetch(networkFailure, status(503), json({ ok: true }));
+
+    const result = fetchJson(API_URL, { retries: 2, retryDelayMs: 100 });
+    await clock.tick(0);
+    expect(fetchStub.calls).toBe(1);
+
+    await clock.tick(99);
+    expect(fetchStub.calls).toBe(1);
+    await clock.tick(1);
+    expect(fetchStub.calls).toBe(2);
+
+    await clock.tick(199);
+    expect(fetchStub.calls).toBe(2);
+    await clock.tick(1);
+    expect(fetchStub.calls).toBe(3);
+
+    await expect(result).resolves.toEqual({ ok: true });
+    expect(clock.pendingTimers()).toBe(0);
+  }));
+
+  test('після вичерпання спроб повертає останню помилку', () => withFakeClock(async (clock) => {
+    const fetchStub = stubFetch(status(500));
+
+    const result = fetchJson(API_URL, { retries: 2, retryDelayMs: 100 }).catch((e: unknown) => e);
+    await clock.tick(300);
+
+    expect(await result).toBeInstanceOf(HttpError);
+    expect(await result).toMatchObject({ kind: 'http', status: 500 });
+    expect(fetchStub.calls).toBe(3);
+  }));
+
+  test('відповіді 4xx і некоректний JSON не повторюються', async () => {
+    const notFound = stubFetch(status(404));
+    await expect(fetchJson(API_URL)).rejects.toMatchObject({ kind: 'http', status: 404 });
+    expect(notFound.calls).toBe(1);
+
+    const malformed = stubFetch(() => new Response('{ "message": ['));
+    await expect(fetchJson(API_URL)).rejects.toBeInstanceOf(ParseError);
+    expect(malformed.calls).toBe(1);
+  });
+
+  test('сервер, що не відповідає, дає NetworkError з timedOut після тайм-ауту', () => withFakeClock(async (clock) => {
+    stubFetch(hang);
+
+    const result = fetchJson(API_URL, { timeoutMs: 1000, retries: 0 }).catch((e: unknown) => e);
+    await clock.tick(999);
+    expect(clock.pendingTimers()).toBe(1);
+    await clock.tick(1);
+
+    expect(await result).toBeInstanceOf(NetworkError);
+    expect(await result).toMatchObject({ kind: 'network', timedOut: true, url: API_URL });
+  }));
+
+  test('тайм-аут діє і під час читання тіла відповіді', () => withFakeClock(async (clock) => {
+    const fetchStub = stubFetch(stalledBody, json({ ok: true }));
+
+    const result = fetchJson(API_URL, { timeoutMs: 1000, retries: 1, retryDelayMs: 100 });
+    await clock.tick(1000);
+    expect(fetchStub.calls).toBe(1);
+    await clock.tick(100);
+
+    // Зависле тіло — збій мережі, тому запит повторюється, а не падає з ParseError.
+    expect(fetchStub.calls).toBe(2);
+    await expect(result).resolves.toEqual({ ok: true });
+    expect(clock.pendingTimers()).toBe(0);
+  }));
+
+  test('скасування зупиняє і запит, і очікування перед повтором', () => withFakeClock(async (clock) => {
+    const hanging = stubFetch(hang);
+    const controller = new AbortController();
+    const pending = fetchJson(API_URL, { signal: controller.signal }).catch((e: unknown) => e);
+    await clock.tick(0);
+    controller.abort();
+
+    expect(isAbortError(await pending)).toBe(true);
+    expect(hanging.calls).toBe(1);
+    expect(clock.pendingTimers()).toBe(0);
+
+    const failing = stubFetch(networkFailure);
+    const retryController = new AbortController();
+    const retrying = fetchJson(API_URL, { signal: retryController.signal, retryDelayMs: 500 }).catch((e: unknown) => e);
+    await clock.tick(100);
+    retryController.abort();
+    await clock.tick(5000);
+
+    expect(isAbortError(await retrying)).toBe(true);
+    expect(failing.calls).toBe(1);
+  }));
+
+  test('скасування під час читання тіла — це AbortError, а не помилка мережі', () => withFakeClock(async (clock) => {
+    stubFetch(stalledBody);
+    const controller = new AbortController();
+
+    const pending = fetchJson(API_URL, { signal: controller.signal }).catch((e: unknown) => e);
+    await clock.tick(0);
+    controller.abort();
+
+    expect(isAbortError(await pending)).toBe(true);
+    expect(clock.pendingTimers()).toBe(0);
+  }));
+
+  test('вже скасований сигнал не надсилає запит', async () => {
+    const fetchStub = stubFetch(json({ ok: true }));
+
+    await expect(fetchJson(API_URL, { signal: AbortSignal.abort() })).rejects.toMatchObject({ name: 'AbortError' });
+    expect(fetchStub.calls).toBe(0);
+  });
+
+  test('createRequestSlot скасовує попередній запит при новому', () => {
+    const slot = createRequestSlot();
+    const first = slot.next();
+    const second = slot.next();
+
+    expect(first.aborted).toBe(true);
+    expect(second.aborted).toBe(false);
+
+    slot.abort();
+    expect(second.aborted).toBe(true);
+  });
+});
+
+test.describe('pr6: кеш з терміном дії (createTtlCache)', () => {
+  const KEY = 'pr6-test-cache';
+  const TTL = 60_000;
+  const valueSchema = object({ name: string() });
+  let storage: MemoryStorage;
+
+  test.beforeEach(() => {
+    storage = new MemoryStorage();
+    Object.defineProperty(globalThis, 'localStorage', { value: storage, configurable: true });
+  });
+
+  test.afterEach(() => {
+    Reflect.deleteProperty(globalThis, 'localStorage');
+  });
+
+  test('повертає значення до кінця терміну дії', () => withFakeClock(async (clock) => {
+    const cache = createTtlCache<{ name: string }>(KEY, TTL);
+    expect(cache.get()).toBeNull();
+
+    cache.set({ name: 'akita' });
+    await clock.tick(TTL - 1);
+    expect(cache.get()).toEqual({ name: 'akita' });
+
+    await clock.tick(1);
+    expect(cache.get()).toBeNull();
+  }));
+
+  test('наступне відвідування читає свіжий запис із localStorage', () => withFakeClock(async (clock) => {
+    createTtlCache<{ name: string }>(KEY, TTL, valueSchema).set({ name: 'beagle' });
+    await clock.tick(1000);
+
+    const nextVisit = createTtlCache<{ name: string }>(KEY, TTL, valueSchema);
+    expect(nextVisit.get()).toEqual({ name: 'beagle' });
+
+    await clock.tick(TTL);
+    expect(createTtlCache<{ name: string }>(KEY, TTL, valueSchema).get()).toBeNull();
+  }));
+
+  test('пошкоджений або невідповідний схемі запис ігнорується', () => {
+    storage.setItem(KEY, '{ not json');
+    expect(createTtlCache(KEY, TTL, valueSchema).get()).toBeNull();
+
+    storage.setItem(KEY, JSON.stringify({ savedAt: 0, value: { name: 42 } }));
+    expect(createTtlCache(KEY, TTL, valueSchema).get()).toBeNull();
+
+    storage.setItem(KEY, JSON.stringify({ value: { name: 'akita' } }));
+    expect(createTtlCache(KEY, TTL, valueSchema).get()).toBeNull();
+  });
+
+  test('без доступу до localStorage працює кеш у памʼяті', () => {
+    storage.failWrites = true;
+    const cache = createTtlCache<{ name: string }>(KEY, TTL);
+
+    cache.set({ name: 'mix' });
+
+    expect(cache.get()).toEqual({ name: 'mix' });
+    expect(storage.getItem(KEY)).toBeNull();
+  });
+
+  test('clear прибирає запис і з памʼяті, і з localStorage', () => {
+    const cache = createTtlCache<{ name: string }>(KEY, TTL);
+    cache.set({ name: 'hound' });
+
+    cache.clear();
+
+    expect(cache.get()).toBeNull();
+    expect(storage.getItem(KEY)).toBeNull();
+  });
+});
@@ -0,0 +1,194 @@
+import { test, expect } from '@playwright/test';
+import { getBreedImages, getBreeds } from '../pr6/assets/ts/api';
+import { ApiStatusError, ValidationError } from '../pr6/assets/ts/errors';
+import { httpsUrl, validate, type Schema } from '../pr6/assets/ts/schema';
+import {
+  apiErrorResponseSchema,
+  breedGroupListSchema,
+  breedListResponseSchema,
+  dogImageListResponseSchema,
+  dogImageResponseSchema,
+} from '../pr6/assets/ts/schemas';
+import type { BreedListResponse, DogImageListResponse, DogImageResponse } from '../pr6/assets/ts/types';
+
+// Юніт-тести без браузера: схеми перевіряються на коректних і зіпсованих відповідях Dog CEO API.
+
+const IMAGE_URL = 'https://images.dog.ceo/breeds/hound-afghan/n02088094_1003.jpg';
+
+// Коректні відповіді оголошені через TS-типи: якщо тип і схема розійдуться, тест не скомпілюється або впаде.
+const validBreedList: BreedListResponse = {
+  message: { akita: [], hound: ['afghan', 'basset'] },
+  status: 'success',
+};
+const validImage: DogImageResponse = { message: IMAGE_URL, status: 'success' };
+const validImageList: DogImageListResponse = { message: [IMAGE_URL, IMAGE_URL], status: 'success' };
+
+type MalformedCase = {
+  name: string;
+  schema: Schema<unknown>;
+  payload: unknown;
+  issue: string;
+};
+
+const malformedCases: MalformedCase[] = [
+  { name: 'не обʼєкт', schema: breedListResponseSchema, payload: 'success', issue: '(root): expected object, got string' },
+  { name: 'null', schema: breedListResponseSchema, payload: null, issue: '(root): expected object, got null' },
+  {
+    name: 'status не "success"',
+    schema: breedListResponseSchema,
+    payload: { ...validBreedList, status: 'ok' },
+    issue: 'status: expected "success", got string',
+  },
+  {
+    name: 'відсутній status',
+    schema: breedListResponseSchema,
+    payload: { message: validBreedList.message },
+    issue: 'status: expected "success", got undefined',
+  },
+  {
+    name: 'список порід — масив замість обʼєкта',
+    schema: breedListResponseSchema,
+    payload: { message: ['akita', 'hound'], status: 'success' },
+    issue: 'message: expected object, got array',
+  },
+  {
+    name: 'підпороди — рядок замість масиву',
+    schema: breedListResponseSchema,
+    payload: { message: { hound: 'afghan' }, status: 'success' },
+    issue: 'message.hound: expected array, got string',
+  },
+  {
+    name: 'підпорода — не рядок',
+    schema: breedListResponseSchema,
+    payload: { message: { hound: ['afghan', 42] }, status: 'success' },
+    issue: 'message.hound[1]: expected string, got number',
+  },
+  {
+    name: 'адреса фото по http',
+    schema: dogImageResponseSchema,
+    payload: { message: IMAGE_URL.replace('https:', 'http:'), status: 'success' },
+    issue: 'message: expected https URL, got string',
+  },
+  {
+    name: 'адреса фото — не URL',
+    schema: dogImageResponseSchema,
+    payload: { message: 'hound-afghan.jpg', status: 'success' },
+    issue: 'message: expected https URL, got string',
+  },
+  {
+    name: 'javascript: замість адреси фото',
+    schema: dogImageListResponseSchema,
+    payload: { message: [IMAGE_URL, 'javascript:alert(1)'], status: 'success' },
+    issue: 'message[1]: expected https URL, got string',
+  },
+  {
+    name: 'одне фото замість списку',
+    schema: dogImageListResponseSchema,
+    payload: { message: IMAGE_URL, status: 'success' },
+    issue: 'message: expected array, got string',
+  },
+  {
+    name: 'пошкоджений кеш порід',
+    schema: breedGroupListSchema,
+    payload: [{ breed: 'hound', subBreeds: null }],
+    issue: '[0].subBreeds: expected array, got null',
+  },
+];
+
+function mockFetch(body: unknown, status = 200): void {
+  globalThis.fetch = async () => new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+test.describe('pr6: перевірка відповідей Dog CEO API', () => {
+  const originalFetch = globalThis.fetch;
+
+  test.afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  test('коректні відповіді проходять перевірку без змін', () => {
+    expect(validate(breedListResponseSchema, validBreedList)).toEqual({ ok: true, value: validBreedList });
+    expect(validate(dogImageResponseSchema, validImage)).toEqual({ ok: true, value: validImage });
+    expect(validate(dogImageListResponseSchema, validImageList)).toEqual({ ok: true, value: validImageList });
+    expect(validate(dogImageListResponseSchema, { message: [], status: 'success' }).ok).toBe(true);
+  });
+
+  for (const { name, schema, payload, issue } of malformedCases) {
+    test(`зіпсована відповідь: ${name}`, () => {
+      const result = validate(schema, payload);
+
+      expect(result.ok).toBe(false);
+      expect(result.ok ? [] : result.issues).toContain(issue);
+    });
+  }
+
+  test('http з localhost дозволяється лише явно, і тоді лише для localhost', () => {
+    const localImage = 'http://127.0.0.1:8083/images/akita-1.svg';
+    const remoteImage = 'http://images.dog.ceo/breeds/akita/1.jpg';
+    const loopbackSchema = httpsUrl({ allowLoopbackHttp: true });
+
+    expect(validate(httpsUrl(), localImage).ok).toBe(false);
+    expect(validate(dogImageResponseSchema, { message: localImage, status: 'success' }).ok).toBe(false);
+    expect(validate(loopbackSchema, localImage).ok).toBe(true);
+    expect(validate(loopbackSchema, 'http://localhost/dog.jpg').ok).toBe(true);
+    expect(validate(loopbackSchema, remoteImage).ok).toBe(false);
+    expect(validate(loopbackSchema, IMAGE_URL).ok).toBe(true);
+  });
+
+  test('з API не на localhost фото з http-адресою localhost відхиляються', async () => {
+    // Без window адреса API — типова https://dog.ceo/api, тож виняток для тестового сервера не діє.
+    mockFetch({ message: ['http://127.0.0.1:8083/images/akita-1.svg'], status: 'success' });
+
+    const error = await getBreedImages('akita').catch((e: unknown) => e);
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error).toMatchObject({ issues: ['message[0]: expected https URL, got string'] });
+  });
+
+  test('збирає всі невідповідності, а не лише першу', () => {
+    const result = validate(breedListResponseSchema, { message: { hound: [1, 2] }, status: 'error' });
+
+    expect(result.ok ? [] : result.issues).toEqual([
+      'message.hound[0]: expected string, got number',
+      'message.hound[1]: expected string, got number',
+      'status: expected "success", got string',
+    ]);
+  });
+
+  test('відповідь з помилкою API розпізнається окремою схемою', () => {
+    expect(validate(apiErrorResponseSchema, { status: 'error', message: 'Breed not found' }).ok).toBe(true);
+    expect(validate(apiErrorResponseSchema, validImage).ok).toBe(false);
+  });
+
+  test('status: "error" від API стає ApiStatusError з текстом від сервера', async () => {
+    mockFetch({ status: 'error', message: 'Breed not found (master breed does not exist)' });
+
+    const error = await getBreedImages('unknown').catch((e: unknown) => e);
+
+    expect(error).toBeInstanceOf(ApiStatusError);
+    expect(error).toMatchObject({ kind: 'api', message: 'Breed not found (master breed does not exist)' });
+  });
+
+  test('відповідь не за схемою стає ValidationError зі списком невідповідностей', async () => {
+    mockFetch({ message: [IMAGE_URL, 'http://insecure.example/dog.jpg'], status: 'success' });
+
+    const error = await getBreedImages('hound', 'afghan').catch((e: unknown) => e);
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error).toMatchObject({ kind: 'validation', issues: ['message[1]: expected https URL, got string'] });
+  });
+
+  test('список порід перевіряється до того, як потрапить у кеш', async () => {
+    mockFetch({ message: { hound: 'afghan' }, status: 'success' });
+    await expect(getBreeds()).rejects.toBeInstanceOf(ValidationError);
+
+    mockFetch(validBreedList);
+    await expect(getBreeds()).resolves.toEqual([
+      { breed: 'akita', subBreeds: [] },
+      { breed: 'hound', subBreeds: ['afghan', 'basset'] },
+    ]);
+  });
+});
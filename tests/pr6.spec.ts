@@ -0,0 +1,422 @@
+import { test, expect } from '@playwright/test';
+import { DogBrowserPage, dogApiBase } from './pages/DogBrowserPage';
+
+// Сторінка працює з локальним Dog API (tests/stubs/dog-api-server.mjs), адреса передається через ?api-base=.
+
+test.describe('Практична робота №6: TypeScript', () => {
+
+  test.describe('список порід', () => {
+    test('показує стан завантаження, а підпороди — після своєї породи', async ({ page }) => {
+      const dogs = new DogBrowserPage(page, 'pr6');
+      await dogs.goto(dogApiBase('delay=breeds:800'));
+
+      await expect(dogs.status).toHaveText('Завантаження списку порід...');
+      await expect(dogs.breedInput).toBeDisabled();
+
+      await expect(dogs.status).toHaveText('Список порід завантажено.');
+      await expect(dogs.breedInput).toBeEnabled();
+
+      await dogs.breedToggle.click();
+      await expect(dogs.breedInput).toHaveAttribute('aria-expanded', 'true');
+      await expect(dogs.breedInput).toBeFocused();
+      await expect(dogs.breedOptions().first()).toHaveText('Випадкова порода');
+      await expect(dogs.breedGroup('Усі породи').getByRole('option')).toHaveText([
+        'Akita', 'Beagle', 'Hound (усі)', 'Afghan hound', 'Basset hound', 'Blood hound',
+        'Mix', 'Retriever (усі)', 'Chesapeake retriever', 'Golden retriever',
+      ]);
+    });
+
+    test('повідомляє про помилку сервера після повторних спроб', async ({ page }) => {
+      const dogs = new DogBrowserPage(page, 'pr6');
+      let requests = 0;
+      page.on('request', (request) => {
+        if (request.url().includes('/breeds/list/all')) requests += 1;
+      });
+
+      await dogs.goto(dogApiBase('error=breeds'));
+
+      await expect(dogs.status).toHaveText('Не вдалося завантажити список порід. Спробуйте пізніше.');
+      expect(requests).toBe(3);
+    });
+
+    for (const mode of ['status-error=breeds', 'malformed=breeds']) {
+      test(`повідомляє про некоректну відповідь (${mode})`, async ({ page }) => {
+        const dogs = new DogBrowserPage(page, 'pr6');
+        await dogs.goto(dogApiBase(mode));
+
+        await expect(dogs.status).toHaveText('Не вдалося завантажити список порід. Спробуйте пізніше.');
+      });
+    }
+  });
+
+  test.describe('пошук породи', () => {
+    test.beforeEach(async ({ page }) => {
+      const dogs = new DogBrowserPage(page, 'pr6');
+      await dogs.goto();
+      await expect(dogs.status).toHaveText('Список порід завантажено.');
+    });
+
+    test('фільтрує породи нечітким пошуком і виділяє збіг', async ({ page }) => {
+      const dogs = new DogBrowserPage(page, 'pr6');
+
+      await dogs.breedInput.fill('afg');
+      await expect(dogs.breedOptions()).toHaveText(['Afghan hound']);
+      await expect(dogs.breedOptions().first().locator('mark')).toHaveText('Afg');
+      await expect(dogs.breedResults).toHaveText('Знайдено порід: 1');
+
+      await dogs.breedInput.fill('grtr');
+      await expect(dogs.breedOptions().first()).toHaveText('Golden retriever');
+
+      // Підпороду знаходить і порядок назв Dog CEO API: "hound afghan".
+      await dogs.breedInput.fill('hound afghan');
+      await expect(dogs.breedOptions()).toHaveText(['Afghan hound']);
+
+      await dogs.breedInput.fill('xyz');
+      await expect(dogs.breedList).toContainText('Такої породи не знайдено');
+      await expect(dogs.breedOptions()).toHaveCount(0);
+    });
+
+    test('керується з клавіатури', async ({ page }) => {
+      const dogs = new DogBrowserPage(page, 'pr6');
+
+      await dogs.breedInput.focus();
+      await page.keyboard.press('ArrowDown');
+      await expect(dogs.breedList).toBeVisible();
+      await expect(dogs.breedOption('Випадкова порода')).toHaveAttribute('aria-selected', 'true');
+
+      await page.keyboard.press('ArrowDown');
+      await page.keyboard.press('ArrowDown');
+      await expect(dogs.breedOption('Beagle')).toHaveAttribute('aria-selected', 'true');
+      const activeId = await dogs.breedOption('Beagle').getAttribute('id');
+      await expect(dogs.breedInput).toHaveAttribute('aria-activedescendant', activeId ?? '');
+
+      await page.keyboard.press('ArrowUp');
+      await expect(dogs.breedOption('Akita')).toHaveAttribute('aria-selected', 'true');
+
+      await page.keyboard.press('Enter');
+      await expect(dogs.breedList).toBeHidden();
+      await expect(dogs.breedInput).toHaveValue('Akita');
+      await expect(dogs.breedInput).toHaveAttribute('aria-expanded', 'false');
+
+      // Escape закриває список і повертає обрану назву, а в закритому стані — очищає поле.
+      await dogs.breedInput.fill('gold');
+      await page.keyboard.press('Escape');
+      await expect(dogs.breedList).toBeHidden();
+      await expect(dogs.breedInput).toHaveValue('Akita');
+      await page.keyboard.press('Escape');
+      await expect(dogs.breedInput).toHaveValue('');
+
+      await dogs.breedInput.fill('gold');
+      await page.keyboard.press('Enter');
+      await dogs.loadButton.click();
+      await expect(dogs.title).toHaveText('Порода: Golden retriever');
+    });
+
+    test('точна назва, введена без вибору зі списку, теж обирає породу', async ({ page }) => {
+      const dogs = new DogBrowserPage(page, 'pr6');
+
+      await dogs.breedInput.fill('bea');
+      await dogs.loadButton.click();
+      await expect(dogs.breedInput).toHaveValue('');
+      await expect(dogs.status).toHaveText('Спочатку оберіть породу.');
+
+      await dogs.breedInput.fill('beagle');
+      await dogs.loadButton.click();
+      await expect(dogs.breedInput).toHaveValue('Beagle');
+      await expect(dogs.title).toHaveText('Порода: Beagle');
+    });
+
+    test('випадкова порода обирає одну з порід', async ({ page }) => {
+      const dogs = new DogBrowserPage(page, 'pr6');
+
+      await dogs.breedToggle.click();
+      await dogs.breedOption('Випадкова порода').click();
+
+      await expect(dogs.breedList).toBeHidden();
+      await expect(dogs.breedInput).not.toHaveValue('');
+      await dogs.loadButton.click();
+      await expect(dogs.status).toHaveText(/^(Фото успішно завантажено\.|Для цієї породи ще немає фото\.)$/);
+    });
+
+    test('запамʼятовує нещодавні породи між відвідуваннями', async ({ page }) => {
+      const dogs = new DogBrowserPage(page, 'pr6');
+
+      await dogs.showBreed('Beagle');
+      await expect(dogs.status).toHaveText('Фото успішно завантажено.');
+      await dogs.showBreed('Afghan hound');
+      await expect(dogs.status).toHaveText('Фото успішно завантажено.');
+
+      await page.reload();
+      await expect(dogs.status).toHaveText('Список порід завантажено.');
+      await dogs.breedToggle.click();
+
+      await expect(dogs.breedGroup('Нещодавні').getByRole('option')).toHaveText(['Afghan hound', 'Beagle']);
+    });
+  });
+
+  test.describe('підпороди', () => {
+    test.beforeEach(async ({ page }) => {
+      const dogs = new DogBrowserPage(page, 'pr6');
+      await dogs.goto();
+      await expect(dogs.status).toHaveText('Список порід завантажено.');
+    });
+
+    test('у списку підпороди вкладені у свою породу, а під час пошуку — ні', async ({ page }) => {
+      const dogs = new DogBrowserPage(page, 'pr6');
+
+      await dogs.breedToggle.click();
+      await expect(dogs.breedOption('Retriever (усі)')).not.toHaveClass(/combobox__option--nested/);
+      await expect(dogs.breedOption('Chesapeake retriever')).toHaveClass(/combobox__option--nested/);
+      await expect(dogs.breedOption('Golden retriever')).toHaveClass(/combobox__option--nested/);
+
+      await dogs.breedInput.fill('golden');
+      await expect(dogs.breedOptions()).toHaveText(['Golden retriever']);
+      await expect(dogs.breedOption('Golden retriever')).not.toHaveClass(/combobox__option--nested/);
+    });
+
+    test('порода показує фото всіх підпорід, а підпорода — лише свої', async ({ page }) => {
+      const dogs = new DogBrowserPage(page, 'pr6');
+      const requests: string[] = [];
+      page.on('request', (request) => {
+        if (request.url().includes('/api/breed/')) requests.push(new URL(request.url()).pathname);
+      });
+
+      await dogs.showBreed('Hound (усі)');
+      await expect(dogs.title).toHaveText('Порода: Hound');
+      await expect(dogs.thumbnails()).toHaveCount(24);
+      await dogs.moreButton.click();
+      await expect(dogs.thumbnails()).toHaveCount(38);
+
+      await dogs.showBreed('Basset hound');
+      await expect(dogs.title).toHaveText('Порода: Basset hound');
+      await expect(dogs.thumbnails()).toHaveCount(5);
+      await expect(dogs.moreButton).toBeHidden();
+      await expect(dogs.thumbnails().first().locator('img')).toHaveAttribute('alt', 'Порода: Basset hound, фото 1 з 5');
+
+      expect(requests).toEqual(['/api/breed/hound/images', '/api/breed/hound/basset/images']);
+    });
+  });
+
+  test.describe('галерея', () => {
+    test('без обраної породи просить її обрати', async ({ page }) => {
+      const dogs = new DogBrowserPage(page, 'pr6');
+      await dogs.goto();
+      await expect(dogs.status).toHaveText('Список порід завантажено.');
+
+      await dogs.loadButton.click();
+
+      await expect(dogs.status).toHaveText('Спочатку оберіть породу.');
+      await expect(dogs.gallery).toBeHidden();
+    });
+
+    test('показує фото підпороди порціями', async ({ page }) => {
+      const dogs = new DogBrowserPage(page, 'pr6');
+      await dogs.goto(dogApiBase('delay=hound:800'));
+      await expect(dogs.status).toHaveText('Список порід завантажено.');
+
+      await dogs.showBreed('Afghan hound');
+      await expect(dogs.status).toHaveText('Завантаження фото...');
+
+      await expect(dogs.status).toHaveText('Фото успішно завантажено.');
+      await expect(dogs.title).toHaveText('Порода: Afghan hound');
+      await expect(dogs.thumbnails()).toHaveCount(24);
+      await expect(dogs.thumbnails().first().locator('img')).toHaveAttribute('loading', 'lazy');
+
+      await dogs.moreButton.click();
+      await expect(dogs.thumbnails()).toHaveCount(30);
+      await expect(dogs.moreButton).toBeHidden();
+      await expect(dogs.thumbnails().nth(24)).toBeFocused();
+    });
+
+    test('повідомляє, що для породи немає фото', async ({ page }) => {
+      const dogs = new DogBrowserPage(page, 'pr6');
+      await dogs.goto();
+      await expect(dogs.status).toHaveText('Список порід завантажено.');
+
+      await dogs.showBreed('Mix');
+
+      await expect(dogs.status).toHaveText('Для цієї породи ще немає фото.');
+      await expect(dogs.gallery).toBeHidden();
+    });
+
+    test('мініатюри завантажуються ліниво, а фото з помилкою позначаються', async ({ page }) => {
+      await page.route('**/images/beagle-2.svg', (route) => route.abort());
+      const dogs = new DogBrowserPage(page, 'pr6');
+      await dogs.goto();
+      await expect(dogs.status).toHaveText('Список порід завантажено.');
+
+      await dogs.showBreed('Beagle');
+      await expect(dogs.thumbnails()).toHaveCount(6);
+
+      const images = dogs.thumbnails().locator('img');
+      expect(await images.evaluateAll((items) => items.map((img) => (img as HTMLImageElement).loading))).toEqual(Array(6).fill('lazy'));
+      expect(await images.evaluateAll((items) => items.map((img) => (img as HTMLImageElement).decoding))).toEqual(Array(6).fill('async'));
+
+      await expect(dogs.galleryItems().first()).toHaveClass(/gallery__item--loaded/);
+      await expect(dogs.galleryItems().nth(1)).toHaveClass(/gallery__item--broken/);
+      await expect(dogs.galleryItems().nth(1)).not.toHaveClass(/gallery__item--loaded/);
+    });
+
+    test('показує випадкових собак', async ({ page }) => {
+      const dogs = new DogBrowserPage(page, 'pr6');
+      await dogs.goto();
+      await expect(dogs.status).toHaveText('Список порід завантажено.');
+
+      await dogs.randomButton.click();
+
+      await expect(dogs.status).toHaveText('Фото успішно завантажено.');
+      await expect(dogs.title).toHaveText('Випадкові собаки');
+      await expect(dogs.thumbnails()).toHaveCount(12);
+    });
+
+    for (const mode of ['error=images', 'status-error=images', 'malformed=images', 'invalid=images']) {
+      test(`повідомляє, якщо фото не завантажились (${mode})`, async ({ page }) => {
+        const dogs = new DogBrowserPage(page, 'pr6');
+        await dogs.goto(dogApiBase(mode));
+        await expect(dogs.status).toHaveText('Список порід завантажено.');
+
+        await dogs.showBreed('Beagle');
+
+        await expect(dogs.status).toHaveText('Не вдалося завантажити фото. Спробуйте ще раз.');
+        await expect(dogs.gallery).toBeHidden();
+      });
+    }
+
+    test('відповідь, що запізнилась, не підмінює нову породу', async ({ page }) => {
+      const dogs = new DogBrowserPage(page, 'pr6');
+      await dogs.goto(dogApiBase('delay=akita:1500'));
+      await expect(dogs.status).toHaveText('Список порід завантажено.');
+
+      const staleRequest = page.waitForEvent('requestfailed', (request) => request.url().includes('/breed/akita/'));
+      await dogs.showBreed('Akita');
+      await dogs.showBreed('Beagle');
+
+      await staleRequest;
+      await expect(dogs.status).toHaveText('Фото успішно завантажено.');
+      await expect(dogs.title).toHaveText('Порода: Beagle');
+      await expect(dogs.thumbnails()).toHaveCount(6);
+    });
+
+    test('запізніла помилка не підмінює статус нової породи', async ({ page }) => {
+      const dogs = new DogBrowserPage(page, 'pr6');
+      await dogs.goto(dogApiBase('delay=akita:1500', 'error=akita'));
+      await expect(dogs.status).toHaveText('Список порід завантажено.');
+
+      const staleRequest = page.waitForEvent('requestfailed', (request) => request.url().includes('/breed/akita/'));
+      await dogs.showBreed('Akita');
+      await dogs.showBreed('Beagle');
+
+      // Скасований запит уже завершився помилкою, але вона не потрапила в статус нової породи.
+      await staleRequest;
+      await expect(dogs.status).toHaveText('Фото успішно завантажено.');
+      await expect(dogs.title).toHaveText('Порода: Beagle');
+      await expect(dogs.thumbnails()).toHaveCount(6);
+    });
+
+    test('випадкові собаки замінюють породу, фото якої ще не завантажились', async ({ page }) => {
+      const dogs = new DogBrowserPage(page, 'pr6');
+      await dogs.goto(dogApiBase('delay=akita:1500'));
+      await expect(dogs.status).toHaveText('Список порід завантажено.');
+
+      const staleRequest = page.waitForEvent('requestfailed', (request) => request.url().includes('/breed/akita/'));
+      await dogs.showBreed('Akita');
+      await dogs.randomButton.click();
+
+      await staleRequest;
+      await expect(dogs.title).toHaveText('Випадкові собаки');
+      await expect(dogs.thumbnails()).toHaveCount(12);
+    });
+  });
+
+  test.describe('лайтбокс', () => {
+    test.beforeEach(async ({ page }) => {
+      const dogs = new DogBrowserPage(page, 'pr6');
+      await dogs.goto();
+      await expect(dogs.status).toHaveText('Список порід завантажено.');
+      await dogs.showBreed('Akita');
+      await expect(dogs.thumbnails()).toHaveCount(4);
+    });
+
+    test('гортається стрілками і повертає фокус на мініатюру', async ({ page }) => {
+      const dogs = new DogBrowserPage(page, 'pr6');
+
+      await dogs.thumbnails().first().click();
+      await expect(dogs.lightbox).toBeVisible();
+      await expect(dogs.lightboxCaption).toHaveText('Порода: Akita — 1 / 4');
+
+      await page.keyboard.press('ArrowRight');
+      await expect(dogs.lightboxCaption).toHaveText('Порода: Akita — 2 / 4');
+      await page.keyboard.press('End');
+      await expect(dogs.lightboxCaption).toHaveText('Порода: Akita — 4 / 4');
+      await page.keyboard.press('ArrowRight');
+      await expect(dogs.lightboxCaption).toHaveText('Порода: Akita — 1 / 4');
+      await page.keyboard.press('ArrowLeft');
+      await expect(dogs.lightboxCaption).toHaveText('Порода: Akita — 4 / 4');
+
+      await page.keyboard.press('Escape');
+      await expect(dogs.lightbox).toBeHidden();
+      await expect(dogs.thumbnails().nth(3)).toBeFocused();
+    });
+
+    test('відкривається модально з фокусом на кнопці закриття і закривається кнопкою або кліком поза фото', async ({ page }) => {
+      const dogs = new DogBrowserPage(page, 'pr6');
+
+      await dogs.thumbnails().nth(1).click();
+      await expect(dogs.lightboxButton('close')).toBeFocused();
+      expect(await dogs.lightbox.evaluate((dialog) => dialog.matches(':modal'))).toBe(true);
+
+      // Tab переходить між кнопками лайтбокса, а Enter на кнопці гортає фото.
+      await page.keyboard.press('Tab');
+      await expect(dogs.lightboxButton('prev')).toBeFocused();
+      await page.keyboard.press('Tab');
+      await expect(dogs.lightboxButton('next')).toBeFocused();
+      await page.keyboard.press('Enter');
+      await expect(dogs.lightboxCaption).toHaveText('Порода: Akita — 3 / 4');
+      await expect(dogs.lightbox.locator('[data-lightbox-image]')).toHaveAttribute('alt', 'Порода: Akita, фото 3 з 4');
+
+      await dogs.lightboxButton('prev').click();
+      await dogs.lightboxButton('prev').click();
+      await expect(dogs.lightboxCaption).toHaveText('Порода: Akita — 1 / 4');
+      await dogs.lightboxButton('close').click();
+      await expect(dogs.lightbox).toBeHidden();
+      await expect(dogs.thumbnails().first()).toBeFocused();
+
+      await dogs.thumbnails().nth(2).click();
+      await expect(dogs.lightbox).toBeVisible();
+      // Лівий верхній кут екрана — затемнення навколо лайтбокса.
+      await page.mouse.click(5, 5);
+      await expect(dogs.lightbox).toBeHidden();
+      await expect(dogs.thumbnails().nth(2)).toBeFocused();
+    });
+
+    test('мініатюри перемикаються з клавіатури', async ({ page }) => {
+      const dogs = new DogBrowserPage(page, 'pr6');
+
+      await dogs.thumbnails().first().focus();
+      await page.keyboard.press('End');
+      await expect(dogs.thumbnails().nth(3)).toBeFocused();
+      await page.keyboard.press('Home');
+      await expect(dogs.thumbnails().first()).toBeFocused();
+      await page.keyboard.press('ArrowRight');
+      await expect(dogs.thumbnails().nth(1)).toBeFocused();
+
+      await page.keyboard.press('Enter');
+      await expect(dogs.lightboxCaption).toHaveText('Порода: Akita — 2 / 4');
+    });
+
+    test('повертає фокус на мініатюру, яка ще не була показана', async ({ page }) => {
+      const dogs = new DogBrowserPage(page, 'pr6');
+      await dogs.showBreed('Afghan hound');
+      await expect(dogs.thumbnails()).toHaveCount(24);
+
+      await dogs.thumbnails().first().click();
+      await page.keyboard.press('End');
+      await expect(dogs.lightboxCaption).toHaveText('Порода: Afghan hound — 30 / 30');
+
+      await page.keyboard.press('Escape');
+      await expect(dogs.thumbnails()).toHaveCount(30);
+      await expect(dogs.thumbnails().last()).toBeFocused();
+      await expect(dogs.moreButton).toBeHidden();
+    });
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Тестовий сервер для контактної форми pr3 (перевірка відправки через HTTP).
+ * Запуск: node tests/stubs/contact-server.mjs [port]
+ *
+ * POST /contact?mode=ok|error&delay=<ms>
+ * - ok    — 200 і { ok: true }; тіло запиту має бути JSON з полями name, email, topic, message (інакше 400)
+ * - error — відповідь 500
+ * OPTIONS /contact — відповідь на CORS preflight (форма надсилає Content-Type: application/json)
+ * GET /health — перевірка готовності для Playwright
+ */
+
+import { createServer } from "node:http";
+
+const PORT = Number(process.argv[2] ?? process.env.PORT ?? 8082);
+const REQUIRED_FIELDS = ["name", "email", "topic", "message"];
+
+const server = createServer(async (req, res) => {
+  const url = new URL(req.url ?? "/", `http://${req.headers.host ?? "localhost"}`);
+
+  if (url.pathname === "/health") {
+    send(res, 200, "text/plain", "ok");
+    return;
+  }
+
+  if (url.pathname !== "/contact") {
+    send(res, 404, "text/plain", "Not found");
+    return;
+  }
+
+  if (req.method === "OPTIONS") {
+    send(res, 204, "text/plain", "");
+    return;
+  }
+  if (req.method !== "POST") {
+    send(res, 405, "text/plain", "Method not allowed");
+    return;
+  }
+
+  const body = await readBody(req);
+  const delay = Number(url.searchParams.get("delay") ?? 0);
+  if (delay > 0) await new Promise((resolve) => setTimeout(resolve, delay));
+
+  const mode = url.searchParams.get("mode") ?? "ok";
+  if (mode === "error") {
+    send(res, 500, "application/json", JSON.stringify({ error: "Internal Server Error" }));
+    return;
+  }
+  if (!isValidMessage(body)) {
+    send(res, 400, "application/json", JSON.stringify({ error: "Invalid message" }));
+    return;
+  }
+
+  send(res, 200, "application/json", JSON.stringify({ ok: true }));
+});
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function isValidMessage(body) {
+  return Boolean(body) && REQUIRED_FIELDS.every((field) => typeof body[field] === "string" && body[field] !== "");
+}
+
+function send(res, status, contentType, body) {
+  res.writeHead(status, {
+    "Content-Type": `${contentType}; charset=utf-8`,
+    "Cache-Control": "no-store",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Accept"
+  });
+  res.end(body);
+}
+
+server.listen(PORT, "127.0.0.1", () => {
+  console.log(`Contact stub: http://127.0.0.1:${PORT}/contact`);
+});
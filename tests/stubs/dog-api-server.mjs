@@ -0,0 +1,189 @@
+/**
+ * Тестовий сервер Dog CEO API для pr5 і pr6 (тести і робота без інтернету).
+ * Запуск: node tests/stubs/dog-api-server.mjs [port]; сторінка: pr6/index.html?api-base=http://127.0.0.1:8083/api
+ *
+ * Ті самі маршрути, що й у справжнього API (породи і фото — фіксовані, див. BREEDS):
+ * GET /api/breeds/list/all
+ * GET /api/breed/{breed}[/{sub}]/images
+ * GET /api/breed/{breed}[/{sub}]/images/random[/{n}]
+ * GET /api/breeds/image/random/{n}
+ * GET /images/{name}.svg — "фото" собаки (SVG з назвою породи)
+ * GET /health — перевірка готовності для Playwright
+ *
+ * Режими задаються сегментами шляху перед /api, тож кожен тест отримує власну адресу API без спільного стану:
+ * /delay=800/api/...                 — затримка всіх відповідей API
+ * /delay=akita:1500/api/...          — затримка лише для області (див. нижче)
+ * /error=images/api/...              — відповідь 500
+ * /status-error=images/api/...       — відповідь 200 з { status: "error" }, як у справжнього API
+ * /malformed=breeds/api/...          — відповідь, що не є JSON
+ * /invalid=images/api/...            — JSON не за схемою (адреси фото не https)
+ * Область: breeds (список порід), images (будь-які фото), all або назва породи (akita, hound...).
+ */
+
+import { createServer } from "node:http";
+
+const PORT = Number(process.argv[2] ?? process.env.PORT ?? 8083);
+
+// Кількість фото для кожної породи/підпороди; у hound-afghan їх більше, ніж вміщує одна порція галереї.
+const BREEDS = {
+  akita: { images: 4, subBreeds: {} },
+  beagle: { images: 6, subBreeds: {} },
+  hound: { images: 0, subBreeds: { afghan: 30, basset: 5, blood: 3 } },
+  mix: { images: 0, subBreeds: {} },
+  retriever: { images: 0, subBreeds: { chesapeake: 2, golden: 8 } }
+};
+const MODE_KEYS = ["delay", "error", "status-error", "malformed", "invalid"];
+const COLORS = ["#2f6f7e", "#7e4a2f", "#4f7e2f", "#6a2f7e", "#7e2f4f"];
+
+const server = createServer(async (req, res) => {
+  const url = new URL(req.url ?? "/", `http://${req.headers.host ?? "localhost"}`);
+  const origin = url.origin;
+
+  if (url.pathname === "/health") {
+    send(res, 200, "text/plain", "ok");
+    return;
+  }
+
+  const imageMatch = url.pathname.match(/^\/images\/([a-z-]+)-(\d+)\.svg$/);
+  if (imageMatch) {
+    send(res, 200, "image/svg+xml", renderImage(imageMatch[1], Number(imageMatch[2])));
+    return;
+  }
+
+  const segments = url.pathname.split("/").filter(Boolean);
+  const apiIndex = segments.indexOf("api");
+  if (apiIndex < 0) {
+    send(res, 404, "text/plain", "Not found");
+    return;
+  }
+
+  const modes = parseModes(segments.slice(0, apiIndex));
+  const route = segments.slice(apiIndex + 1);
+  const scope = getScope(route);
+
+  const delay = getDelay(modes.delay, scope);
+  if (delay > 0) await new Promise((resolve) => setTimeout(resolve, delay));
+
+  if (matchesScope(modes.error, scope)) {
+    sendJson(res, 500, { status: "error", message: "Internal Server Error", code: 500 });
+    return;
+  }
+  if (matchesScope(modes["status-error"], scope)) {
+    sendJson(res, 200, { status: "error", message: "Mocked API failure", code: 200 });
+    return;
+  }
+  if (matchesScope(modes.malformed, scope)) {
+    send(res, 200, "application/json", "{ \"message\": [");
+    return;
+  }
+
+  const result = handleApi(route, origin);
+  if (result.status === "success" && matchesScope(modes.invalid, scope)) {
+    const toInsecure = (image) => image.replace(/^http:\/\/[^/]+/, "http://insecure.example");
+    result.message = Array.isArray(result.message) ? result.message.map(toInsecure) : toInsecure(result.message);
+  }
+  sendJson(res, result.code ?? 200, result);
+});
+
+function handleApi(route, origin) {
+  const [first, second, ...rest] = route;
+
+  if (first === "breeds" && second === "list" && rest[0] === "all") {
+    const message = Object.fromEntries(Object.entries(BREEDS).map(([breed, data]) => [breed, Object.keys(data.subBreeds)]));
+    return { message, status: "success" };
+  }
+
+  if (first === "breeds" && second === "image" && rest[0] === "random") {
+    const all = Object.keys(BREEDS).flatMap((breed) => getImages(breed, undefined, origin));
+    return { message: pickRandom(all, Number(rest[1] ?? 1)), status: "success" };
+  }
+
+  if (first === "breed" && second) {
+    const hasSubBreed = rest[0] !== "images";
+    const subBreed = hasSubBreed ? rest[0] : undefined;
+    const tail = hasSubBreed ? rest.slice(1) : rest;
+
+    if (!BREEDS[second]) return notFound("Breed not found (master breed does not exist)");
+    if (subBreed && BREEDS[second].subBreeds[subBreed] === undefined) {
+      return notFound("Breed not found (sub breed does not exist)");
+    }
+
+    const images = getImages(second, subBreed, origin);
+    if (tail.length === 1 && tail[0] === "images") {
+      return { message: images, status: "success" };
+    }
+    if (tail[0] === "images" && tail[1] === "random") {
+      if (tail[2] === undefined) return { message: images[0] ?? "", status: "success" };
+      return { message: pickRandom(images, Number(tail[2])), status: "success" };
+    }
+  }
+
+  return notFound("No route found");
+}
+
+function getImages(breed, subBreed, origin) {
+  const data = BREEDS[breed];
+  const names = subBreed
+    ? [[`${breed}-${subBreed}`, data.subBreeds[subBreed]]]
+    : [[breed, data.images], ...Object.entries(data.subBreeds).map(([sub, count]) => [`${breed}-${sub}`, count])];
+
+  return names.flatMap(([name, count]) => (
+    Array.from({ length: count }, (_, index) => `${origin}/images/${name}-${index + 1}.svg`)
+  ));
+}
+
+// "Випадкові" фото детерміновані — перші n, щоб результати тестів не залежали від випадковості.
+function pickRandom(items, count) {
+  return items.slice(0, Math.min(Math.max(count, 1), 50));
+}
+
+function notFound(message) {
+  return { status: "error", message, code: 404 };
+}
+
+function parseModes(segments) {
+  return Object.fromEntries(segments
+    .map((segment) => decodeURIComponent(segment).split("="))
+    .filter(([key, value]) => MODE_KEYS.includes(key) && value !== undefined));
+}
+
+function getScope(route) {
+  if (route[0] === "breeds" && route[1] === "list") return ["breeds"];
+  if (route[0] === "breed") return ["images", route[1]];
+  return ["images"];
+}
+
+function matchesScope(value, scope) {
+  return value !== undefined && (value === "all" || scope.includes(value));
+}
+
+function getDelay(value, scope) {
+  if (value === undefined) return 0;
+  const [target, ms] = value.includes(":") ? value.split(":") : ["all", value];
+  return matchesScope(target, scope) ? Number(ms) || 0 : 0;
+}
+
+function renderImage(name, index) {
+  const color = COLORS[(name.length + index) % COLORS.length];
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="400" height="300" viewBox="0 0 400 300">
+  <rect width="400" height="300" fill="${color}"/>
+  <text x="200" y="160" fill="#fff" font-family="sans-serif" font-size="28" text-anchor="middle">${name} #${index}</text>
+</svg>`;
+}
+
+function sendJson(res, status, data) {
+  send(res, status, "application/json", JSON.stringify(data));
+}
+
+function send(res, status, contentType, body) {
+  res.writeHead(status, {
+    "Content-Type": `${contentType}; charset=utf-8`,
+    "Cache-Control": "no-store",
+    "Access-Control-Allow-Origin": "*"
+  });
+  res.end(body);
+}
+
+server.listen(PORT, "127.0.0.1", () => {
+  console.log(`Dog API stub: http://127.0.0.1:${PORT}/api`);
+});
@@ -0,0 +1,98 @@
+/**
+ * Тестовий сервер з даними проєктів pr3 (для перевірки завантаження з віддаленого джерела).
+ * Запуск: node tests/stubs/projects-server.mjs [port]
+ *
+ * GET /projects.json?mode=ok|invalid|many|malformed|error&delay=<ms>&failures=<n>&key=<k>&count=<n>
+ * - ok        — справжній pr3/assets/data/projects.json
+ * - invalid   — ті самі дані плюс некоректні елементи
+ * - many      — count згенерованих проєктів (для перевірки сторінок і нескінченного скролу)
+ * - malformed — відповідь, що не є JSON
+ * - error     — відповідь 500
+ * - failures  — перші n запитів з однаковим key отримують 500, далі — звичайна відповідь
+ * GET /health — перевірка готовності для Playwright
+ */
+
+import { createServer } from "node:http";
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../..");
+const PROJECTS_PATH = path.join(ROOT, "pr3/assets/data/projects.json");
+const PORT = Number(process.argv[2] ?? process.env.PORT ?? 8081);
+
+// Лічильники невдалих відповідей для режиму failures: кожен тест передає власний key.
+const failureCounts = new Map();
+
+const server = createServer(async (req, res) => {
+  const url = new URL(req.url ?? "/", `http://${req.headers.host ?? "localhost"}`);
+
+  if (url.pathname === "/health") {
+    send(res, 200, "text/plain", "ok");
+    return;
+  }
+
+  if (url.pathname !== "/projects.json") {
+    send(res, 404, "text/plain", "Not found");
+    return;
+  }
+
+  const delay = Number(url.searchParams.get("delay") ?? 0);
+  if (delay > 0) await new Promise((resolve) => setTimeout(resolve, delay));
+
+  const key = url.searchParams.get("key") ?? "default";
+  const failures = Number(url.searchParams.get("failures") ?? 0);
+  const failed = failureCounts.get(key) ?? 0;
+  if (failed < failures) {
+    failureCounts.set(key, failed + 1);
+    send(res, 500, "application/json", JSON.stringify({ error: "Temporary failure" }));
+    return;
+  }
+
+  const mode = url.searchParams.get("mode") ?? "ok";
+  if (mode === "error") {
+    send(res, 500, "application/json", JSON.stringify({ error: "Internal Server Error" }));
+    return;
+  }
+  if (mode === "malformed") {
+    send(res, 200, "application/json", "{ \"items\": [");
+    return;
+  }
+
+  const data = JSON.parse(await readFile(PROJECTS_PATH, "utf8"));
+  if (mode === "many") data.items = getGeneratedItems(data.items[0], Number(url.searchParams.get("count") ?? 12));
+  if (mode === "invalid") data.items.push(...getInvalidItems(data.items[0]));
+  send(res, 200, "application/json", JSON.stringify(data));
+});
+
+function getInvalidItems(sample) {
+  return [
+    { ...sample, id: "unsafe-image", image: "javascript:alert(1)" },
+    { ...sample, id: "" },
+    "not-an-object",
+    { ...sample }
+  ];
+}
+
+function getGeneratedItems(sample, count) {
+  // Назва задається прямо в даних: у файлах перекладу згенерованих id немає.
+  return Array.from({ length: count }, (_, index) => ({
+    ...sample,
+    id: `generated-${index + 1}`,
+    title: `Проєкт ${index + 1}`,
+    date: `2024-01-${String((index % 28) + 1).padStart(2, "0")}`
+  }));
+}
+
+function send(res, status, contentType, body) {
+  res.writeHead(status, {
+    "Content-Type": `${contentType}; charset=utf-8`,
+    "Cache-Control": "no-store",
+    "Access-Control-Allow-Origin": "*"
+  });
+  res.end(body);
+}
+
+server.listen(PORT, "127.0.0.1", () => {
+  console.log(`Projects stub: http://127.0.0.1:${PORT}/projects.json`);
+});